@@ -0,0 +1,98 @@
+/**
+ * Operator API for live sessions (HTTP mode only).
+ *
+ *   GET    /admin/sessions                    list sessions (no credentials — bearer fingerprints only)
+ *   DELETE /admin/sessions/:id                kill a session: close its transport here, drop its credentials
+ *   POST   /admin/sessions/sweep              run the stale-session sweep now
+ *   DELETE /admin/overrides/:fingerprint      clear a bearer's ateam_auth override
+ *   GET    /admin/audit                       audit records, newest first (audit.js) — filter with
+ *                                             ?tenant= &tool= &solution_id= &outcome= &bearer_fingerprint=
+ *                                             &since= &until= (ISO times) &limit= (default 100, max 1000)
+ *
+ * Killing a session ends it everywhere the store is shared; a client still
+ * holding a valid bearer can open a new one.
+ *
+ * Every route needs "Authorization: Bearer <ATEAM_ADMIN_TOKEN>". Without the
+ * variable the routes are not mounted at all — there is no open admin mode.
+ */
+
+import { timingSafeEqual } from "node:crypto";
+import { listSessions, clearSession, hasStoredSession, sweepStaleSessions, clearAuthOverrideByFingerprint } from "./api.js";
+import { queryAudit } from "./audit.js";
+import { createLogger } from "./logger.js";
+import { registerSecret } from "./redact.js";
+
+const log = createLogger("Admin");
+
+/** Constant-time check of "Authorization: Bearer <token>" against `expected`. */
+export function bearerMatches(req, expected) {
+  const presented = Buffer.from(String(req.headers.authorization || "").replace(/^Bearer\s+/i, ""));
+  const want = Buffer.from(expected);
+  return presented.length === want.length && timingSafeEqual(presented, want);
+}
+
+/**
+ * Mount the admin routes.
+ * @param {import("express").Express} app
+ * @param {{ token: string, isOpen(sessionId: string): boolean, closeTransport(sessionId: string): Promise<boolean> }} opts
+ *   isOpen — does this instance hold a transport for the session;
+ *   closeTransport — close it, resolving true if there was one.
+ * @returns {boolean} whether the routes were mounted
+ */
+export function mountAdmin(app, { token, isOpen, closeTransport }) {
+  if (!token) return false;
+  registerSecret(token);
+
+  app.use("/admin", (req, res, next) => {
+    if (bearerMatches(req, token)) return next();
+    log.warn(`Refused ${req.method} ${req.originalUrl} — bad or missing admin token`);
+    res.status(401).json({ error: "Unauthorized: /admin requires the admin token" });
+  });
+
+  app.get("/admin/sessions", (_req, res) => {
+    const sessions = listSessions()
+      .map((s) => ({ ...s, open_here: isOpen(s.session_id) }))
+      .sort((a, b) => a.idle_s - b.idle_s);
+    res.json({ ok: true, count: sessions.length, sessions });
+  });
+
+  app.post("/admin/sessions/sweep", (_req, res) => {
+    const swept = sweepStaleSessions();
+    log.info(`Sweep forced by admin — ${swept} session(s) removed`);
+    res.json({ ok: true, swept });
+  });
+
+  app.delete("/admin/sessions/:id", async (req, res) => {
+    const sid = req.params.id;
+    const known = hasStoredSession(sid);
+    // Closing the transport clears the session too (its onclose); clear
+    // explicitly for sessions open on another instance or with none open.
+    const closed = await closeTransport(sid);
+    clearSession(sid);
+    if (!known && !closed) {
+      res.status(404).json({ ok: false, error: `No session ${sid}` });
+      return;
+    }
+    log.warn(`Session ${sid} killed by admin (transport ${closed ? "closed" : "not open here"})`);
+    res.json({ ok: true, session_id: sid, transport_closed: closed });
+  });
+
+  app.delete("/admin/overrides/:fingerprint", (req, res) => {
+    const fingerprint = req.params.fingerprint;
+    if (!clearAuthOverrideByFingerprint(fingerprint)) {
+      res.status(404).json({ ok: false, error: `No auth override for bearer ${fingerprint}` });
+      return;
+    }
+    log.warn(`Auth override for bearer ${fingerprint} cleared by admin`);
+    res.json({ ok: true, bearer_fingerprint: fingerprint });
+  });
+
+  const AUDIT_FILTERS = ["tenant", "tool", "solution_id", "outcome", "bearer_fingerprint", "since", "until", "limit"];
+  app.get("/admin/audit", async (req, res) => {
+    const filter = Object.fromEntries(AUDIT_FILTERS.filter((k) => req.query[k] !== undefined).map((k) => [k, String(req.query[k])]));
+    const records = await queryAudit(filter);
+    res.json({ ok: true, count: records.length, records });
+  });
+
+  return true;
+}
@@ -8,10 +8,26 @@
  *
  * Sessions also track activity timestamps and optional context (active solution,
  * last skill) to support TTL-based cleanup and smarter UX.
+ *
+ * Session state lives in a pluggable store (see sessionStore.js) chosen by
+ * ATEAM_SESSION_STORE — in-memory by default, file/sqlite to survive restarts.
  */
 
+import { randomUUID, createHash } from "node:crypto";
+import { createSessionStore } from "./sessionStore.js";
+import { cassetteFetch } from "./cassette.js";
+import { redactSecrets, registerSecret } from "./redact.js";
+import { createLogger } from "./logger.js";
+import { observeUpstream, countUpstreamRetry } from "./metrics.js";
+
+const authLog = createLogger("Auth");
+const sessionLog = createLogger("Session");
+const mcpLog = createLogger("MCP");
+
 const BASE_URL = process.env.ADAS_API_URL || "https://api.ateam-ai.com";
-// CORE_URL removed — all requests now route through BASE_URL (skill-validator)
+// Core (job chains, notifications) is reached through the same public base by
+// default; ADAS_CORE_URL points straight at Core when the server runs next to it.
+const ENV_CORE_URL = process.env.ADAS_CORE_URL || "";
 const ENV_TENANT = process.env.ADAS_TENANT || "";
 const ENV_API_KEY = process.env.ADAS_API_KEY || "";
 
@@ -21,22 +37,49 @@ const REQUEST_TIMEOUT_MS = 120_000;
 // Session TTL — sessions idle longer than this are swept
 const SESSION_TTL = 60 * 60 * 1000; // 60 minutes
 
+// Tool calls kept per session for ateam_session_history (oldest dropped first)
+const SESSION_HISTORY_SIZE = Number(process.env.ATEAM_SESSION_HISTORY_SIZE) || 50;
+
 // Sweep interval — how often we check for stale sessions
 const SWEEP_INTERVAL = 5 * 60 * 1000; // every 5 minutes
 
-// Per-session store (sessionId → { tenant, apiKey, lastActivity, context })
+// Backing store for the session maps below. Collections are Map-compatible;
+// persistent backends write through on set/delete, so any in-place mutation of
+// a stored object must be followed by a set() to be persisted.
+const store = createSessionStore({
+  kind: process.env.ATEAM_SESSION_STORE,
+  path: process.env.ATEAM_SESSION_STORE_PATH,
+});
+
+// Per-session store (sessionId → { tenant, apiKey, lastActivity, context, history })
 // context: { activeSolutionId, lastSkillId, lastToolName }
-const sessions = new Map();
+// history: recent tool calls (recordToolCall)
+const sessions = store.collection("sessions");
 
 // ── Bearer-based auth (persistent across sessions) ──────────────
-// The OAuth bearer token IS the user's API key (oauth.js exchangeAuthorizationCode).
+// A bearer resolves to the user's API key (oauth.js verifyAccessToken), and the
+// key is what sessions are bound to here — "bearer" below means that key.
 // Each user has a unique bearer. MCP clients create new sessions per tool call,
 // so we use the bearer as the persistent actor identity.
 //
 // When a user calls ateam_auth to override (e.g., switch tenants), the override
 // is stored per bearer and applied to all future sessions from that user.
-const authOverrides = new Map();  // bearerToken → { tenant, apiKey, updatedAt }
-const sessionBearers = new Map(); // sessionId → bearerToken
+const authOverrides = store.collection("authOverrides");  // bearerToken → { tenant, apiKey, readOnly, updatedAt }
+const sessionBearers = store.collection("sessionBearers"); // sessionId → bearerToken
+// sessionId → the OAuth token family (oauth.js) the session was last seeded
+// from. Absent for sessions whose bearer is the raw key. Lets a family's
+// revocation end its own sessions without touching other grants for the key.
+const sessionFamilies = store.collection("sessionFamilies");
+
+// OAuth scope grants per bearer (bearerToken → { scopes, grantedAt }), recorded
+// at token exchange. Opaque OAuth tokens carry their own grant; this record
+// applies to clients presenting the raw key as bearer, and the latest grant for
+// a key applies to every such connection. Not swept: a lost grant would
+// silently widen a read-only bearer back to full access.
+const bearerGrants = store.collection("bearerGrants");
+
+/** OAuth scope that makes every session of the bearer read-only. */
+export const READ_ONLY_SCOPE = "read_only";
 
 /**
  * Parse a tenant-embedded API key.
@@ -58,8 +101,10 @@ export function parseApiKey(key) {
  * If tenant is not provided, it's auto-extracted from the key.
  * Set explicit=true when called from ateam_auth (not from seedCredentials).
  * Set masterKey for cross-tenant master mode (uses shared secret auth).
+ * Set readOnly to refuse mutating tools for the session. Read-only is one-way:
+ * once set, re-authenticating the same session cannot lift it.
  */
-export function setSessionCredentials(sessionId, { tenant, apiKey, apiUrl, explicit = false, masterKey = null }) {
+export function setSessionCredentials(sessionId, { tenant, apiKey, apiUrl, explicit = false, masterKey = null, readOnly = false }) {
   let resolvedTenant = tenant;
   if (!resolvedTenant && apiKey) {
     const parsed = parseApiKey(apiKey);
@@ -83,12 +128,24 @@ export function setSessionCredentials(sessionId, { tenant, apiKey, apiUrl, expli
     apiUrl: apiUrl || existing?.apiUrl || null,
     authExplicit: explicit || existing?.authExplicit || false,
     masterKey: masterKey || existing?.masterKey || null,
+    readOnly: readOnly || existing?.readOnly || false,
     lastActivity: Date.now(),
     context: existing?.context || {},
+    history: existing?.history || [],
   });
+  registerSecret(masterKey);
   const urlNote = apiUrl ? `, url: ${apiUrl}` : "";
   const masterNote = masterKey ? ", MASTER MODE" : "";
-  console.log(`[Auth] Credentials set for session ${sessionId} (tenant: ${resolvedTenant}${explicit ? ", explicit" : ""}${urlNote}${masterNote})`);
+  const readOnlyNote = sessions.get(sessionId).readOnly ? ", read-only" : "";
+  authLog.info(`Credentials set for session ${sessionId} (tenant: ${resolvedTenant}${explicit ? ", explicit" : ""}${urlNote}${masterNote}${readOnlyNote})`);
+}
+
+/**
+ * Check if a session is read-only (ateam_auth mode:"read_only" or a bearer
+ * granted the read_only OAuth scope).
+ */
+export function isReadOnly(sessionId) {
+  return !!sessions.get(sessionId)?.readOnly;
 }
 
 /**
@@ -100,7 +157,8 @@ export function switchTenant(sessionId, newTenant) {
   if (!session?.masterKey) return false;
   session.tenant = newTenant;
   session.lastActivity = Date.now();
-  console.log(`[Auth] Master mode tenant switch: ${newTenant} (session ${sessionId})`);
+  sessions.set(sessionId, session);
+  authLog.info(`Master mode tenant switch: ${newTenant} (session ${sessionId})`);
   return true;
 }
 
@@ -183,6 +241,84 @@ export function touchSession(sessionId, { toolName, solutionId, skillId } = {})
   if (toolName) session.context.lastToolName = toolName;
   if (solutionId) session.context.activeSolutionId = solutionId;
   if (skillId) session.context.lastSkillId = skillId;
+  sessions.set(sessionId, session);
+}
+
+// ── Tool call history ─────────────────────────────────────────────
+// A ring buffer of the session's tool calls, so an agent that lost its own
+// context (compaction, new chat) can see which deploys and tests already ran.
+// Stored on the session, so it persists and expires with it.
+
+// Arg values longer than this are cut in the summary.
+const HISTORY_ARG_MAX_CHARS = 80;
+
+/** Short, redacted view of tool args: scalars kept (truncated), containers sized. */
+function summarizeArgs(args) {
+  const out = {};
+  for (const [k, v] of Object.entries(redactSecrets(args || {}))) {
+    if (typeof v === "string") {
+      out[k] = v.length > HISTORY_ARG_MAX_CHARS ? `${v.slice(0, HISTORY_ARG_MAX_CHARS)}… (${v.length} chars)` : v;
+    } else if (Array.isArray(v)) {
+      out[k] = `[${v.length} item(s)]`;
+    } else if (v && typeof v === "object") {
+      out[k] = `{${Object.keys(v).length} key(s)}`;
+    } else {
+      out[k] = v;
+    }
+  }
+  return out;
+}
+
+/** Job and chain ids found in a tool result (top level and one level down). */
+function collectRunIds(result) {
+  const ids = { job_ids: new Set(), chain_ids: new Set() };
+  const visit = (obj, depth) => {
+    if (!obj || typeof obj !== "object" || depth > 1) return;
+    for (const [k, v] of Object.entries(obj)) {
+      if (typeof v === "string" && /^(job_?id|root_?job_?id)$/i.test(k)) ids.job_ids.add(v);
+      else if (typeof v === "string" && /^chain_?id$/i.test(k)) ids.chain_ids.add(v);
+      else if (v && typeof v === "object" && !Array.isArray(v)) visit(v, depth + 1);
+    }
+  };
+  visit(result, 0);
+  return {
+    ...(ids.job_ids.size > 0 && { job_ids: [...ids.job_ids] }),
+    ...(ids.chain_ids.size > 0 && { chain_ids: [...ids.chain_ids] }),
+  };
+}
+
+/**
+ * Append a tool call to the session's history. No-op without a session
+ * (unauthenticated calls).
+ * @param {string} sessionId
+ * @param {{ toolName: string, args?: object, startedAt: number, result?: any, error?: { code: string, message: string } }} call
+ */
+export function recordToolCall(sessionId, { toolName, args, startedAt, result, error }) {
+  const session = sessionId ? sessions.get(sessionId) : null;
+  if (!session) return;
+  // Handlers that report failure in-band ({ ok: false, error }) count as errors too.
+  if (!error && result?.ok === false) {
+    const reason = result.error || result.message;
+    error = { code: "tool_reported_failure", message: typeof reason === "string" ? reason : JSON.stringify(reason ?? null) };
+  }
+  const entry = {
+    at: new Date(startedAt).toISOString(),
+    tool: toolName,
+    args: summarizeArgs(args),
+    duration_ms: Date.now() - startedAt,
+    ok: !error,
+    ...(error && { error: { code: error.code, message: String(error.message || "").slice(0, 200) } }),
+    ...collectRunIds(result),
+  };
+  const history = [...(session.history || []), entry];
+  session.history = history.slice(-SESSION_HISTORY_SIZE);
+  sessions.set(sessionId, session);
+}
+
+/** The session's most recent tool calls, oldest first. */
+export function getSessionHistory(sessionId, limit = SESSION_HISTORY_SIZE) {
+  const history = sessions.get(sessionId)?.history || [];
+  return limit > 0 ? history.slice(-limit) : [];
 }
 
 /**
@@ -200,15 +336,22 @@ export function getSessionContext(sessionId) {
  */
 export function clearSession(sessionId) {
   sessionBearers.delete(sessionId);
+  sessionFamilies.delete(sessionId);
   sessions.delete(sessionId);
 }
 
 // ── Bearer identity functions ──────────────────────────────────────
 
-/** Bind a session to its OAuth bearer token. Called from seedCredentials. */
-export function bindSessionBearer(sessionId, bearerToken) {
+/**
+ * Bind a session to its OAuth bearer token, and to the token family the
+ * request's opaque token belongs to (null for a raw-key bearer). Called from
+ * seedCredentials.
+ */
+export function bindSessionBearer(sessionId, bearerToken, familyId = null) {
   sessionBearers.set(sessionId, bearerToken);
-  console.log(`[Auth] Bearer bound for session ${sessionId}`);
+  if (familyId) sessionFamilies.set(sessionId, familyId);
+  else sessionFamilies.delete(sessionId);
+  authLog.info(`Bearer bound for session ${sessionId}`);
 }
 
 /**
@@ -241,14 +384,14 @@ export function bearerOwnershipOk(boundBearer, presentedToken) {
 }
 
 /** Store ateam_auth override for this user (by bearer). Called from tools.js. */
-export function setAuthOverride(sessionId, { tenant, apiKey, apiUrl }) {
+export function setAuthOverride(sessionId, { tenant, apiKey, apiUrl, readOnly = false }) {
   const bearer = sessionBearers.get(sessionId);
   if (!bearer) {
-    console.log(`[Auth] WARNING: No bearer bound for session ${sessionId} — override NOT stored. sessionBearers has ${sessionBearers.size} entries.`);
+    authLog.warn(`No bearer bound for session ${sessionId} — override NOT stored. sessionBearers has ${sessionBearers.size} entries.`);
     return;
   }
-  authOverrides.set(bearer, { tenant, apiKey, apiUrl: apiUrl || null, updatedAt: Date.now() });
-  console.log(`[Auth] Override stored for bearer (tenant: ${tenant}${apiUrl ? ", url: " + apiUrl : ""})`);
+  authOverrides.set(bearer, { tenant, apiKey, apiUrl: apiUrl || null, readOnly, updatedAt: Date.now() });
+  authLog.info(`Override stored for bearer (tenant: ${tenant}${apiUrl ? ", url: " + apiUrl : ""})`);
 }
 
 /** Get ateam_auth override for a bearer token. Returns null if none/expired. */
@@ -259,7 +402,63 @@ export function getAuthOverride(bearerToken) {
     authOverrides.delete(bearerToken);
     return null;
   }
-  return { tenant: entry.tenant, apiKey: entry.apiKey, apiUrl: entry.apiUrl || null };
+  return { tenant: entry.tenant, apiKey: entry.apiKey, apiUrl: entry.apiUrl || null, readOnly: !!entry.readOnly };
+}
+
+/**
+ * Short, stable stand-in for a bearer — safe to log, show operators and key
+ * rate limits by. Never reversible to the token.
+ */
+export function bearerFingerprint(bearerToken) {
+  return createHash("sha256").update(bearerToken).digest("hex").slice(0, 16);
+}
+
+/**
+ * Drop the ateam_auth override of the bearer with this fingerprint (admin
+ * API — operators only ever see fingerprints). Sessions already seeded from
+ * it keep their credentials until they re-seed or are killed.
+ * @returns {boolean} whether an override existed
+ */
+export function clearAuthOverrideByFingerprint(fingerprint) {
+  for (const bearer of authOverrides.keys()) {
+    if (bearerFingerprint(bearer) === fingerprint) {
+      authOverrides.delete(bearer);
+      authLog.info(`Override cleared for bearer ${fingerprint}`);
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Forget what a bearer left behind — its ateam_auth override and every session
+ * bound to it. Called when OAuth tokens for the bearer are revoked (oauth.js).
+ * With `familyId`, only one token family was revoked and only the sessions
+ * seeded from it are cleared. `override: false` keeps the override, which
+ * every grant for the key shares. Its scope grant is kept either way: dropping
+ * it could only widen access.
+ * @param {string} bearerToken
+ * @param {{ familyId?: string|null, override?: boolean }} [opts]
+ * @returns {string[]} the cleared session ids
+ */
+export function revokeBearer(bearerToken, { familyId = null, override = true } = {}) {
+  if (override) authOverrides.delete(bearerToken);
+  const cleared = [...sessionBearers]
+    .filter(([sid, bearer]) => bearer === bearerToken && (!familyId || sessionFamilies.get(sid) === familyId))
+    .map(([sid]) => sid);
+  cleared.forEach(clearSession);
+  authLog.info(`Bearer ${bearerFingerprint(bearerToken)} revoked${familyId ? " (one token family)" : ""}: ${cleared.length} session(s) cleared`);
+  return cleared;
+}
+
+/** Record the OAuth scopes granted to a bearer (replaces any earlier grant). */
+export function setBearerScopes(bearerToken, scopes) {
+  bearerGrants.set(bearerToken, { scopes: [...new Set(scopes || [])], grantedAt: Date.now() });
+}
+
+/** OAuth scopes granted to a bearer, or [] if none were recorded. */
+export function getBearerScopes(bearerToken) {
+  return bearerGrants.get(bearerToken)?.scopes || [];
 }
 
 /**
@@ -270,19 +469,34 @@ export function getAuthOverride(bearerToken) {
  *   4. Default: https://api.ateam-ai.com
  */
 export function getBaseUrl(sessionId) {
+  // 3/4. Env or default
+  return sessionApiUrl(sessionId) || BASE_URL;
+}
+
+/** Steps 1–2 of getBaseUrl: the session's own URL override, or null. */
+function sessionApiUrl(sessionId) {
+  if (!sessionId) return null;
   // 1. Per-session
-  const session = sessionId ? sessions.get(sessionId) : null;
+  const session = sessions.get(sessionId);
   if (session?.apiUrl) return session.apiUrl;
   // 2. Bearer override
-  if (sessionId) {
-    const bearer = sessionBearers.get(sessionId);
-    if (bearer) {
-      const override = getAuthOverride(bearer);
-      if (override?.apiUrl) return override.apiUrl;
-    }
+  const bearer = sessionBearers.get(sessionId);
+  if (bearer) {
+    const override = getAuthOverride(bearer);
+    if (override?.apiUrl) return override.apiUrl;
   }
-  // 3/4. Env or default
-  return BASE_URL;
+  return null;
+}
+
+/**
+ * Get the Core base URL for a session. Resolution order:
+ *   1. The session's API URL override (ateam_auth url / bearer override) — a
+ *      self-hosted platform serves Core routes through its own base
+ *   2. Environment variable ADAS_CORE_URL (server co-located with Core)
+ *   3. The default API base (ADAS_API_URL or https://api.ateam-ai.com)
+ */
+export function getCoreBaseUrl(sessionId) {
+  return sessionApiUrl(sessionId) || ENV_CORE_URL || BASE_URL;
 }
 
 /**
@@ -335,8 +549,8 @@ export function hasBearerAuth(sessionId) {
 }
 
 /**
- * Sweep expired sessions — removes sessions idle longer than SESSION_TTL.
- * Returns the number of sessions removed.
+ * Sweep expired sessions — removes sessions idle longer than SESSION_TTL
+ * from the session store. Returns the number of sessions removed.
  */
 export function sweepStaleSessions() {
   const now = Date.now();
@@ -344,6 +558,7 @@ export function sweepStaleSessions() {
   for (const [sid, session] of sessions) {
     if (now - session.lastActivity > SESSION_TTL) {
       sessionBearers.delete(sid);
+      sessionFamilies.delete(sid);
       sessions.delete(sid);
       swept++;
     }
@@ -357,7 +572,7 @@ export function sweepStaleSessions() {
     }
   }
   if (swept > 0 || overridesSwept > 0) {
-    console.log(`[Session] Swept ${swept} session(s), ${overridesSwept} override(s). ${sessions.size} active, ${authOverrides.size} overrides.`);
+    sessionLog.info(`Swept ${swept} session(s), ${overridesSwept} override(s). ${sessions.size} active, ${authOverrides.size} overrides.`);
   }
   return swept;
 }
@@ -367,12 +582,68 @@ export function sweepStaleSessions() {
  * Called once from HTTP transport on startup.
  */
 export function startSessionSweeper() {
+  // A persistent store may come back from a restart holding sessions that
+  // expired while the server was down — drop them before serving traffic.
+  if (store.kind !== "memory") sweepStaleSessions();
   const timer = setInterval(sweepStaleSessions, SWEEP_INTERVAL);
   timer.unref(); // don't prevent process exit
-  console.log(`[Session] Sweep timer started (interval: ${SWEEP_INTERVAL / 1000}s, TTL: ${SESSION_TTL / 1000}s)`);
+  sessionLog.info(`Sweep timer started (interval: ${SWEEP_INTERVAL / 1000}s, TTL: ${SESSION_TTL / 1000}s, store: ${store.kind})`);
   return timer;
 }
 
+/**
+ * Write any pending session-store changes to disk. No-op for the in-memory
+ * store. Called on shutdown so the last few touches aren't lost.
+ */
+export function flushSessionStore() {
+  store.flush();
+}
+
+/**
+ * A collection in the session store, for state other modules keep per
+ * process otherwise — OAuth codes (oauth.js), the token auto-injection cache
+ * (http.js). With a file/sqlite store it is shared with every instance on
+ * the same path, like the session maps above.
+ */
+export function getStoreCollection(name) {
+  return store.collection(name);
+}
+
+/**
+ * Does the store know this session id — credentials or a bearer binding,
+ * possibly written by another instance? Lets the HTTP transport resume it.
+ */
+export function hasStoredSession(sessionId) {
+  return sessions.has(sessionId) || sessionBearers.has(sessionId);
+}
+
+/** Which session-store backend is active ("memory", "file", "sqlite"). */
+export function getSessionStoreKind() {
+  return store.kind;
+}
+
+/**
+ * Every session in the store, for the admin API. Credentials are reduced to
+ * flags and a bearer fingerprint — keys and tokens never leave this module.
+ */
+export function listSessions() {
+  const now = Date.now();
+  return [...sessions].map(([sid, session]) => {
+    const bearer = sessionBearers.get(sid);
+    return {
+      session_id: sid,
+      tenant: session.tenant,
+      last_activity: new Date(session.lastActivity).toISOString(),
+      idle_s: Math.round((now - session.lastActivity) / 1000),
+      last_tool: session.context?.lastToolName || null,
+      master: !!session.masterKey,
+      read_only: !!session.readOnly,
+      bearer_fingerprint: bearer ? bearerFingerprint(bearer) : null,
+      has_override: bearer ? authOverrides.has(bearer) : false,
+    };
+  });
+}
+
 /**
  * Get session stats — for health checks and debugging.
  */
@@ -388,10 +659,11 @@ export function getSessionStats() {
     active: sessions.size,
     oldestAge: sessions.size > 0 ? Math.round((now - oldest) / 1000) : 0,
     newestAge: sessions.size > 0 ? Math.round((now - newest) / 1000) : 0,
+    store: store.kind,
   };
 }
 
-function headers(sessionId) {
+function headers(sessionId, tenantOverride) {
   const session = sessionId ? sessions.get(sessionId) : null;
 
   // Master mode: use shared secret auth (x-adas-token) instead of API key.
@@ -399,7 +671,10 @@ function headers(sessionId) {
   // switchTenant). Silent fallback to "main" previously masked configuration
   // bugs and could pivot a master-key caller onto the wrong tenant.
   if (session?.masterKey) {
-    if (!session.tenant) {
+    registerSecret(session.masterKey); // may have come back from a persistent store
+    // Bulk tools address tenants per call instead of switching the session.
+    const tenant = tenantOverride || session.tenant;
+    if (!tenant) {
       throw new Error(
         `headers: master-mode session ${sessionId} has no active tenant — ` +
         `caller must select a tenant via ateam_auth or switchTenant before making requests.`
@@ -407,7 +682,7 @@ function headers(sessionId) {
     }
     const h = { "Content-Type": "application/json" };
     h["x-adas-token"] = session.masterKey;
-    h["X-ADAS-TENANT"] = session.tenant;
+    h["X-ADAS-TENANT"] = tenant;
     return h;
   }
 
@@ -419,23 +694,129 @@ function headers(sessionId) {
   return h;
 }
 
+// Actionable hints per HTTP status — shown to the agent under the error line.
+const STATUS_HINTS = {
+  400: "Bad request — see the error details above for what to fix.",
+  401: "Your API key may be invalid or expired. Get a valid key at https://mcp.ateam-ai.com/get-api-key then call ateam_auth(api_key: \"your_key\").",
+  403: "You don't have permission for this operation. Check your tenant and API key. Get a key at https://mcp.ateam-ai.com/get-api-key",
+  404: "Resource not found. Check the solution_id or skill_id you're using. Use ateam_list_solutions to see available solutions.",
+  409: "Conflict — the resource may already exist or is in a conflicting state.",
+  422: "Validation failed. Check the request payload against the spec (use ateam_get_spec).",
+  429: "Rate limited. Wait a moment and try again.",
+  500: "A-Team server error. The platform may be temporarily unavailable. Try again in a minute.",
+  502: "A-Team API is unreachable. The service may be restarting. Try again in a minute.",
+  503: "A-Team API is temporarily unavailable. Try again in a minute.",
+};
+
+// Stable, machine-readable error codes per HTTP status. Agents and scripts
+// branch on these instead of parsing the human message.
+const STATUS_CODES = {
+  400: "bad_request",
+  401: "unauthorized",
+  403: "forbidden",
+  404: "not_found",
+  408: "timeout",
+  409: "conflict",
+  422: "validation_failed",
+  429: "rate_limited",
+  500: "server_error",
+  502: "bad_gateway",
+  503: "unavailable",
+  504: "gateway_timeout",
+  524: "edge_timeout",
+};
+
+// Statuses worth retrying — the request may well succeed a moment later.
+const RETRIABLE_STATUSES = new Set([408, 429, 502, 503, 504, 524]);
+
+const GITHUB_NOT_CONNECTED_HINT =
+  "Connect GitHub for this tenant: https://mcp.ateam-ai.com/connect-github — or use ateam_patch(..., source:\"local\") for definition-only edits.";
+
 /**
- * Format an API error into a user-friendly message with actionable hints.
+ * Error thrown by every A-Team API call. `message` stays the human-readable
+ * text agents have always seen; the fields carry the same facts in a form
+ * callers can branch on.
+ *
+ *   status        HTTP status (null for network failures / timeouts)
+ *   code          stable category: not_found, unauthorized, rate_limited,
+ *                 timeout, connection_refused, dns_failure, github_not_connected,
+ *                 cancelled (caller aborted the tool call), …
+ *   upstreamCode  the platform's own error code from the response body, if any
+ *   method, url   the request that failed (full URL, base included)
+ *   retriable     true when retrying later may succeed
+ *   hint          actionable next step (also embedded in message)
+ *   correlationId request id sent as X-Request-Id (or the one the server echoed)
+ *   retryAfterMs  server-requested wait from Retry-After, when present
+ */
+export class ApiError extends Error {
+  constructor(message, {
+    status = null, code, upstreamCode = null, method = null, url = null,
+    retriable = false, hint = null, correlationId = null,
+  } = {}) {
+    super(message);
+    this.name = "ApiError";
+    this.status = status;
+    this.code = code || STATUS_CODES[status] || (status ? `http_${status}` : "api_error");
+    this.upstreamCode = upstreamCode;
+    this.method = method;
+    this.url = url;
+    this.retriable = retriable;
+    this.hint = hint;
+    this.correlationId = correlationId;
+    this.retryAfterMs = null; // set from Retry-After on 429/503
+  }
+
+  /** Machine-readable shape returned to MCP clients (snake_case, like tool results). */
+  toJSON() {
+    return {
+      code: this.code,
+      status: this.status,
+      upstream_code: this.upstreamCode,
+      message: this.message,
+      method: this.method,
+      url: this.url,
+      retriable: this.retriable,
+      hint: this.hint,
+      correlation_id: this.correlationId,
+      ...(this.retryAfterMs != null && { retry_after_ms: this.retryAfterMs }),
+    };
+  }
+}
+
+/**
+ * Machine-readable description of any error a tool handler threw. ApiErrors
+ * carry their own fields; anything else (argument validation, local guards)
+ * is reported as a non-retriable "tool_error".
  */
-function formatError(method, path, status, body, baseUrl) {
-  const hints = {
-    400: "Bad request — see the error details above for what to fix.",
-    401: "Your API key may be invalid or expired. Get a valid key at https://mcp.ateam-ai.com/get-api-key then call ateam_auth(api_key: \"your_key\").",
-    403: "You don't have permission for this operation. Check your tenant and API key. Get a key at https://mcp.ateam-ai.com/get-api-key",
-    404: "Resource not found. Check the solution_id or skill_id you're using. Use ateam_list_solutions to see available solutions.",
-    409: "Conflict — the resource may already exist or is in a conflicting state.",
-    422: "Validation failed. Check the request payload against the spec (use ateam_get_spec).",
-    429: "Rate limited. Wait a moment and try again.",
-    500: "A-Team server error. The platform may be temporarily unavailable. Try again in a minute.",
-    502: "A-Team API is unreachable. The service may be restarting. Try again in a minute.",
-    503: "A-Team API is temporarily unavailable. Try again in a minute.",
+export function describeError(err) {
+  if (err instanceof ApiError) return err.toJSON();
+  return {
+    code: "tool_error",
+    status: null,
+    upstream_code: null,
+    message: err?.message || String(err),
+    retriable: false,
   };
+}
+
+/**
+ * Pull the platform's own error code out of a response body, if it has one.
+ * Accepts { code } / { error_code } or an { error } that is itself a code
+ * (snake_case identifier, e.g. "github_not_connected").
+ */
+function upstreamErrorCode(bodyText) {
+  if (!bodyText) return null;
+  let body;
+  try { body = JSON.parse(bodyText); } catch { return null; }
+  if (!body || typeof body !== "object") return null;
+  const candidate = body.code || body.error_code || body.error;
+  return typeof candidate === "string" && /^[A-Za-z][A-Za-z0-9_.-]{0,63}$/.test(candidate) ? candidate : null;
+}
 
+/**
+ * Format an API error into a user-friendly message with actionable hints.
+ */
+function formatError(method, path, status, body, baseUrl, label = "A-Team API") {
   // Special-case: GitHub App not connected for this tenant. This is the wall a
   // user hits the first time they iterate on CONNECTOR CODE (github_patch /
   // github_write / github_push / build_and_run auto-pull). The raw
@@ -445,7 +826,7 @@ function formatError(method, path, status, body, baseUrl) {
   const bodyStr = typeof body === "string" ? body : (body ? JSON.stringify(body) : "");
   if (/github_not_connected/i.test(bodyStr)) {
     return [
-      `A-Team API error: ${method} ${path} — GitHub isn't connected for this tenant.`,
+      `${label} error: ${method} ${path} — GitHub isn't connected for this tenant.`,
       "",
       "Versioned connector-code changes (edit, push, promote, deploy-from-repo) need a",
       "GitHub repo, and this tenant hasn't connected one yet.",
@@ -460,7 +841,7 @@ function formatError(method, path, status, body, baseUrl) {
     ].join("\n");
   }
 
-  const hint = hints[status] || "";
+  const hint = STATUS_HINTS[status] || "";
   const detail = typeof body === "string" && body.length > 0 && body.length < 2000 ? body : "";
 
   // Always show the FULL URL actually hit — ateam-mcp is a PUBLIC MCP with a
@@ -468,7 +849,7 @@ function formatError(method, path, status, body, baseUrl) {
   // "POST /deploy/..." 404 is ambiguous: is the route missing, or did the
   // request go to the wrong base? The full URL disambiguates instantly.
   const target = baseUrl ? `${baseUrl}${path}` : path;
-  let msg = `A-Team API error: ${method} ${target} returned ${status}`;
+  let msg = `${label} error: ${method} ${target} returned ${status}`;
   if (detail) msg += ` — ${detail}`;
   if (hint) msg += `\nHint: ${hint}`;
 
@@ -476,111 +857,488 @@ function formatError(method, path, status, body, baseUrl) {
 }
 
 /**
- * Core fetch wrapper with timeout and error formatting.
+ * Build the ApiError for a non-2xx response.
+ */
+function httpError(method, path, status, bodyText, baseUrl, correlationId, label) {
+  const upstreamCode = upstreamErrorCode(bodyText);
+  const githubNotConnected = /github_not_connected/i.test(bodyText || "");
+  return new ApiError(formatError(method, path, status, bodyText, baseUrl, label), {
+    status,
+    code: githubNotConnected ? "github_not_connected" : undefined,
+    upstreamCode,
+    method,
+    url: `${baseUrl}${path}`,
+    retriable: RETRIABLE_STATUSES.has(status),
+    hint: githubNotConnected ? GITHUB_NOT_CONNECTED_HINT : (STATUS_HINTS[status] || null),
+    correlationId,
+  });
+}
+
+// ── Retry policy ──────────────────────────────────────────────────
+// Transient failures are retried with exponential backoff + jitter. A server
+// that says when to come back (Retry-After on 429/503) is believed, up to
+// maxRetryAfterMs — beyond that the call fails with the wait in the error.
+//
+// Mutating methods are only retried when repeating them is known to be safe:
+// the caller sent an idempotency key, or declared the call idempotent (a pure
+// read over POST, or an op like redeploy where a replay is harmless). The
+// exceptions are failures that prove the request was never processed: a
+// refused connection, or a 429 from the rate limiter.
+const DEFAULT_RETRY_POLICY = {
+  retries: 2,
+  baseDelayMs: 1_000,
+  maxDelayMs: 15_000,
+  jitter: 0.3,                               // ±30% of the computed delay
+  maxRetryAfterMs: 60_000,
+  retryOnStatuses: [429, 502, 503, 504],
+  retryOnCodes: ["timeout", "connection_refused"],
+  requireIdempotencyKey: false,
+};
+
+const METHOD_RETRY_POLICIES = {
+  GET: {},
+  POST: { requireIdempotencyKey: true },
+  PATCH: { requireIdempotencyKey: true },
+  DELETE: { requireIdempotencyKey: true },
+};
+
+// ATEAM_RETRY_POLICY — optional JSON overrides, keyed by method or "*":
+//   {"*":{"retries":3},"POST":{"retries":1}}
+const ENV_RETRY_POLICY = (() => {
+  if (!process.env.ATEAM_RETRY_POLICY) return {};
+  try {
+    return JSON.parse(process.env.ATEAM_RETRY_POLICY) || {};
+  } catch (err) {
+    mcpLog.warn(`Ignoring malformed ATEAM_RETRY_POLICY: ${err.message}`);
+    return {};
+  }
+})();
+
+/**
+ * Effective retry policy for one call: defaults → per-method → env → per-call.
+ * `opts.retries` (number) is kept as shorthand for `opts.retry.retries`.
+ */
+function resolveRetryPolicy(method, opts) {
+  const policy = {
+    ...DEFAULT_RETRY_POLICY,
+    ...METHOD_RETRY_POLICIES[method],
+    ...ENV_RETRY_POLICY["*"],
+    ...ENV_RETRY_POLICY[method],
+    ...opts.retry,
+  };
+  if (opts.retries !== undefined) policy.retries = opts.retries;
+  return policy;
+}
+
+/** Parse a Retry-After header (delta-seconds or HTTP-date) into ms, or null. */
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const at = Date.parse(value);
+  return Number.isNaN(at) ? null : Math.max(0, at - Date.now());
+}
+
+/**
+ * How long to wait before retrying `failure`, or null to give up.
+ * Exported for unit testing.
+ */
+export function retryDelay(policy, failure, attempt, { safeToRepeat = true } = {}) {
+  if (attempt >= policy.retries) return null;
+  const matches = (failure.status && policy.retryOnStatuses.includes(failure.status))
+    || policy.retryOnCodes.includes(failure.code);
+  if (!matches) return null;
+  const neverProcessed = failure.code === "connection_refused" || failure.status === 429;
+  if (policy.requireIdempotencyKey && !safeToRepeat && !neverProcessed) return null;
+
+  if (failure.retryAfterMs != null) {
+    return failure.retryAfterMs <= policy.maxRetryAfterMs ? failure.retryAfterMs : null;
+  }
+  const exp = Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** attempt);
+  const spread = exp * policy.jitter;
+  return Math.max(0, Math.round(exp - spread + Math.random() * 2 * spread));
+}
+
+/**
+ * Sleep for `ms`, resolving early if `signal` aborts. Used for retry backoff
+ * here and by the polling loops in tools.js, so a cancel lands within one tick.
+ */
+export function waitOrAbort(ms, signal) {
+  return new Promise((resolve) => {
+    if (signal?.aborted) return resolve();
+    const done = () => {
+      clearTimeout(timer);
+      signal?.removeEventListener("abort", done);
+      resolve();
+    };
+    const timer = setTimeout(done, ms);
+    signal?.addEventListener("abort", done, { once: true });
+  });
+}
+
+// ── Circuit breaker (per upstream base URL) ──────────────────────
+// When the platform behind a base URL is down, every call would otherwise sit
+// through the full timeout plus retries. After BREAKER_THRESHOLD consecutive
+// outage-type failures (timeouts, refused connections, 502/503/504/524) the
+// breaker opens and calls fail fast. Once the cooldown passes, the next call
+// half-opens it with a GET <base>/health probe: healthy → closed, anything
+// else → open for another cooldown. Concurrent callers share one probe.
+const BREAKER_THRESHOLD = Number(process.env.ATEAM_BREAKER_THRESHOLD) || 5;
+const BREAKER_COOLDOWN_MS = Number(process.env.ATEAM_BREAKER_COOLDOWN_MS) || 30_000;
+const BREAKER_PROBE_TIMEOUT_MS = 5_000;
+const OUTAGE_STATUSES = new Set([502, 503, 504, 524]);
+const OUTAGE_CODES = new Set(["timeout", "connection_refused", "dns_failure"]);
+
+// baseUrl → { state: "closed"|"open"|"half_open", failures, openedAt, nextProbeAt, probe }
+const breakers = new Map();
+
+function breakerFor(baseUrl) {
+  let b = breakers.get(baseUrl);
+  if (!b) {
+    b = { state: "closed", failures: 0, openedAt: null, nextProbeAt: null, probe: null };
+    breakers.set(baseUrl, b);
+  }
+  return b;
+}
+
+function openBreaker(baseUrl, b) {
+  b.state = "open";
+  b.openedAt = b.openedAt || Date.now();
+  b.nextProbeAt = Date.now() + BREAKER_COOLDOWN_MS;
+  mcpLog.error(`Circuit OPEN for ${baseUrl} after ${b.failures} failure(s) — failing fast, next probe in ${BREAKER_COOLDOWN_MS / 1000}s`);
+}
+
+function recordUpstreamSuccess(baseUrl) {
+  const b = breakers.get(baseUrl);
+  if (!b) return;
+  if (b.state !== "closed") mcpLog.info(`Circuit CLOSED for ${baseUrl} — platform reachable again`);
+  b.state = "closed";
+  b.failures = 0;
+  b.openedAt = null;
+  b.nextProbeAt = null;
+}
+
+function recordUpstreamFailure(baseUrl, failure) {
+  if (!OUTAGE_CODES.has(failure.code) && !OUTAGE_STATUSES.has(failure.status)) return;
+  const b = breakerFor(baseUrl);
+  b.failures++;
+  if (b.state === "closed" && b.failures >= BREAKER_THRESHOLD) openBreaker(baseUrl, b);
+}
+
+async function probeUpstream(baseUrl, b) {
+  b.state = "half_open";
+  try {
+    const res = await cassetteFetch(`${baseUrl}/health`, { signal: AbortSignal.timeout(BREAKER_PROBE_TIMEOUT_MS) });
+    if (res.ok) {
+      recordUpstreamSuccess(baseUrl);
+      return true;
+    }
+  } catch { /* probe failure — stay open */ }
+  openBreaker(baseUrl, b);
+  return false;
+}
+
+function circuitOpenError(baseUrl, b, method, path) {
+  const waitMs = Math.max(0, (b.nextProbeAt || Date.now()) - Date.now());
+  const waitS = Math.ceil(waitMs / 1000);
+  return Object.assign(new ApiError(
+    `A-Team platform unavailable at ${baseUrl} — failing fast, next probe in ${waitS}s.\n` +
+    `Hint: ${b.failures} consecutive request(s) failed. Check ${baseUrl}/health, or wait and retry.`,
+    {
+      code: "circuit_open",
+      method,
+      url: `${baseUrl}${path}`,
+      retriable: true,
+      hint: `Platform unavailable — next probe in ${waitS}s. Check ${baseUrl}/health.`,
+    },
+  ), { retryAfterMs: waitMs });
+}
+
+/**
+ * Throws a circuit_open ApiError if the breaker for `baseUrl` is open (or its
+ * half-open probe fails). Returns normally when calls may go through.
+ */
+async function checkBreaker(baseUrl, method, path) {
+  const b = breakers.get(baseUrl);
+  if (!b || b.state === "closed") return;
+  if (!b.probe && Date.now() < b.nextProbeAt) throw circuitOpenError(baseUrl, b, method, path);
+  if (!b.probe) b.probe = probeUpstream(baseUrl, b).finally(() => { b.probe = null; });
+  if (!(await b.probe)) throw circuitOpenError(baseUrl, b, method, path);
+}
+
+/**
+ * Breaker state per upstream base URL — for /health.
+ */
+export function getCircuitStates() {
+  const now = Date.now();
+  const out = {};
+  for (const [baseUrl, b] of breakers) {
+    out[baseUrl] = {
+      state: b.state,
+      consecutive_failures: b.failures,
+      ...(b.openedAt && { open_for_s: Math.round((now - b.openedAt) / 1000) }),
+      ...(b.state === "open" && { next_probe_in_s: Math.max(0, Math.ceil((b.nextProbeAt - now) / 1000)) }),
+    };
+  }
+  return out;
+}
+
+// ── Concurrency limiter (per session and per tenant) ─────────────
+// Fan-out tools (ateam_list_solutions, ateam_status_all, ateam_sync_all) fire
+// one request per solution. Every upstream attempt takes a slot from its
+// session's pool and its tenant's pool first, so a session can't flood the
+// Builder and sessions sharing a tenant share one budget. Callers just
+// Promise.all — excess requests queue here, FIFO. Slots are held only while
+// a request is on the wire, never across a retry backoff. A cancelled call
+// leaves the queue instead of firing once its turn comes.
+const CONCURRENCY_LIMITS = {
+  session: Number(process.env.ATEAM_MAX_CONCURRENCY_SESSION) || 6,
+  tenant: Number(process.env.ATEAM_MAX_CONCURRENCY_TENANT) || 12,
+};
+
+// "session:<id>" / "tenant:<id>" → { active, queue: [grant] }
+const slotPools = new Map();
+
+/** Resolves once a slot is held; rejects with signal.reason if `signal` aborts while queued. */
+function acquireSlot(key, limit, signal) {
+  if (signal?.aborted) return Promise.reject(signal.reason);
+  let pool = slotPools.get(key);
+  if (!pool) {
+    pool = { active: 0, queue: [] };
+    slotPools.set(key, pool);
+  }
+  if (pool.active < limit) {
+    pool.active++;
+    return Promise.resolve();
+  }
+  return new Promise((resolve, reject) => {
+    const grant = () => {
+      signal?.removeEventListener("abort", leave);
+      resolve();
+    };
+    const leave = () => {
+      const i = pool.queue.indexOf(grant);
+      if (i !== -1) pool.queue.splice(i, 1);
+      reject(signal.reason);
+    };
+    pool.queue.push(grant);
+    signal?.addEventListener("abort", leave, { once: true });
+  });
+}
+
+function releaseSlot(key) {
+  const pool = slotPools.get(key);
+  if (!pool) return;
+  const next = pool.queue.shift();
+  if (next) { next(); return; } // hand the slot straight to the next waiter
+  pool.active--;
+  if (pool.active === 0) slotPools.delete(key);
+}
+
+/**
+ * Take a session slot then a tenant slot (fixed order — no deadlock). Returns
+ * the release function. If `signal` aborts while queued, gives back anything
+ * already held and rejects with signal.reason.
+ */
+async function acquireUpstreamSlots(sessionId, tenant, signal) {
+  const keys = [`session:${sessionId || "env"}`, `tenant:${tenant || "-"}`];
+  await acquireSlot(keys[0], CONCURRENCY_LIMITS.session, signal);
+  try {
+    await acquireSlot(keys[1], CONCURRENCY_LIMITS.tenant, signal);
+  } catch (err) {
+    releaseSlot(keys[0]);
+    throw err;
+  }
+  return () => { releaseSlot(keys[1]); releaseSlot(keys[0]); };
+}
+
+/** Current limits plus in-flight/queued counts per pool (for /health). */
+export function getConcurrencyStats() {
+  const pools = {};
+  for (const [key, pool] of slotPools) pools[key] = { active: pool.active, queued: pool.queue.length };
+  return { limits: { ...CONCURRENCY_LIMITS }, pools };
+}
+
+// Upstream services. Both share credential headers, timeouts, the retry
+// policy, the circuit breaker and ApiError; they differ in base URL and in
+// how errors name the service.
+const API_SERVICE = { label: "A-Team API", urlSetting: "ADAS_API_URL", baseUrl: getBaseUrl };
+const CORE_SERVICE = { label: "A-Team Core", urlSetting: "ADAS_CORE_URL", baseUrl: getCoreBaseUrl };
+
+/**
+ * Core fetch wrapper with timeout, retries and error formatting.
+ * @param {typeof API_SERVICE} service
  * @param {string} method
  * @param {string} path
  * @param {*} body
  * @param {string} sessionId
- * @param {{ timeoutMs?: number }} [opts]
+ * @param {{
+ *   timeoutMs?: number,
+ *   retries?: number,
+ *   retry?: Partial<typeof DEFAULT_RETRY_POLICY>,
+ *   idempotencyKey?: string|true,
+ *   idempotent?: boolean,
+ *   service?: string,
+ *   tenant?: string,
+ *   signal?: AbortSignal,
+ * }} [opts]
+ *   idempotencyKey — sent as Idempotency-Key (true = generate one for this
+ *   call); makes a mutating call retriable. idempotent — caller asserts that
+ *   repeating the call is harmless, without sending a key. service — sent as
+ *   X-ADAS-SERVICE so Core can attribute the call (e.g. "ateam-mcp.get_chain").
+ *   tenant — master-mode sessions only: address this tenant for this call
+ *   without switching the session (ignored for api-key sessions, whose key
+ *   pins the tenant).
+ *   signal — the MCP request's abort signal: aborting cancels the in-flight
+ *   fetch, a wait for a concurrency slot, a retry backoff and any remaining
+ *   retries with an ApiError of code "cancelled".
  */
-async function request(method, path, body, sessionId, opts = {}) {
+async function request(service, method, path, body, sessionId, opts = {}) {
   const timeoutMs = opts.timeoutMs || REQUEST_TIMEOUT_MS;
-  // Default to 2 retries on transient proxy errors (502/504). Existing
-  // gate further down only retries on those status codes — real errors
-  // (4xx, 5xx other than 502/504) still fail fast on attempt 0. Bumping
-  // the default from 0 → 2 protects every wrapper call against a
-  // skill-builder mid-restart 502 (bug #6 in parallel-agent feedback)
-  // without callers having to remember to pass retries everywhere.
-  const maxRetries = opts.retries ?? 2;
-  const baseUrl = getBaseUrl(sessionId);
-
-  for (let attempt = 0; attempt <= maxRetries; attempt++) {
+  const policy = resolveRetryPolicy(method, opts);
+  const idempotencyKey = opts.idempotencyKey === true ? randomUUID() : (opts.idempotencyKey || null);
+  const safeToRepeat = !!idempotencyKey || opts.idempotent === true;
+  const baseUrl = service.baseUrl(sessionId);
+  const url = `${baseUrl}${path}`;
+  // One id for the whole call (all attempts) so a failure can be matched
+  // against platform logs.
+  const correlationId = randomUUID();
+
+  const cancelled = () => new ApiError(
+    `${service.label} call cancelled: ${method} ${path} (the client cancelled the tool call).`,
+    { code: "cancelled", method, url, correlationId },
+  );
+
+  for (let attempt = 0; ; attempt++) {
+    if (opts.signal?.aborted) throw cancelled();
+    await checkBreaker(baseUrl, method, path);
+    const reqHeaders = headers(sessionId, opts.tenant);
+    // Waiting for a slot doesn't count against the request timeout.
+    const release = await acquireUpstreamSlots(sessionId, reqHeaders["X-ADAS-TENANT"], opts.signal)
+      .catch((err) => { throw opts.signal?.aborted ? cancelled() : err; });
     const controller = new AbortController();
     const timeout = setTimeout(() => controller.abort(), timeoutMs);
+    const onCancel = () => controller.abort();
+    opts.signal?.addEventListener("abort", onCancel, { once: true });
+    let failure;
 
     try {
       const fetchOpts = {
         method,
-        headers: headers(sessionId),
+        headers: {
+          ...reqHeaders,
+          "X-Request-Id": correlationId,
+          ...(idempotencyKey && { "Idempotency-Key": idempotencyKey }),
+          ...(opts.service && { "X-ADAS-SERVICE": opts.service }),
+        },
         signal: controller.signal,
       };
       if (body !== undefined) {
         fetchOpts.body = JSON.stringify(body);
       }
 
-      const res = await fetch(`${baseUrl}${path}`, fetchOpts);
-
-      // Auto-retry on 502/504 (proxy timeout during long deploys)
-      if ((res.status === 502 || res.status === 504) && attempt < maxRetries) {
-        const wait = Math.min(5000 * (attempt + 1), 15000);
-        console.error(`[MCP] ${method} ${path} returned ${res.status}, retrying in ${wait / 1000}s (attempt ${attempt + 1}/${maxRetries})...`);
-        await new Promise(r => setTimeout(r, wait));
-        continue;
-      }
+      // Latency per attempt, labelled with the HTTP status — or, when no
+      // response arrived, with what went wrong (classified below).
+      const attemptStart = Date.now();
+      const res = await cassetteFetch(url, fetchOpts).catch((err) => {
+        const outcome = opts.signal?.aborted ? "cancelled"
+          : err.name === "AbortError" ? "timeout"
+          : err.cause?.code || "network_error";
+        observeUpstream(service.label, method, path, outcome, Date.now() - attemptStart);
+        throw err;
+      });
+      observeUpstream(service.label, method, path, res.status, Date.now() - attemptStart);
 
       if (!res.ok) {
         const text = await res.text().catch(() => "");
-        // Attach the HTTP status so callers can distinguish a genuine 404
-        // (resource absent) from a transient/5xx failure. ateam_patch relies
+        // ApiError carries the HTTP status so callers can distinguish a genuine
+        // 404 (resource absent) from a transient/5xx failure. ateam_patch relies
         // on this to NOT scaffold-clobber an existing skill on a read error.
-        const e = new Error(formatError(method, path, res.status, text, baseUrl));
-        e.status = res.status;
-        throw e;
+        const echoedId = res.headers.get("x-request-id") || res.headers.get("x-correlation-id");
+        failure = httpError(method, path, res.status, text, baseUrl, echoedId || correlationId, service.label);
+        failure.retryAfterMs = parseRetryAfter(res.headers.get("retry-after"));
+        if (!OUTAGE_STATUSES.has(res.status)) recordUpstreamSuccess(baseUrl); // a 4xx still proves the platform is up
+      } else {
+        recordUpstreamSuccess(baseUrl);
+        return await res.json();
       }
-
-      return res.json();
     } catch (err) {
-      if (err.name === "AbortError") {
-        if (attempt < maxRetries) {
-          const wait = Math.min(5000 * (attempt + 1), 15000);
-          console.error(`[MCP] ${method} ${path} timed out, retrying in ${wait / 1000}s (attempt ${attempt + 1}/${maxRetries})...`);
-          await new Promise(r => setTimeout(r, wait));
-          continue;
-        }
-        throw new Error(
-          `A-Team API timeout: ${method} ${path} did not respond within ${timeoutMs / 1000}s.\n` +
-          `Hint: The A-Team API at ${baseUrl} may be down. Check ${baseUrl}/health`
+      if (opts.signal?.aborted) {
+        // Caller's cancellation, not an outage — don't count it against the breaker.
+        throw cancelled();
+      } else if (err.name === "AbortError") {
+        failure = new ApiError(
+          `${service.label} timeout: ${method} ${path} did not respond within ${timeoutMs / 1000}s.\n` +
+          `Hint: The ${service.label} at ${baseUrl} may be down. Check ${baseUrl}/health`,
+          { code: "timeout", method, url, retriable: true, hint: `The ${service.label} at ${baseUrl} may be down. Check ${baseUrl}/health`, correlationId },
         );
-      }
-      if (err.cause?.code === "ECONNREFUSED") {
-        if (attempt < maxRetries) {
-          const wait = Math.min(5000 * (attempt + 1), 15000);
-          console.error(`[MCP] ${method} ${path} connection refused, retrying in ${wait / 1000}s (attempt ${attempt + 1}/${maxRetries})...`);
-          await new Promise(r => setTimeout(r, wait));
-          continue;
-        }
-        throw new Error(
-          `Cannot connect to A-Team API at ${baseUrl}.\n` +
-          `Hint: The service may be down. Check ${baseUrl}/health`
+      } else if (err.cause?.code === "ECONNREFUSED") {
+        failure = new ApiError(
+          `Cannot connect to ${service.label} at ${baseUrl}.\n` +
+          `Hint: The service may be down. Check ${baseUrl}/health`,
+          { code: "connection_refused", method, url, retriable: true, hint: `The service may be down. Check ${baseUrl}/health`, correlationId },
         );
-      }
-      if (err.cause?.code === "ENOTFOUND") {
-        throw new Error(
-          `Cannot resolve A-Team API host: ${baseUrl}.\n` +
-          `Hint: Check your internet connection and ADAS_API_URL setting.`
+      } else if (err.cause?.code === "ENOTFOUND") {
+        const dnsFailure = new ApiError(
+          `Cannot resolve ${service.label} host: ${baseUrl}.\n` +
+          `Hint: Check your internet connection and ${service.urlSetting} setting.`,
+          { code: "dns_failure", method, url, hint: `Check your internet connection and ${service.urlSetting} setting.`, correlationId },
         );
+        recordUpstreamFailure(baseUrl, dnsFailure);
+        throw dnsFailure;
+      } else {
+        throw err;
       }
-      throw err;
     } finally {
       clearTimeout(timeout);
+      opts.signal?.removeEventListener("abort", onCancel);
+      release();
+    }
+
+    recordUpstreamFailure(baseUrl, failure);
+    const wait = retryDelay(policy, failure, attempt, { safeToRepeat });
+    if (wait === null) {
+      if (failure.retryAfterMs != null && failure.retryAfterMs > policy.maxRetryAfterMs) {
+        failure.hint = `Server asked to retry after ${Math.ceil(failure.retryAfterMs / 1000)}s.${failure.hint ? ` ${failure.hint}` : ""}`;
+      }
+      throw failure;
     }
+    const why = failure.status ? `returned ${failure.status}` : failure.code.replace(/_/g, " ");
+    const after = failure.retryAfterMs != null ? " (Retry-After)" : "";
+    countUpstreamRetry(service.label, method, path);
+    mcpLog.warn(`${method} ${path} ${why}, retrying in ${(wait / 1000).toFixed(1)}s${after} (attempt ${attempt + 1}/${policy.retries})...`, { correlation_id: correlationId });
+    await waitOrAbort(wait, opts.signal);
   }
 }
 
 export async function get(path, sessionId, opts) {
-  return request("GET", path, undefined, sessionId, opts);
+  return request(API_SERVICE, "GET", path, undefined, sessionId, opts);
 }
 
 export async function post(path, body, sessionId, opts) {
-  return request("POST", path, body, sessionId, opts);
+  return request(API_SERVICE, "POST", path, body, sessionId, opts);
 }
 
 export async function patch(path, body, sessionId, opts) {
-  return request("PATCH", path, body, sessionId, opts);
+  return request(API_SERVICE, "PATCH", path, body, sessionId, opts);
 }
 
 export async function del(path, sessionId, opts) {
-  return request("DELETE", path, undefined, sessionId, opts);
+  return request(API_SERVICE, "DELETE", path, undefined, sessionId, opts);
+}
+
+// ── Core client ───────────────────────────────────────────────────
+// Core endpoints (job chains, slim job status, notifications) used by the
+// chain/status/notification tools. Same credentials (api-key or master-mode
+// headers), retries, breaker and ApiError as the API client above; only the
+// base URL differs (getCoreBaseUrl).
+
+export async function coreGet(path, sessionId, opts) {
+  return request(CORE_SERVICE, "GET", path, undefined, sessionId, opts);
+}
+
+export async function corePost(path, body, sessionId, opts) {
+  return request(CORE_SERVICE, "POST", path, body, sessionId, opts);
 }
 
 /**
@@ -597,7 +1355,7 @@ export async function listTenants(sessionId) {
   const timeout = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
 
   try {
-    const res = await fetch(`${BASE_URL}/deploy/tenants`, {
+    const res = await cassetteFetch(`${BASE_URL}/deploy/tenants`, {
       method: "GET",
       headers: {
         "Content-Type": "application/json",
@@ -607,7 +1365,14 @@ export async function listTenants(sessionId) {
     });
     if (!res.ok) {
       const text = await res.text().catch(() => "");
-      throw new Error(`Tenant list error: GET /deploy/tenants returned ${res.status} — ${text}`);
+      throw new ApiError(`Tenant list error: GET /deploy/tenants returned ${res.status} — ${text}`, {
+        status: res.status,
+        upstreamCode: upstreamErrorCode(text),
+        method: "GET",
+        url: `${BASE_URL}/deploy/tenants`,
+        retriable: RETRIABLE_STATUSES.has(res.status),
+        hint: STATUS_HINTS[res.status] || null,
+      });
     }
     const data = await res.json();
     return data.tenants || [];
@@ -0,0 +1,176 @@
+/**
+ * Audit trail for tool calls that change tenant state or reach people —
+ * deploys, patches, deletes, GitHub writes, test notifications (the set is
+ * AUDITED_TOOLS in tools.js).
+ *
+ * One record per call, whatever the outcome (refused calls included):
+ *   { time, tool, outcome, tenant, master, bearer_fingerprint, session,
+ *     request_id, args_hash, solution_id, skill_id, connector_id, actor_id,
+ *     duration_ms, error_code? }
+ * Arguments are only ever stored as a hash — they carry definitions, file
+ * contents and message text.
+ *
+ *   ATEAM_AUDIT_DIR        directory for audit.jsonl (append-only, 0600). When
+ *                          it passes ATEAM_AUDIT_MAX_BYTES (default 10 MB) it is
+ *                          renamed to audit-<time>.jsonl; ATEAM_AUDIT_KEEP
+ *                          (default 10) rotated files are kept.
+ *                          Unset → every record is logged at info level
+ *                          ("audit: <tool> <outcome>" with the record as
+ *                          fields), so the log pipeline holds the durable
+ *                          trail; the last AUDIT_MEMORY_SIZE are also kept in
+ *                          memory for /admin/audit, gone on restart.
+ *
+ * Read back with queryAudit() — GET /admin/audit (admin.js). Files are read
+ * newest first, off the event loop, and reading stops once `limit` records
+ * matched (or `since` is passed).
+ */
+
+import { appendFileSync, mkdirSync, readdirSync, renameSync, statSync, unlinkSync } from "node:fs";
+import { readFile } from "node:fs/promises";
+import { join } from "node:path";
+import { createHash } from "node:crypto";
+import { getCredentials, getSessionBearer, bearerFingerprint, isMasterMode } from "./api.js";
+import { getLogContext, createLogger } from "./logger.js";
+
+const log = createLogger("Audit");
+
+function envInt(name, fallback) {
+  const n = parseInt(process.env[name], 10);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+const AUDIT_DIR = process.env.ATEAM_AUDIT_DIR || "";
+const AUDIT_MAX_BYTES = envInt("ATEAM_AUDIT_MAX_BYTES", 10 * 1024 * 1024);
+const AUDIT_KEEP = envInt("ATEAM_AUDIT_KEEP", 10);
+const AUDIT_MEMORY_SIZE = 1000;
+
+const CURRENT_FILE = "audit.jsonl";
+const ROTATED_RE = /^audit-.+\.jsonl$/;
+
+const memory = []; // newest last
+let rotations = 0;
+
+/** JSON with object keys sorted, so equal args hash equally whatever their order. */
+function canonical(value) {
+  if (Array.isArray(value)) return `[${value.map(canonical).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value).sort().map((k) => `${JSON.stringify(k)}:${canonical(value[k])}`).join(",")}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+export function hashArgs(args) {
+  return createHash("sha256").update(canonical(args || {})).digest("hex").slice(0, 16);
+}
+
+function rotateIfFull(path) {
+  let size;
+  try { size = statSync(path).size; } catch { return; }
+  if (size < AUDIT_MAX_BYTES) return;
+  // The pid + sequence keep two rotations in the same millisecond (or from
+  // two instances sharing the directory) from overwriting each other.
+  const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+  renameSync(path, join(AUDIT_DIR, `audit-${stamp}-${process.pid}-${++rotations}.jsonl`));
+  const rotated = readdirSync(AUDIT_DIR).filter((f) => ROTATED_RE.test(f)).sort();
+  for (const old of rotated.slice(0, Math.max(0, rotated.length - AUDIT_KEEP))) {
+    unlinkSync(join(AUDIT_DIR, old));
+  }
+}
+
+function write(record) {
+  memory.push(record);
+  if (memory.length > AUDIT_MEMORY_SIZE) memory.shift();
+  if (!AUDIT_DIR) return;
+  try {
+    mkdirSync(AUDIT_DIR, { recursive: true, mode: 0o700 });
+    const path = join(AUDIT_DIR, CURRENT_FILE);
+    rotateIfFull(path);
+    appendFileSync(path, JSON.stringify(record) + "\n", { mode: 0o600 });
+  } catch (err) {
+    // Never fail the tool call over its audit line — but make the gap loud.
+    log.error(`Audit write failed (${record.tool} ${record.outcome}): ${err.message}`);
+  }
+}
+
+/**
+ * Record one audited tool call.
+ * @param {{ tool: string, args?: object, sessionId?: string, outcome: "ok"|"failed"|"error"|"refused",
+ *   errorCode?: string, durationMs?: number }} call
+ */
+export function auditToolCall({ tool, args, sessionId, outcome, errorCode, durationMs }) {
+  let tenant = null;
+  try { tenant = getCredentials(sessionId)?.tenant || null; } catch { /* malformed env key — still audit */ }
+  const bearer = sessionId ? getSessionBearer(sessionId) : null;
+  const record = {
+    time: new Date().toISOString(),
+    tool,
+    outcome,
+    tenant,
+    master: isMasterMode(sessionId),
+    bearer_fingerprint: bearer ? bearerFingerprint(bearer) : null,
+    session: sessionId || null,
+    request_id: getLogContext().request_id || null,
+    args_hash: hashArgs(args),
+    solution_id: args?.solution_id || null,
+    skill_id: args?.skill_id || null,
+    connector_id: args?.connector_id || null,
+    actor_id: args?.actor_id || null,
+    duration_ms: durationMs ?? null,
+    ...(errorCode && { error_code: errorCode }),
+  };
+  write(record);
+  if (AUDIT_DIR) log.debug(`${tool} ${outcome}`, { tenant, solution_id: record.solution_id });
+  else log.info(`audit: ${tool} ${outcome}`, record);
+}
+
+/** Records of one JSONL file, newest first. */
+async function readFileNewestFirst(path) {
+  let text;
+  try { text = await readFile(path, "utf8"); } catch { return []; }
+  const records = [];
+  for (const line of text.split("\n").reverse()) {
+    if (!line) continue;
+    try { records.push(JSON.parse(line)); } catch { /* torn last line of a crashed write */ }
+  }
+  return records;
+}
+
+/** Audit record sources, newest first: memory, or the current file then the rotated ones. */
+async function* recordsNewestFirst() {
+  if (!AUDIT_DIR) {
+    yield* [...memory].reverse();
+    return;
+  }
+  let rotated;
+  try {
+    rotated = readdirSync(AUDIT_DIR).filter((f) => ROTATED_RE.test(f)).sort().reverse();
+  } catch {
+    return;
+  }
+  for (const file of [CURRENT_FILE, ...rotated]) {
+    yield* await readFileNewestFirst(join(AUDIT_DIR, file));
+  }
+}
+
+/**
+ * Audit records matching every given filter, newest first.
+ * @param {{ tenant?: string, tool?: string, solution_id?: string, outcome?: string,
+ *   bearer_fingerprint?: string, since?: string, until?: string, limit?: number }} [filter]
+ * @returns {Promise<object[]>}
+ */
+export async function queryAudit({ since, until, limit = 100, ...fields } = {}) {
+  const sinceMs = since ? Date.parse(since) : null;
+  const untilMs = until ? Date.parse(until) : null;
+  const max = Math.max(1, Math.min(Number(limit) || 100, 1000));
+  const wanted = Object.entries(fields).filter(([, v]) => v !== undefined && v !== "");
+  const matches = [];
+  for await (const r of recordsNewestFirst()) {
+    const t = Date.parse(r.time);
+    if (sinceMs && t < sinceMs) break; // everything further back is older still
+    if (untilMs && t > untilMs) continue;
+    if (!wanted.every(([k, v]) => String(r[k]) === String(v))) continue;
+    matches.push(r);
+    if (matches.length >= max) break;
+  }
+  return matches;
+}
@@ -0,0 +1,153 @@
+/**
+ * Record/replay ("cassette") mode for upstream traffic.
+ *
+ *   ADAS_RECORD=<dir>  every upstream request/response pair is appended to
+ *                      <dir>/<timestamp>-<pid>.jsonl, secrets redacted
+ *   ADAS_REPLAY=<dir>  upstream calls are answered from the recordings in
+ *                      <dir> — no network; an unrecorded call throws
+ *
+ * All upstream traffic goes through cassetteFetch: the API and Core clients
+ * (request(), listTenants, breaker probes), the deep health probes (health.js)
+ * and file downloads in tools.js. With neither variable set it is plain fetch.
+ *
+ * Replay matches on method + path/query + (redacted) body, falling back to
+ * method + path/query. Recordings of the same request are served in order and
+ * the last one repeats, so polling loops replay to their recorded end state.
+ * The host is ignored — a prod recording replays against any base URL.
+ */
+
+import { createHash } from "node:crypto";
+import { appendFileSync, mkdirSync, readdirSync, readFileSync } from "node:fs";
+import { join } from "node:path";
+import { redactSecrets, redactString } from "./redact.js";
+import { createLogger } from "./logger.js";
+
+const log = createLogger("Cassette");
+
+const RECORD_DIR = process.env.ADAS_RECORD || "";
+const REPLAY_DIR = process.env.ADAS_REPLAY || "";
+
+let recordFile = null;
+let recordSeq = 0;
+
+// Replay index, loaded on first use: key → { entries, next }
+let replayIndex = null;
+
+function pathOf(url) {
+  const u = new URL(url);
+  return `${u.pathname}${u.search}`;
+}
+
+/** Request body as stored in a recording: parsed JSON when possible, redacted. */
+function recordedBody(body) {
+  if (body == null) return null;
+  if (typeof body !== "string") return "[non-text body]";
+  try { return redactSecrets(JSON.parse(body)); } catch { return redactString(body); }
+}
+
+function bodyHash(recorded) {
+  return recorded == null ? "-" : createHash("sha256").update(JSON.stringify(recorded)).digest("hex").slice(0, 16);
+}
+
+function exactKey(method, path, recorded) {
+  return `${method} ${path} ${bodyHash(recorded)}`;
+}
+
+function looseKey(method, path) {
+  return `${method} ${path}`;
+}
+
+function record(entry) {
+  if (!recordFile) {
+    mkdirSync(RECORD_DIR, { recursive: true, mode: 0o700 });
+    recordFile = join(RECORD_DIR, `${new Date().toISOString().replace(/[:.]/g, "-")}-${process.pid}.jsonl`);
+    log.info(`Recording upstream traffic to ${recordFile}`);
+  }
+  appendFileSync(recordFile, JSON.stringify({ seq: ++recordSeq, at: new Date().toISOString(), ...entry }) + "\n", { mode: 0o600 });
+}
+
+function loadReplay() {
+  replayIndex = new Map();
+  const files = readdirSync(REPLAY_DIR).filter((f) => f.endsWith(".jsonl")).sort();
+  let count = 0;
+  for (const file of files) {
+    for (const line of readFileSync(join(REPLAY_DIR, file), "utf8").split("\n")) {
+      if (!line.trim()) continue;
+      const entry = JSON.parse(line);
+      const path = pathOf(entry.request.url);
+      for (const key of [exactKey(entry.request.method, path, entry.request.body), looseKey(entry.request.method, path)]) {
+        if (!replayIndex.has(key)) replayIndex.set(key, { entries: [], next: 0 });
+        replayIndex.get(key).entries.push(entry);
+      }
+      count++;
+    }
+  }
+  log.info(`Replaying ${count} recorded exchange(s) from ${REPLAY_DIR} (${files.length} file(s)) — network disabled`);
+}
+
+function replay(method, url, body) {
+  if (!replayIndex) loadReplay();
+  const path = pathOf(url);
+  const slot = replayIndex.get(exactKey(method, path, recordedBody(body))) || replayIndex.get(looseKey(method, path));
+  if (!slot) {
+    throw new Error(`ADAS_REPLAY: no recorded response for ${method} ${path} in ${REPLAY_DIR}`);
+  }
+  const entry = slot.entries[Math.min(slot.next, slot.entries.length - 1)];
+  slot.next++;
+
+  if (entry.error) {
+    if (entry.error.name === "AbortError") throw new DOMException(entry.error.message || "aborted", "AbortError");
+    const err = new TypeError(entry.error.message || "fetch failed");
+    if (entry.error.code) err.cause = { code: entry.error.code };
+    throw err;
+  }
+  const { status, headers, body: text } = entry.response;
+  const noBody = status === 204 || status === 304;
+  return new Response(noBody ? null : text, { status, headers });
+}
+
+/**
+ * Drop-in replacement for fetch(url, init) that records or replays when
+ * ADAS_RECORD / ADAS_REPLAY is set.
+ */
+export async function cassetteFetch(url, init = {}) {
+  const method = (init.method || "GET").toUpperCase();
+  if (REPLAY_DIR) return replay(method, String(url), init.body);
+  if (!RECORD_DIR) return fetch(url, init);
+
+  const request = {
+    method,
+    url: redactString(String(url)),
+    headers: redactSecrets({ ...(init.headers || {}) }),
+    body: recordedBody(init.body),
+  };
+  const started = Date.now();
+  let res;
+  try {
+    res = await fetch(url, init);
+  } catch (err) {
+    record({ request, error: { name: err.name, message: err.message, code: err.cause?.code || null }, duration_ms: Date.now() - started });
+    throw err;
+  }
+  const text = await res.clone().text().catch(() => "");
+  // Stored body is already decoded — drop the headers that describe the wire form.
+  const resHeaders = Object.fromEntries(res.headers);
+  delete resHeaders["content-encoding"];
+  delete resHeaders["content-length"];
+  delete resHeaders["transfer-encoding"];
+  record({
+    request,
+    response: {
+      status: res.status,
+      headers: redactSecrets(resHeaders),
+      body: redactString(text),
+    },
+    duration_ms: Date.now() - started,
+  });
+  return res;
+}
+
+/** Active cassette mode — "record", "replay" or null. */
+export function getCassetteMode() {
+  return REPLAY_DIR ? "replay" : RECORD_DIR ? "record" : null;
+}
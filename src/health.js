@@ -0,0 +1,116 @@
+/**
+ * Deep health check — GET /health?deep=1 and /health/ready (http.js).
+ *
+ * Probes what the tools depend on, each once with a short timeout (no retries,
+ * no circuit breaker — the answer should be what the dependency says right
+ * now):
+ *
+ *   api   GET  ADAS_API_URL/health      critical
+ *   spec  HEAD ADAS_API_URL/spec        critical — every build flow starts from
+ *                                       it; HEAD, so the document isn't downloaded
+ *   core  GET  Core base (ADAS_CORE_URL
+ *         or ADAS_API_URL)/health       degraded only — backs job chains and
+ *                                       notifications, not deploys
+ *
+ * A critical dependency down → status "down" (HTTP 503); only non-critical
+ * ones down → "degraded" (200).
+ *
+ * The endpoint is unauthenticated (load balancers poll it), so a report is
+ * reused for ATEAM_HEALTH_CACHE_MS (default 5000, 0 = probe every time) and
+ * concurrent checks share one round of probes — a flood of ?deep=1 hits costs
+ * the upstream at most one round per window. `checked_at` says when it ran.
+ *
+ * Probes go through cassetteFetch like all other upstream traffic, so under
+ * ADAS_REPLAY the report reflects the recording instead of the network.
+ *
+ * ATEAM_HEALTH_PROBE_TIMEOUT_MS sets the per-probe timeout (default 3000).
+ */
+
+import { readFileSync } from "node:fs";
+import { getBaseUrl, getCoreBaseUrl } from "./api.js";
+import { cassetteFetch } from "./cassette.js";
+
+const PROBE_TIMEOUT_MS = (() => {
+  const n = parseInt(process.env.ATEAM_HEALTH_PROBE_TIMEOUT_MS, 10);
+  return Number.isFinite(n) && n > 0 ? n : 3000;
+})();
+
+const CACHE_MS = (() => {
+  const n = parseInt(process.env.ATEAM_HEALTH_CACHE_MS, 10);
+  return Number.isFinite(n) && n >= 0 ? n : 5000;
+})();
+
+const STARTED_AT = Date.now();
+
+const VERSION = (() => {
+  try {
+    return JSON.parse(readFileSync(new URL("../package.json", import.meta.url), "utf8")).version;
+  } catch {
+    return null;
+  }
+})();
+
+const DEPENDENCIES = [
+  { name: "api", critical: true, url: () => `${getBaseUrl()}/health` },
+  { name: "spec", critical: true, method: "HEAD", url: () => `${getBaseUrl()}/spec` },
+  { name: "core", critical: false, url: () => `${getCoreBaseUrl()}/health` },
+];
+
+/** One request: { status: "up"|"down", critical, url, latency_ms, http_status?, version?, error? } */
+async function probe(dep) {
+  const url = dep.url();
+  const started = Date.now();
+  const result = { critical: dep.critical, url };
+  try {
+    const res = await cassetteFetch(url, { method: dep.method || "GET", signal: AbortSignal.timeout(PROBE_TIMEOUT_MS) });
+    const body = await res.text();
+    result.latency_ms = Date.now() - started;
+    result.http_status = res.status;
+    result.status = res.ok ? "up" : "down";
+    try {
+      const version = JSON.parse(body)?.version;
+      if (version) result.version = String(version);
+    } catch { /* not JSON — /spec may serve text */ }
+    if (!res.ok) result.error = `HTTP ${res.status}`;
+  } catch (err) {
+    result.latency_ms = Date.now() - started;
+    result.status = "down";
+    result.error = err.name === "TimeoutError"
+      ? `no response within ${PROBE_TIMEOUT_MS}ms`
+      : err.cause?.code || err.message;
+  }
+  return [dep.name, result];
+}
+
+let lastRound = null; // { at, status, dependencies }
+let roundInFlight = null;
+
+async function probeAll() {
+  const dependencies = Object.fromEntries(await Promise.all(DEPENDENCIES.map(probe)));
+  const down = Object.values(dependencies).filter((d) => d.status === "down");
+  const status = down.some((d) => d.critical) ? "down" : down.length ? "degraded" : "ok";
+  return { at: Date.now(), status, dependencies };
+}
+
+/**
+ * Probe every dependency in parallel — or reuse the last round while it is
+ * younger than ATEAM_HEALTH_CACHE_MS.
+ * @returns {Promise<{ ok: boolean, status: "ok"|"degraded"|"down", version: string|null,
+ *   uptime_s: number, started_at: string, checked_at: string, dependencies: Object<string, object> }>}
+ */
+export async function checkDependencies() {
+  if (!lastRound || Date.now() - lastRound.at >= CACHE_MS) {
+    roundInFlight ??= probeAll().finally(() => { roundInFlight = null; });
+    lastRound = await roundInFlight;
+  }
+  const { at, status, dependencies } = lastRound;
+  return {
+    ok: status !== "down",
+    status,
+    version: VERSION,
+    uptime_s: Math.round((Date.now() - STARTED_AT) / 1000),
+    started_at: new Date(STARTED_AT).toISOString(),
+    checked_at: new Date(at).toISOString(),
+    dependencies,
+  };
+}
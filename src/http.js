@@ -6,6 +6,9 @@
  *   - Claude.ai sends requests to the connector URL (root "/")
  *   - Claude Code and other clients may use "/mcp"
  *
+ * Older clients that speak the deprecated HTTP+SSE transport connect to
+ * GET /sse and post to /messages?sessionId=… (same auth as "/mcp").
+ *
  * OAuth2 (enabled by default):
  *   Serves /.well-known/*, /authorize, /token, /register endpoints.
  *   MCP routes require a Bearer token — triggers OAuth discovery in Claude.ai.
@@ -20,20 +23,59 @@
 
 import { randomUUID } from "node:crypto";
 import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
+import { SSEServerTransport } from "@modelcontextprotocol/sdk/server/sse.js";
 import { isInitializeRequest } from "@modelcontextprotocol/sdk/types.js";
 import express from "express";
 import { createServer } from "./server.js";
 import {
   clearSession, setSessionCredentials, parseApiKey,
-  startSessionSweeper, getSessionStats, sweepStaleSessions,
+  startSessionSweeper, getSessionStats, sweepStaleSessions, flushSessionStore,
+  getCircuitStates, getConcurrencyStats,
   bindSessionBearer, getAuthOverride, getSessionBearer, bearerOwnershipOk,
+  hasStoredSession, READ_ONLY_SCOPE,
 } from "./api.js";
 import { mountOAuth } from "./oauth.js";
+import { mountAdmin, bearerMatches } from "./admin.js";
+import { checkDependencies } from "./health.js";
+import { mcpIpRateLimit, mcpRateLimit } from "./rateLimit.js";
+import { renderMetrics, registerGauge, countOAuthExchange } from "./metrics.js";
+import { createLogger, logToStdout, withLogContext } from "./logger.js";
 import { connectGithubPage } from "./pages.js";
 
+const log = createLogger("HTTP");
+const authLog = createLogger("Auth");
+
 // Active sessions
 const transports = {};
 
+// Legacy HTTP+SSE sessions (GET /sse + POST /messages), by session id. Kept
+// apart from `transports`: they have no handleRequest, and their stream is
+// tied to this instance, so they can't be resumed elsewhere.
+const sseTransports = {};
+
+// Set once shutdown begins (SIGINT/SIGTERM). From then on no new sessions are
+// accepted and /health answers 503. Transports closed during shutdown must
+// NOT clear their session credentials — with a persistent session store
+// (ATEAM_SESSION_STORE=file|sqlite) that state has to survive the restart.
+let shuttingDown = false;
+
+// MCP POSTs being handled right now. Transports answer with plain JSON, so a
+// POST stays open until its tool call finishes — this is the drain count.
+let inFlightPosts = 0;
+
+// Legacy SSE requests not yet answered, per session. POST /messages returns
+// 202 at once and the response goes out on the stream, so these are counted
+// until it's sent.
+const ssePending = {};
+const inFlightCalls = () => Object.values(ssePending).reduce((sum, n) => sum + n, inFlightPosts);
+
+// How long shutdown waits for in-flight tool calls before closing transports
+// (which cancels whatever is still running).
+const SHUTDOWN_DRAIN_MS = (() => {
+  const n = parseInt(process.env.ATEAM_SHUTDOWN_DRAIN_MS, 10);
+  return Number.isFinite(n) && n >= 0 ? n : 25_000;
+})();
+
 // MCP paths — Claude.ai uses "/" (connector URL), others may use "/mcp"
 const MCP_PATHS = ["/", "/mcp"];
 
@@ -47,28 +89,48 @@ const MCP_PATHS = ["/", "/mcp"];
 // injected with User A's token. IP-scoping prevents that: injection only
 // happens for the same client IP that completed the token exchange.
 //
+// Kept in process memory, never in the shared session store: values are live
+// bearer tokens, which oauth.js only ever stores as hashes. The handshake
+// window is short enough that a client landing on another instance just
+// presents its token itself.
+//
 // Key: client IP string, Value: { token, createdAt }
 const recentTokensByIp = new Map();
 const TOKEN_TTL = 5 * 60 * 1000; // 5 minutes — OAuth→MCP handshake window only
 
+// A caller-supplied X-Request-Id is reused as the correlation id when it looks
+// like an id; anything else gets a fresh one.
+const REQUEST_ID_RE = /^[A-Za-z0-9._:-]{1,128}$/;
+
 export function startHttpServer(port = 3100) {
+  logToStdout(); // stdout is free in HTTP mode (stdio mode keeps it for JSON-RPC)
   const app = express();
   app.set("trust proxy", 1); // behind Cloudflare tunnel
 
   // ─── Request logging ────────────────────────────────────────────
+  // Every request gets a correlation id, echoed as X-Request-Id and attached
+  // to every log line written while it is handled.
   app.use((req, res, next) => {
     const url = req.originalUrl || req.url;
     const start = Date.now();
+    const incoming = req.headers["x-request-id"];
+    req.requestId = typeof incoming === "string" && REQUEST_ID_RE.test(incoming) ? incoming : randomUUID();
+    res.setHeader("X-Request-Id", req.requestId);
     const auth = req.headers.authorization;
-    console.log(`[HTTP] >>> ${req.method} ${url}${auth ? " Auth: [Bearer ...]" : ""}${MCP_PATHS.includes(url.split("?")[0]) ? ` Accept: ${req.headers.accept || "(none)"}` : ""}`);
+    const ctx = { request_id: req.requestId };
+    log.info(`>>> ${req.method} ${url}${auth ? " Auth: [Bearer ...]" : ""}${MCP_PATHS.includes(url.split("?")[0]) ? ` Accept: ${req.headers.accept || "(none)"}` : ""}`, ctx);
     res.on("finish", () => {
-      console.log(`[HTTP] <<< ${req.method} ${url} → ${res.statusCode} (${Date.now() - start}ms)`);
+      log.info(`<<< ${req.method} ${url} → ${res.statusCode} (${Date.now() - start}ms)`, ctx);
     });
     next();
   });
 
   app.use(express.json());
 
+  // Set the log context after body parsing — the parser's stream callbacks
+  // would drop it.
+  app.use((req, _res, next) => withLogContext({ request_id: req.requestId }, next));
+
   // ─── Fix Accept header for MCP endpoints ──────────────────────────
   // The MCP SDK requires Accept to include BOTH application/json and
   // text/event-stream. Different clients send different combinations:
@@ -110,6 +172,11 @@ export function startHttpServer(port = 3100) {
     // res.json() before the SDK's token handler sends the response.
     app.use("/token", (req, res, next) => {
       if (req.method !== "POST") return next();
+      // req.body is filled in by the SDK's token handler (form-encoded) by
+      // the time the response finishes.
+      res.on("finish", () => {
+        countOAuthExchange(req.body?.grant_type, res.statusCode >= 200 && res.statusCode < 300 ? "ok" : "error");
+      });
       const origJson = res.json.bind(res);
       res.json = (data) => {
         if (data && data.access_token && res.statusCode >= 200 && res.statusCode < 300) {
@@ -120,7 +187,7 @@ export function startHttpServer(port = 3100) {
             token: data.access_token,
             createdAt: Date.now(),
           });
-          console.log(`[Auth] Cached OAuth token for ip=${ip} (${recentTokensByIp.size} active IPs)`);
+          authLog.info(`Cached OAuth token for ip=${ip} (${recentTokensByIp.size} active IPs)`);
           // Prune expired
           for (const [k, v] of recentTokensByIp) {
             if (Date.now() - v.createdAt > TOKEN_TTL) recentTokensByIp.delete(k);
@@ -131,12 +198,14 @@ export function startHttpServer(port = 3100) {
       next();
     });
 
-    const oauth = mountOAuth(app, baseUrl);
+    const oauth = mountOAuth(app, baseUrl, {
+      onRevoke: (sessionIds) => Promise.all(sessionIds.map(closeLocalTransport)),
+    });
     bearerMiddleware = oauth.bearerMiddleware;
 
-    console.log(`  OAuth: enabled (issuer: ${baseUrl})`);
+    log.info(`OAuth: enabled (issuer: ${baseUrl})`);
   } else {
-    console.log("  OAuth: disabled (ATEAM_OAUTH_DISABLED=1)");
+    log.info("OAuth: disabled (ATEAM_OAUTH_DISABLED=1)");
   }
 
   // ─── Token auto-injection middleware ────────────────────────────
@@ -160,7 +229,7 @@ export function startHttpServer(port = 3100) {
     } else {
       req.rawHeaders.push("Authorization", `Bearer ${token}`);
     }
-    console.log(`[Auth] Auto-injected IP-scoped token for ip=${ip} into ${req.method} ${req.originalUrl || req.url}`);
+    authLog.info(`Auto-injected IP-scoped token for ip=${ip} into ${req.method} ${req.originalUrl || req.url}`);
     next();
   };
 
@@ -213,13 +282,56 @@ export function startHttpServer(port = 3100) {
   }
 
   // ─── Health check ─────────────────────────────────────────────
-  app.get("/health", (_req, res) => {
-    res.json({
-      ok: true,
+  // ?deep=1 (or /health/ready) also probes the A-Team API, /spec and Core
+  // and answers 503 when a critical one is down — see health.js.
+  const health = async (req, res) => {
+    // Draining: tell the load balancer to stop routing here.
+    if (shuttingDown) {
+      res.status(503).json({ ok: false, service: "ateam-mcp", status: "shutting_down", in_flight: inFlightCalls() });
+      return;
+    }
+    const deep = req.path === "/health/ready" || ["1", "true"].includes(String(req.query.deep));
+    const report = deep ? await checkDependencies() : null;
+    if (report && !report.ok) {
+      const down = Object.entries(report.dependencies).filter(([, d]) => d.status === "down");
+      log.warn(`Deep health: down — ${down.map(([name, d]) => `${name} (${d.error})`).join(", ")}`);
+    }
+    res.status(report && !report.ok ? 503 : 200).json({
+      ok: report ? report.ok : true,
       service: "ateam-mcp",
       transport: "http",
+      ...report,
       sessions: getSessionStats(),
+      // Circuit breaker per A-Team API base this server has talked to —
+      // "open" means calls to that base are failing fast.
+      upstream: getCircuitStates(),
+      // Outbound request slots in use / queued per session and tenant.
+      concurrency: getConcurrencyStats(),
     });
+  };
+  app.get("/health", health);
+  app.get("/health/ready", health);
+
+  // ─── Metrics — Prometheus text format ──────────────────────────
+  // ATEAM_METRICS_TOKEN set → scrapes must send "Authorization: Bearer <token>".
+  // Unset → open, like /health (bind the port privately or set the token).
+  registerGauge("sessions_active", "Sessions with credentials in the session store.", () => getSessionStats().active);
+  registerGauge("transports_active", "Open MCP streamable HTTP transports.", () => Object.keys(transports).length);
+  const metricsToken = process.env.ATEAM_METRICS_TOKEN || "";
+  app.get("/metrics", (req, res) => {
+    if (metricsToken && !bearerMatches(req, metricsToken)) {
+      res.status(401).json({ error: "Unauthorized: /metrics requires the metrics token" });
+      return;
+    }
+    res.type("text/plain; version=0.0.4; charset=utf-8").send(renderMetrics());
+  });
+
+  // ─── Admin — live sessions and overrides ───────────────────────
+  // Only mounted when ATEAM_ADMIN_TOKEN is set. See admin.js.
+  const adminEnabled = mountAdmin(app, {
+    token: process.env.ATEAM_ADMIN_TOKEN || "",
+    isOpen: (sid) => !!(transports[sid] || sseTransports[sid]),
+    closeTransport: closeLocalTransport,
   });
 
   // ─── Get API Key — redirect to the main web app's Tenant Admin →
@@ -246,8 +358,9 @@ export function startHttpServer(port = 3100) {
   // session). A session with no bound bearer (the no-bearer ateam_auth flow) has
   // nothing to match against, so this is a no-op there.
   const denySessionReuse = (req, res, sessionId) => {
-    if (sessionId && !bearerOwnershipOk(getSessionBearer(sessionId), req.auth?.token)) {
-      console.warn(`[Auth] DENY session reuse: bearer mismatch for session ${sessionId} (presented=${req.auth?.token ? "other-bearer" : "none"})`);
+    const presented = bearerKey(req);
+    if (sessionId && !bearerOwnershipOk(getSessionBearer(sessionId), presented)) {
+      authLog.warn(`DENY session reuse: bearer mismatch for session ${sessionId} (presented=${presented ? "other-bearer" : "none"})`);
       res.status(401).json({
         jsonrpc: "2.0",
         error: { code: -32001, message: "Unauthorized: this session belongs to a different credential. Re-initialize with your own Authorization." },
@@ -258,7 +371,71 @@ export function startHttpServer(port = 3100) {
     return false;
   };
 
+  // Counts the POST toward the shutdown drain; during shutdown only requests
+  // for sessions this instance already serves get through.
   const mcpPost = async (req, res) => {
+    const sessionId = req.headers["mcp-session-id"];
+    if (shuttingDown && !(sessionId && transports[sessionId])) {
+      res.setHeader("Retry-After", "5");
+      res.status(503).json({
+        jsonrpc: "2.0",
+        error: { code: -32000, message: "Server is shutting down — retry shortly (a new instance will take the session)." },
+        id: req.body?.id ?? null,
+      });
+      return;
+    }
+    inFlightPosts++;
+    try {
+      await handleMcpPost(req, res);
+    } finally {
+      inFlightPosts--;
+    }
+  };
+
+  // New transport + MCP server for `sid`. `resumed`: the client already holds
+  // this id from an earlier initialize (stale session, or one opened on
+  // another instance) — skip the handshake and register the transport now.
+  const openTransport = async (sid, { resumed = false } = {}) => {
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => sid,
+      enableJsonResponse: true,
+      onsessioninitialized: (id) => {
+        transports[id] = transport;
+      },
+    });
+
+    transport.onclose = () => {
+      const id = transport.sessionId;
+      if (id) {
+        delete transports[id];
+        if (!shuttingDown) clearSession(id); // drop per-session credentials
+      }
+    };
+
+    const server = createServer(sid, { jsonResponses: true });
+    await server.connect(transport);
+
+    if (resumed) {
+      // Force the underlying web-standard transport into "initialized" state without
+      // requiring a real initialize handshake. This bypasses the SDK's built-in check
+      // (`Bad Request: Server not initialized`) so the non-initialize request dispatches.
+      const inner = transport._webStandardTransport;
+      if (inner) {
+        inner.sessionId = sid;
+        inner._initialized = true;
+        // Neutralize session-id validation for this transport — the client's header
+        // still carries the stale id and the SDK would otherwise 404. We trust that
+        // we already looked up the transport ourselves.
+        inner.validateSession = () => undefined;
+        // Also accept any protocol version the client sends.
+        inner.validateProtocolVersion = () => undefined;
+      }
+      transports[sid] = transport;
+    }
+    return transport;
+  };
+
+  const handleMcpPost = async (req, res) => {
     const sessionId = req.headers["mcp-session-id"];
     if (denySessionReuse(req, res, sessionId)) return;
 
@@ -276,9 +453,13 @@ export function startHttpServer(port = 3100) {
         // a fresh initialize under the hood whenever we see a stale session.
         const isStaleRecovery = sessionId && !transports[sessionId] && !isInitializeRequest(req.body);
         if (sessionId && isInitializeRequest(req.body)) {
-          console.log(`[HTTP] Stale session ${sessionId} — client re-initialized`);
+          log.info(`Stale session ${sessionId} — client re-initialized`);
+        } else if (isStaleRecovery && hasStoredSession(sessionId)) {
+          // Known to the session store — opened on another instance, or here
+          // before a restart — so its credentials and bearer binding carry over.
+          log.info(`Session ${sessionId} not open here — resuming from the session store (${req.body?.method || "unknown"})`);
         } else if (isStaleRecovery) {
-          console.log(`[HTTP] Stale session ${sessionId} — auto-reinitializing transparently (${req.body?.method || "unknown"})`);
+          log.info(`Stale session ${sessionId} — auto-reinitializing transparently (${req.body?.method || "unknown"})`);
         }
 
         // Reuse the client's existing session id instead of rotating to a fresh
@@ -294,41 +475,9 @@ export function startHttpServer(port = 3100) {
         // Seed credentials from OAuth Bearer token before server starts
         seedCredentials(req, newSessionId);
 
-        transport = new StreamableHTTPServerTransport({
-          sessionIdGenerator: () => newSessionId,
-          enableJsonResponse: true,
-          onsessioninitialized: (sid) => {
-            transports[sid] = transport;
-          },
-        });
-
-        transport.onclose = () => {
-          const sid = transport.sessionId;
-          if (sid) {
-            delete transports[sid];
-            clearSession(sid); // drop per-session credentials
-          }
-        };
-
-        const server = createServer(newSessionId);
-        await server.connect(transport);
+        transport = await openTransport(newSessionId, { resumed: isStaleRecovery });
 
         if (isStaleRecovery) {
-          // Force the underlying web-standard transport into "initialized" state without
-          // requiring a real initialize handshake. This bypasses the SDK's built-in check
-          // (`Bad Request: Server not initialized`) so the non-initialize request dispatches.
-          const inner = transport._webStandardTransport;
-          if (inner) {
-            inner.sessionId = newSessionId;
-            inner._initialized = true;
-            // Neutralize session-id validation for this transport — the client's header
-            // still carries the stale id and the SDK would otherwise 404. We trust that
-            // we already looked up the transport ourselves.
-            inner.validateSession = () => undefined;
-            // Also accept any protocol version the client sends.
-            inner.validateProtocolVersion = () => undefined;
-          }
-          transports[newSessionId] = transport;
           // Rewrite the request's session-id header so downstream code also sees the new id.
           req.headers["mcp-session-id"] = newSessionId;
           // Tell the client about the new session id so future requests use it.
@@ -350,7 +499,7 @@ export function startHttpServer(port = 3100) {
 
       await transport.handleRequest(req, res, req.body);
     } catch (err) {
-      console.error("MCP request error:", err);
+      log.error("MCP request error", { err });
       if (!res.headersSent) {
         res.status(500).json({
           jsonrpc: "2.0",
@@ -364,18 +513,44 @@ export function startHttpServer(port = 3100) {
   // ─── MCP GET — SSE stream for notifications ──────────────────
   const mcpGet = async (req, res) => {
     const sessionId = req.headers["mcp-session-id"];
-    if (!sessionId || !transports[sessionId]) {
+    if (!sessionId || (!transports[sessionId] && !hasStoredSession(sessionId))) {
       // No session: return health-check JSON (for ChatGPT connector validation)
       res.json({ ok: true, service: "ateam-mcp", transport: "http" });
       return;
     }
     if (denySessionReuse(req, res, sessionId)) return;
+    if (!transports[sessionId] && shuttingDown) {
+      // Same rule as the POST path: no new transports while draining.
+      res.setHeader("Retry-After", "5");
+      res.status(503).json({
+        jsonrpc: "2.0",
+        error: { code: -32000, message: "Server is shutting down — retry shortly (a new instance will take the session)." },
+        id: null,
+      });
+      return;
+    }
+    if (!transports[sessionId]) {
+      // Opened on another instance (or before a restart) — resume it here so
+      // the client's notification stream has somewhere to attach.
+      log.info(`Session ${sessionId} not open here — resuming from the session store for its SSE stream`);
+      seedCredentials(req, sessionId);
+      await openTransport(sessionId, { resumed: true });
+    }
     await transports[sessionId].handleRequest(req, res);
   };
 
   // ─── MCP DELETE — session termination ────────────────────────
   const mcpDelete = async (req, res) => {
     const sessionId = req.headers["mcp-session-id"];
+    if (sessionId && !transports[sessionId] && hasStoredSession(sessionId)) {
+      // Opened on another instance — terminating it here drops its
+      // credentials from the shared store, which is all there is to end.
+      if (denySessionReuse(req, res, sessionId)) return;
+      clearSession(sessionId);
+      log.info(`Session ${sessionId} terminated (not open here — cleared from the session store)`);
+      res.status(200).end();
+      return;
+    }
     if (!sessionId || !transports[sessionId]) {
       res.status(400).send("Invalid or missing session ID");
       return;
@@ -384,52 +559,171 @@ export function startHttpServer(port = 3100) {
     await transports[sessionId].handleRequest(req, res);
   };
 
+  // ─── Legacy HTTP+SSE transport ───────────────────────────────
+  // GET /sse opens the stream and announces /messages?sessionId=… as the
+  // endpoint; the client posts JSON-RPC there and reads responses off the
+  // stream. Same credential seeding and bearer-ownership rule as "/mcp".
+  const sseConnect = async (req, res) => {
+    if (shuttingDown) {
+      res.setHeader("Retry-After", "5");
+      res.status(503).json({ error: "Server is shutting down — reconnect shortly." });
+      return;
+    }
+    const transport = new SSEServerTransport("/messages", res);
+    const sid = transport.sessionId;
+    sseTransports[sid] = transport;
+    seedCredentials(req, sid);
+
+    // A response on the stream settles one of the session's pending requests.
+    ssePending[sid] = 0;
+    const send = transport.send.bind(transport);
+    transport.send = async (message, options) => {
+      if (ssePending[sid] > 0 && message.id !== undefined && ("result" in message || "error" in message)) {
+        ssePending[sid]--;
+      }
+      return send(message, options);
+    };
+
+    transport.onclose = () => {
+      delete ssePending[sid];
+      delete sseTransports[sid];
+      if (!shuttingDown) clearSession(sid);
+      log.info(`Legacy SSE session ${sid} closed`);
+    };
+
+    const server = createServer(sid);
+    await server.connect(transport); // starts the stream
+    log.info(`Legacy SSE session ${sid} opened`);
+  };
+
+  const sseMessage = async (req, res) => {
+    const sessionId = String(req.query.sessionId || "");
+    const transport = sseTransports[sessionId];
+    if (!transport) {
+      // Unknown here — expired, or its stream lives on another instance.
+      // Legacy clients reconnect to /sse on 404.
+      res.status(404).json({ error: "Unknown SSE session — reconnect to /sse" });
+      return;
+    }
+    if (denySessionReuse(req, res, sessionId)) return;
+    seedCredentials(req, sessionId);
+    const requests = (Array.isArray(req.body) ? req.body : [req.body])
+      .filter((m) => m?.method && m.id !== undefined).length;
+    ssePending[sessionId] += requests;
+    try {
+      await transport.handlePostMessage(req, res, req.body);
+    } catch (err) {
+      log.error("Legacy SSE message error", { err });
+      if (!res.headersSent) res.status(500).json({ error: "Internal server error" });
+    }
+    // Rejected before dispatch — no response will come for these.
+    if (res.statusCode >= 400 && sessionId in ssePending) {
+      ssePending[sessionId] = Math.max(0, ssePending[sessionId] - requests);
+    }
+  };
+
+  // ─── Rate limiting ──────────────────────────────────────────────
+  // Token buckets per validated bearer (or client IP), after auth so req.auth
+  // is known. One limiter shared by both paths — "/" and "/mcp" draw on the
+  // same budget. A looser per-IP budget runs before auth, so requests that
+  // strict auth rejects are limited too. See rateLimit.js for the budgets and
+  // env overrides.
+  const ipRateLimit = mcpIpRateLimit();
+  const rateLimit = mcpRateLimit();
+
   // Mount MCP handlers at both "/" and "/mcp"
   // "/" (Claude.ai): strict OAuth — requires Bearer token
   // "/mcp" (ChatGPT): optional auth — accepts OAuth OR ateam_auth tool
   for (const path of MCP_PATHS) {
     const auth = path === "/" ? mcpAuthStrict : mcpAuthOptional;
-    app.post(path, ...auth, mcpPost);
-    app.get(path, ...auth, mcpGet);
-    app.delete(path, ...auth, mcpDelete);
+    app.post(path, ipRateLimit, ...auth, rateLimit, mcpPost);
+    app.get(path, ipRateLimit, ...auth, rateLimit, mcpGet);
+    app.delete(path, ipRateLimit, ...auth, rateLimit, mcpDelete);
   }
+  app.get("/sse", ipRateLimit, ...mcpAuthOptional, rateLimit, sseConnect);
+  app.post("/messages", ipRateLimit, ...mcpAuthOptional, rateLimit, sseMessage);
 
   // ─── Catch-all: log unhandled requests ──────────────────────────
   app.use((req, res, next) => {
-    console.log(`[HTTP] UNMATCHED: ${req.method} ${req.originalUrl || req.url}`);
+    log.info(`UNMATCHED: ${req.method} ${req.originalUrl || req.url}`);
     if (!res.headersSent) res.status(404).json({ error: "Not found" });
   });
 
   // ─── Error handler ──────────────────────────────────────────────
   app.use((err, req, res, next) => {
-    console.error(`[HTTP] ERROR in ${req.method} ${req.originalUrl}:`, err.message || err);
+    log.error(`ERROR in ${req.method} ${req.originalUrl}: ${err.message || err}`);
     if (!res.headersSent) {
       res.status(500).json({ error: "Internal server error" });
     }
   });
 
   // ─── Start ────────────────────────────────────────────────────
-  app.listen(port, "0.0.0.0", () => {
-    console.log(`ateam-mcp HTTP server listening on port ${port}`);
-    console.log(`  MCP endpoint: http://localhost:${port}/mcp (also at /)`);
-    console.log(`  Health check: http://localhost:${port}/health`);
+  const httpServer = app.listen(port, "0.0.0.0", () => {
+    log.info(`ateam-mcp HTTP server listening on port ${port}`);
+    log.info(`MCP endpoint: http://localhost:${port}/mcp (also at /)`);
+    log.info(`Legacy SSE endpoint: http://localhost:${port}/sse`);
+    log.info(`Health check: http://localhost:${port}/health (dependencies: /health/ready)`);
+    log.info(`Metrics: http://localhost:${port}/metrics${metricsToken ? " (token required)" : ""}`);
+    log.info(`Admin API: ${adminEnabled ? `http://localhost:${port}/admin/sessions` : "disabled (set ATEAM_ADMIN_TOKEN)"}`);
   });
 
   // Start periodic session cleanup (sweeps stale sessions every 5 min)
   startSessionSweeper();
 
-  // Graceful shutdown — close all transports and clear sessions
-  process.on("SIGINT", async () => {
-    console.log(`[HTTP] Shutting down — closing ${Object.keys(transports).length} transport(s)...`);
+  // ─── Graceful shutdown ──────────────────────────────────────────
+  // SIGINT/SIGTERM: refuse new sessions and fail /health (the listener stays
+  // up so the load balancer sees the 503), wait up to SHUTDOWN_DRAIN_MS for
+  // in-flight tool calls, then close all transports — which aborts anything
+  // still running — and flush the session store. Session credentials are left
+  // in the store: the in-memory default dies with the process anyway, and a
+  // persistent store must keep them for the restart. A second signal exits
+  // immediately.
+  const shutdown = async (signal) => {
+    if (shuttingDown) {
+      log.warn(`${signal} received again — exiting without waiting for ${inFlightCalls()} in-flight call(s)`);
+      process.exit(1);
+    }
+    shuttingDown = true;
+    log.info(`${signal} — draining: no new sessions, waiting up to ${SHUTDOWN_DRAIN_MS / 1000}s for ${inFlightCalls()} in-flight call(s)`);
+    const deadline = Date.now() + SHUTDOWN_DRAIN_MS;
+    while (inFlightCalls() > 0 && Date.now() < deadline) {
+      await new Promise((r) => setTimeout(r, 100));
+    }
+    if (inFlightCalls() > 0) log.warn(`Drain deadline reached — cancelling ${inFlightCalls()} call(s) still in flight`);
+
+    log.info(`Shutting down — closing ${Object.keys(transports).length + Object.keys(sseTransports).length} transport(s)...`);
     for (const sid of Object.keys(transports)) {
       try {
         await transports[sid].close();
       } catch {}
       delete transports[sid];
-      clearSession(sid);
     }
+    for (const sid of Object.keys(sseTransports)) {
+      try {
+        await sseTransports[sid].close();
+      } catch {}
+    }
+    try { flushSessionStore(); } catch (err) {
+      log.error(`Session store flush failed: ${err.message}`);
+    }
+    httpServer.close();
     process.exit(0);
-  });
+  };
+  process.on("SIGINT", () => shutdown("SIGINT"));
+  process.on("SIGTERM", () => shutdown("SIGTERM"));
+}
+
+/**
+ * Close a session's transport on this instance (admin kill, token
+ * revocation). False if the session isn't open here.
+ */
+async function closeLocalTransport(sid) {
+  const transport = transports[sid] || sseTransports[sid];
+  if (!transport) return false;
+  await transport.close();
+  delete transports[sid];
+  delete sseTransports[sid];
+  return true;
 }
 
 // getNewestToken() removed — replaced by IP-scoped lookup in autoInjectToken.
@@ -437,28 +731,43 @@ export function startHttpServer(port = 3100) {
 // HTTP deployments. IP scoping restores the intended semantics (same browser
 // that completed OAuth gets its token injected on the follow-up MCP request).
 
+/**
+ * The API key behind the request's validated bearer — what an opaque OAuth
+ * token maps to, or the bearer itself when it is a raw key (oauth.js
+ * verifyAccessToken). Sessions are bound to the key, not the token, so they
+ * survive a token refresh.
+ */
+function bearerKey(req) {
+  return req.auth?.extra?.apiKey || null;
+}
+
 /**
  * Seed session credentials from the OAuth bearer token.
  *
- * The bearer IS the user's API key (set during OAuth authorization).
- * If the user previously called ateam_auth to override (e.g., switch tenants),
- * that override is stored per bearer and takes priority here.
+ * The bearer resolves to the user's API key (entered during OAuth
+ * authorization). If the user previously called ateam_auth to override (e.g.,
+ * switch tenants), that override is stored per key and takes priority here.
  */
 function seedCredentials(req, sessionId) {
-  const token = req.auth?.token;
+  const token = bearerKey(req);
   if (!token) return;
 
-  // Track bearer → session (persistent actor identity)
-  bindSessionBearer(sessionId, token);
+  // Track bearer → session (persistent actor identity), and the token family
+  // so revoking one grant ends only its own sessions.
+  bindSessionBearer(sessionId, token, req.auth.extra?.familyId);
+
+  // A bearer granted the read_only scope stays read-only whatever it later
+  // passes to ateam_auth.
+  const scopeReadOnly = (req.auth.scopes || []).includes(READ_ONLY_SCOPE);
 
   // Check for ateam_auth override for this bearer
   const override = getAuthOverride(token);
   if (override) {
-    setSessionCredentials(sessionId, { ...override, explicit: true });
+    setSessionCredentials(sessionId, { ...override, readOnly: override.readOnly || scopeReadOnly, explicit: true });
     return;
   }
 
-  // Default: use the bearer token itself as credentials.
+  // Default: use the key behind the bearer as credentials.
   // `explicit: true` — a Bearer is a per-connection credential the user
   // deliberately configured (OAuth authorize page, or the plugin's userConfig
   // key injected as `Authorization: Bearer`). Unlike an ambient ADAS_API_KEY
@@ -468,6 +777,6 @@ function seedCredentials(req, sessionId) {
   // env creds never flow through here; this path only fires for a real Bearer.)
   const parsed = parseApiKey(token);
   if (parsed.isValid) {
-    setSessionCredentials(sessionId, { tenant: parsed.tenant, apiKey: token, explicit: true });
+    setSessionCredentials(sessionId, { tenant: parsed.tenant, apiKey: token, explicit: true, readOnly: scopeReadOnly });
   }
 }
@@ -24,6 +24,10 @@ if (httpFlag) {
   const { StdioServerTransport } = await import(
     "@modelcontextprotocol/sdk/server/stdio.js"
   );
+  // Credential profiles (~/.ateam/profiles.json) belong to the local user —
+  // stdio only, never exposed to remote HTTP callers.
+  const { enableProfiles } = await import("./profiles.js");
+  enableProfiles();
   const server = createServer();
   const transport = new StdioServerTransport();
   await server.connect(transport);
@@ -0,0 +1,92 @@
+/**
+ * Leveled logger for the whole process.
+ *
+ *   LOG_LEVEL   debug | info (default) | warn | error | silent
+ *   LOG_FORMAT  text (default) — "[Scope] message key=value …"
+ *               json — one object per line: { time, level, scope, msg, request_id, … }
+ *
+ * Every line goes through redact.js on the way out — adas_* keys, bearer
+ * tokens, registered master keys and credential-named fields — so call sites
+ * never redact by hand.
+ *
+ * Output goes to stderr unless logToStdout() was called: in stdio mode stdout
+ * is the JSON-RPC channel and one stray line there breaks the client. The HTTP
+ * server opts in so debug/info reach stdout and warn/error stay on stderr.
+ *
+ * withLogContext(fields, fn) attaches fields (request_id, session, tool) to
+ * every line logged while fn runs, across awaits.
+ */
+
+import { AsyncLocalStorage } from "node:async_hooks";
+import { redactSecrets, redactString } from "./redact.js";
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+function resolveLevel() {
+  const name = String(process.env.LOG_LEVEL || "info").toLowerCase();
+  return LEVELS[name] ?? LEVELS.info;
+}
+
+let threshold = resolveLevel();
+const jsonFormat = String(process.env.LOG_FORMAT || "").toLowerCase() === "json";
+let stdoutAllowed = false;
+
+const context = new AsyncLocalStorage();
+
+/** HTTP mode: send debug/info lines to stdout. Never call this in stdio mode. */
+export function logToStdout() {
+  stdoutAllowed = true;
+}
+
+/** Re-read LOG_LEVEL (tests change it after import). */
+export function reloadLogLevel() {
+  threshold = resolveLevel();
+}
+
+/** Run fn with `fields` added to every line it logs (merged over any outer context). */
+export function withLogContext(fields, fn) {
+  return context.run({ ...context.getStore(), ...fields }, fn);
+}
+
+/** The current context's fields — e.g. request_id to echo in a response. */
+export function getLogContext() {
+  return context.getStore() || {};
+}
+
+// Errors become their message — stacks only at debug level.
+function plain(value) {
+  if (value instanceof Error) return threshold <= LEVELS.debug ? value.stack : value.message;
+  return value;
+}
+
+function formatText(scope, msg, fields) {
+  const pairs = Object.entries(fields)
+    .map(([k, v]) => `${k}=${typeof v === "string" ? v : JSON.stringify(v)}`);
+  return `[${scope}] ${msg}${pairs.length ? ` ${pairs.join(" ")}` : ""}`;
+}
+
+function write(level, scope, msg, fields = {}) {
+  if (LEVELS[level] < threshold) return;
+  const all = redactSecrets({ ...context.getStore(), ...Object.fromEntries(Object.entries(fields).map(([k, v]) => [k, plain(v)])) });
+  const text = redactString(String(msg));
+  const line = jsonFormat
+    ? JSON.stringify({ time: new Date().toISOString(), level, scope, msg: text, ...all })
+    : formatText(scope, text, all);
+  const stream = stdoutAllowed && LEVELS[level] < LEVELS.warn ? process.stdout : process.stderr;
+  stream.write(line + "\n");
+}
+
+/**
+ * Logger for one subsystem. `scope` is the bracketed prefix in text mode
+ * ("Auth", "HTTP", "Session", …).
+ * @returns {{ debug: Function, info: Function, warn: Function, error: Function }}
+ *   each (message, fields?)
+ */
+export function createLogger(scope) {
+  return {
+    debug: (msg, fields) => write("debug", scope, msg, fields),
+    info: (msg, fields) => write("info", scope, msg, fields),
+    warn: (msg, fields) => write("warn", scope, msg, fields),
+    error: (msg, fields) => write("error", scope, msg, fields),
+  };
+}
@@ -0,0 +1,137 @@
+/**
+ * Prometheus metrics for the HTTP server (/metrics, see http.js).
+ *
+ * A minimal in-process registry — counters, histograms and scrape-time gauges
+ * rendered in the Prometheus text exposition format. Recording is always on
+ * (a few Map updates per call) so stdio runs pay nothing noticeable and the
+ * same call sites serve both transports.
+ *
+ * Label values must stay low-cardinality: tool names only for known tools,
+ * upstream paths as route templates (ids replaced with ":id"), deploy jobs by
+ * kind rather than by skill.
+ */
+
+const PREFIX = "ateam_mcp_";
+
+const TOOL_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300, 600];
+const UPSTREAM_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120];
+const DEPLOY_BUCKETS = [5, 10, 30, 60, 120, 300, 600, 900];
+
+const metrics = new Map(); // name → metric
+
+const labelKey = (labels) => JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+const escapeLabel = (v) => String(v).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+
+function formatLabels(labels, extra = {}) {
+  const all = { ...labels, ...extra };
+  const parts = Object.entries(all).map(([k, v]) => `${k}="${escapeLabel(v)}"`);
+  return parts.length ? `{${parts.join(",")}}` : "";
+}
+
+function counter(name, help) {
+  const series = new Map(); // labelKey → { labels, value }
+  const metric = {
+    type: "counter",
+    help,
+    inc(labels = {}, n = 1) {
+      const key = labelKey(labels);
+      const s = series.get(key) || series.set(key, { labels, value: 0 }).get(key);
+      s.value += n;
+    },
+    render: () => [...series.values()].map((s) => `${PREFIX}${name}${formatLabels(s.labels)} ${s.value}`),
+  };
+  metrics.set(name, metric);
+  return metric;
+}
+
+function histogram(name, help, buckets) {
+  const series = new Map(); // labelKey → { labels, counts[], sum, count }
+  const metric = {
+    type: "histogram",
+    help,
+    observe(labels, value) {
+      const key = labelKey(labels);
+      const s = series.get(key) || series.set(key, { labels, counts: buckets.map(() => 0), sum: 0, count: 0 }).get(key);
+      buckets.forEach((le, i) => { if (value <= le) s.counts[i]++; });
+      s.sum += value;
+      s.count++;
+    },
+    render: () => [...series.values()].flatMap((s) => [
+      ...buckets.map((le, i) => `${PREFIX}${name}_bucket${formatLabels(s.labels, { le })} ${s.counts[i]}`),
+      `${PREFIX}${name}_bucket${formatLabels(s.labels, { le: "+Inf" })} ${s.count}`,
+      `${PREFIX}${name}_sum${formatLabels(s.labels)} ${s.sum}`,
+      `${PREFIX}${name}_count${formatLabels(s.labels)} ${s.count}`,
+    ]),
+  };
+  metrics.set(name, metric);
+  return metric;
+}
+
+/**
+ * Gauge whose value is read at scrape time — for state another module owns
+ * (session maps, transports). Registering the same name again replaces it.
+ */
+export function registerGauge(name, help, collect) {
+  metrics.set(name, {
+    type: "gauge",
+    help,
+    render: () => [`${PREFIX}${name} ${Number(collect()) || 0}`],
+  });
+}
+
+// ─── Metrics ──────────────────────────────────────────────────────
+
+const toolCalls = counter("tool_calls_total", "MCP tool calls by tool and outcome (ok, failed = in-band ok:false, error, refused).");
+const toolDuration = histogram("tool_call_duration_seconds", "MCP tool call latency.", TOOL_BUCKETS);
+const upstreamDuration = histogram("upstream_request_duration_seconds", "A-Team API / Core request latency per attempt, by route template and status (HTTP status or error code).", UPSTREAM_BUCKETS);
+const upstreamRetries = counter("upstream_retries_total", "A-Team API / Core requests retried, by route template.");
+const deployJobDuration = histogram("deploy_job_duration_seconds", "Async deploy job wait time by job kind and final status.", DEPLOY_BUCKETS);
+const oauthExchanges = counter("oauth_token_exchanges_total", "OAuth /token requests by grant type and outcome.");
+
+// ─── Recording ────────────────────────────────────────────────────
+
+/** One finished tool call. `outcome`: ok | failed | error | refused. */
+export function observeToolCall(tool, outcome, durationMs) {
+  toolCalls.inc({ tool, outcome });
+  toolDuration.observe({ tool }, durationMs / 1000);
+}
+
+/** One upstream attempt. `status` is the HTTP status or an ApiError code (timeout, …). */
+export function observeUpstream(service, method, path, status, durationMs) {
+  upstreamDuration.observe({ service, method, route: routeTemplate(path), status }, durationMs / 1000);
+}
+
+export function countUpstreamRetry(service, method, path) {
+  upstreamRetries.inc({ service, method, route: routeTemplate(path) });
+}
+
+/** A pollDeployJob wait that ended — `kind` is the poll label's first word (e.g. "redeploy-skill"). */
+export function observeDeployJob(kind, status, durationMs) {
+  deployJobDuration.observe({ kind, status }, durationMs / 1000);
+}
+
+export function countOAuthExchange(grantType, outcome) {
+  oauthExchanges.inc({ grant_type: grantType || "unknown", outcome });
+}
+
+// Path segments that name a collection; the segment after each is an id —
+// except the fixed sub-routes in NOT_IDS (/connectors/health).
+const ID_AFTER = new Set(["solutions", "skills", "connectors", "jobs", "job", "test", "tenants", "mcp-store", "status"]);
+const NOT_IDS = new Set(["health"]);
+
+/** "/deploy/solutions/s1/skills/k1/test?x=1" → "/deploy/solutions/:id/skills/:id/test" */
+export function routeTemplate(path) {
+  const segments = String(path).split("?")[0].split("/");
+  return segments
+    .map((seg, i) => (i > 0 && seg && ID_AFTER.has(segments[i - 1]) && !NOT_IDS.has(seg) ? ":id" : seg))
+    .join("/");
+}
+
+/** Prometheus text exposition of every registered metric. */
+export function renderMetrics() {
+  const lines = [];
+  for (const [name, metric] of metrics) {
+    lines.push(`# HELP ${PREFIX}${name} ${metric.help}`, `# TYPE ${PREFIX}${name} ${metric.type}`, ...metric.render());
+  }
+  return lines.join("\n") + "\n";
+}
@@ -2,26 +2,51 @@
  * OAuth2 authorization server for ateam-mcp.
  * Wraps existing API keys (adas_*) in a standard OAuth 2.1 + PKCE flow
  * so that Claude.ai (and other MCP clients) can auto-authenticate via
- * the connector's OAuth settings.
+ * the connector's OAuth settings. Clients get opaque, expiring access and
+ * refresh tokens; the key itself never leaves the server.
  *
  * Uses the MCP SDK's built-in auth router and bearer middleware.
  */
 
-import { randomUUID } from "node:crypto";
+import { randomUUID, randomBytes, createHash } from "node:crypto";
 import express from "express";
 import { mcpAuthRouter, getOAuthProtectedResourceMetadataUrl } from "@modelcontextprotocol/sdk/server/auth/router.js";
 import { requireBearerAuth } from "@modelcontextprotocol/sdk/server/auth/middleware/bearerAuth.js";
-import { InvalidTokenError } from "@modelcontextprotocol/sdk/server/auth/errors.js";
-import { parseApiKey } from "./api.js";
+import { authenticateClient } from "@modelcontextprotocol/sdk/server/auth/middleware/clientAuth.js";
+import { InvalidTokenError, InvalidGrantError, UnauthorizedClientError } from "@modelcontextprotocol/sdk/server/auth/errors.js";
+import {
+  parseApiKey, setBearerScopes, getBearerScopes, getStoreCollection, revokeBearer, bearerFingerprint, READ_ONLY_SCOPE,
+} from "./api.js";
+import { createLogger } from "./logger.js";
+
+const log = createLogger("OAuth");
 
 // ─── TTLs ─────────────────────────────────────────────────────────
 const AUTH_CODE_TTL = 5 * 60 * 1000;   // 5 minutes
 const PENDING_TTL = 10 * 60 * 1000;    // 10 minutes
+const ACCESS_TOKEN_TTL = 60 * 60 * 1000;             // 1 hour
+const REFRESH_TOKEN_TTL = 30 * 24 * 60 * 60 * 1000;  // 30 days
+
+// ─── Opaque Tokens ────────────────────────────────────────────────
+// Access and refresh tokens are random strings. The API key they stand for
+// lives only server-side, in the session store (so any instance can verify
+// them), under the token's SHA-256 — the store never holds a usable token.
+const ACCESS_TOKEN_PREFIX = "mcp_at_";
+const REFRESH_TOKEN_PREFIX = "mcp_rt_";
+// Refresh tokens issued before opaque tokens were rt_<apiKey>.
+const LEGACY_REFRESH_PREFIX = "rt_";
+
+function newToken(prefix) {
+  return prefix + randomBytes(32).toString("base64url");
+}
+
+function tokenId(token) {
+  return createHash("sha256").update(String(token)).digest("hex");
+}
 
 // ─── Clients Store ────────────────────────────────────────────────
 
-// Known redirect URIs for MCP clients.
-// The real security gate is the API key — redirect_uri validation is just spec compliance.
+// Redirect URIs of the pre-registered public client.
 const KNOWN_REDIRECT_URIS = [
   "https://claude.ai/api/mcp/auth_callback",
   "https://claude.com/api/mcp/auth_callback",
@@ -30,44 +55,82 @@ const KNOWN_REDIRECT_URIS = [
   "http://127.0.0.1",
 ];
 
+// Compatibility escape hatch: treat any unknown client_id as a public client
+// allowed every KNOWN_REDIRECT_URIS callback — how this server behaved before
+// registrations were persisted. Off unless explicitly enabled.
+const ACCEPT_UNKNOWN_CLIENTS = process.env.ATEAM_OAUTH_ACCEPT_UNKNOWN_CLIENTS === "1";
+
+const LOOPBACK_HOSTS = new Set(["127.0.0.1", "[::1]", "localhost"]);
+
+/**
+ * Does a requested redirect URI match a registered one? Exact string match,
+ * except for http loopback URIs, where the port may differ (RFC 8252 §7.3 —
+ * native apps listen on an ephemeral port).
+ */
+function redirectUriMatches(registered, requested) {
+  if (registered === requested) return true;
+  let reg, req;
+  try {
+    reg = new URL(registered);
+    req = new URL(requested);
+  } catch {
+    return false;
+  }
+  return reg.protocol === "http:" && req.protocol === "http:"
+    && LOOPBACK_HOSTS.has(reg.hostname) && reg.hostname === req.hostname
+    && reg.pathname === req.pathname && reg.search === req.search
+    && !req.username && !req.password && !req.hash;
+}
+
+// The SDK's /authorize handler checks `client.redirect_uris.includes(uri)`;
+// this is how the loopback exception reaches it.
+class RedirectUris extends Array {
+  includes(uri) {
+    return this.some((registered) => redirectUriMatches(registered, uri));
+  }
+}
+
+function withRedirectMatching(client) {
+  return { ...client, redirect_uris: RedirectUris.from(client.redirect_uris || []) };
+}
+
 class ATeamClientsStore {
   constructor() {
-    this.clients = new Map();
-    // Pre-register the well-known public client
-    this.clients.set("ateam-public", {
+    // Dynamic registrations (/register), in the session store so they survive
+    // restarts (with ATEAM_SESSION_STORE=file|sqlite) and every instance knows
+    // them. Only the public client is built in.
+    this.clients = getStoreCollection("oauthClients"); // clientId -> registered client metadata
+    this.builtIn = new Map([["ateam-public", {
       client_id: "ateam-public",
       client_name: "A-Team MCP Public Client",
       redirect_uris: KNOWN_REDIRECT_URIS,
       token_endpoint_auth_method: "none",
       grant_types: ["authorization_code"],
       response_types: ["code"],
-    });
+    }]]);
   }
 
   async getClient(clientId) {
-    const known = this.clients.get(clientId);
-    if (known) return known;
+    const known = this.builtIn.get(clientId) || this.clients.get(clientId);
+    if (known) return withRedirectMatching(known);
+    if (!ACCEPT_UNKNOWN_CLIENTS) return undefined;
 
-    // Auto-accept unknown clients (e.g. after container restart wiped in-memory state).
-    // The real auth is the API key, not the client credentials.
-    // Include all known redirect URIs so OAuth flows work even after restart.
-    return {
+    return withRedirectMatching({
       client_id: clientId,
       client_name: clientId,
       redirect_uris: KNOWN_REDIRECT_URIS,
       token_endpoint_auth_method: "none",
       grant_types: ["authorization_code", "refresh_token"],
       response_types: ["code"],
-    };
+    });
   }
 
+  /** Registers exactly the redirect URIs the client asked for. */
   async registerClient(clientMetadata) {
     const clientId = clientMetadata.client_id || randomUUID();
-    // Merge client's redirect_uris with known ones to ensure OAuth works
-    const clientUris = clientMetadata.redirect_uris || [];
-    const mergedUris = [...new Set([...clientUris, ...KNOWN_REDIRECT_URIS])];
-    const record = { ...clientMetadata, client_id: clientId, redirect_uris: mergedUris };
+    const record = { ...clientMetadata, client_id: clientId, redirect_uris: [...(clientMetadata.redirect_uris || [])] };
     this.clients.set(clientId, record);
+    log.info(`Registered OAuth client ${clientId}`, { client_name: record.client_name || null });
     return record;
   }
 }
@@ -77,8 +140,58 @@ class ATeamClientsStore {
 class ATeamOAuthProvider {
   constructor() {
     this._clientsStore = new ATeamClientsStore();
-    this.codes = new Map();     // code -> { client, params, apiKey, expiresAt }
-    this.pending = new Map();   // pendingId -> { client, params, expiresAt }
+    // In the session store so the authorize page, its form submit and the
+    // /token exchange can each land on a different instance.
+    this.codes = getStoreCollection("oauthCodes");     // code -> { client, params, apiKey, scopes, expiresAt }
+    this.pending = getStoreCollection("oauthPending"); // pendingId -> { client, params, expiresAt }
+    // sha256(token) -> { kind, apiKey, scopes, clientId, familyId, issuedAt, expiresAt, usedAt? }
+    // A family is every token descended from one authorization code; usedAt
+    // marks a rotated-out refresh token, kept until it expires to catch reuse.
+    this.tokens = getStoreCollection("oauthTokens");
+    // sha256(rt_<apiKey>) -> { spentAt } — legacy refresh tokens already
+    // upgraded. Unlike their oauthTokens entries, never revoked or swept: the
+    // legacy token is the key itself, so forgetting it was spent would make
+    // it good for one more upgrade.
+    this.spentLegacy = getStoreCollection("oauthSpentLegacyTokens");
+    // bearerFingerprint(key) -> { revokedAt } — raw keys revoked at /revoke,
+    // refused as bearers from then on. Never swept; a new key (rotated in
+    // A-Team) has a new fingerprint.
+    this.revokedKeys = getStoreCollection("oauthRevokedKeys");
+    // Called with the session ids a revocation cleared (http.js closes their
+    // local transports).
+    this.onRevoke = null;
+  }
+
+  /** Store a new opaque token of `kind` ("access" | "refresh") for the key. */
+  issueToken(kind, { apiKey, scopes, clientId, familyId }) {
+    const token = newToken(kind === "access" ? ACCESS_TOKEN_PREFIX : REFRESH_TOKEN_PREFIX);
+    const ttl = kind === "access" ? ACCESS_TOKEN_TTL : REFRESH_TOKEN_TTL;
+    const now = Date.now();
+    this.tokens.set(tokenId(token), { kind, apiKey, scopes: scopes || [], clientId, familyId, issuedAt: now, expiresAt: now + ttl });
+    return token;
+  }
+
+  /** The live entry behind `token`, or null if unknown, of another kind, used, or expired. */
+  lookupToken(kind, token) {
+    const id = tokenId(token);
+    const entry = this.tokens.get(id);
+    if (!entry || entry.kind !== kind || entry.usedAt) return null;
+    if (entry.expiresAt < Date.now()) {
+      this.tokens.delete(id);
+      return null;
+    }
+    return entry;
+  }
+
+  /** Token-endpoint response for a fresh access token (plus the refresh token to hand back). */
+  tokenResponse(grant, refreshToken) {
+    return {
+      access_token: this.issueToken("access", grant),
+      refresh_token: refreshToken,
+      token_type: "Bearer",
+      expires_in: ACCESS_TOKEN_TTL / 1000,
+      scope: grantedScope(grant.scopes),
+    };
   }
 
   get clientsStore() {
@@ -97,7 +210,7 @@ class ATeamOAuthProvider {
       expiresAt: Date.now() + PENDING_TTL,
     });
     res.setHeader("Content-Type", "text/html");
-    res.send(generateAuthPage(pendingId, client.client_name || client.client_id));
+    res.send(generateAuthPage(pendingId, client.client_name || client.client_id, null, requestsReadOnly(params)));
   }
 
   async challengeForAuthorizationCode(_client, authorizationCode) {
@@ -106,7 +219,7 @@ class ATeamOAuthProvider {
     return entry.params.codeChallenge;
   }
 
-  async exchangeAuthorizationCode(client, authorizationCode) {
+  async exchangeAuthorizationCode(client, authorizationCode, _codeVerifier, redirectUri) {
     const entry = this.codes.get(authorizationCode);
     if (!entry) throw new Error("Invalid authorization code");
 
@@ -117,54 +230,179 @@ class ATeamOAuthProvider {
       this.codes.delete(authorizationCode);
       throw new Error("Authorization code expired");
     }
+    // Must be the redirect_uri the code was issued for (RFC 6749 §4.1.3).
+    if (redirectUri !== undefined && redirectUri !== entry.params.redirectUri) {
+      throw new InvalidGrantError("redirect_uri does not match the authorization request");
+    }
 
     // One-time use
     this.codes.delete(authorizationCode);
 
-    return {
-      access_token: entry.apiKey,
-      refresh_token: `rt_${entry.apiKey}`,
-      token_type: "Bearer",
-      expires_in: 3600,
-      scope: "claudeai",
-    };
+    // Also recorded against the key, for clients that present the raw key as
+    // their bearer (an empty grant clears an earlier read-only one).
+    setBearerScopes(entry.apiKey, entry.scopes);
+
+    const grant = { apiKey: entry.apiKey, scopes: entry.scopes, clientId: client.client_id, familyId: randomUUID() };
+    return this.tokenResponse(grant, this.issueToken("refresh", grant));
   }
 
-  async exchangeRefreshToken(_client, refreshToken) {
-    // Refresh token is rt_<apiKey> — extract the API key
-    const apiKey = refreshToken.startsWith("rt_") ? refreshToken.slice(3) : refreshToken;
-    const parsed = parseApiKey(apiKey);
-    if (!parsed.isValid) throw new Error("Invalid refresh token");
-    return {
-      access_token: apiKey,
-      refresh_token: `rt_${apiKey}`,
-      token_type: "Bearer",
-      expires_in: 3600,
-    };
+  /**
+   * Refresh tokens are single-use: each refresh marks the presented token used
+   * and hands out a new one in the same family. Presenting a used one means a
+   * copy is in someone else's hands (or the client is replaying) — the whole
+   * family is revoked, as OAuth 2.1 asks for public clients.
+   */
+  async exchangeRefreshToken(client, refreshToken, scopes) {
+    const id = tokenId(refreshToken);
+    const stored = this.tokens.get(id);
+    if (stored?.kind === "refresh" && stored.usedAt) {
+      log.warn(`Refresh token reuse for bearer ${bearerFingerprint(stored.apiKey)} — revoking its family`, { client_id: client.client_id });
+      // Only this family is suspect: other grants for the key, their sessions
+      // and the key's ateam_auth override stay.
+      await this.revoke(stored.apiKey, stored.familyId, "refresh token reused", { override: false });
+      throw new InvalidGrantError("Refresh token already used — the grant has been revoked");
+    }
+
+    let grant = this.lookupToken("refresh", refreshToken);
+    if (!grant && refreshToken.startsWith(LEGACY_REFRESH_PREFIX)) {
+      // rt_<apiKey> from before opaque tokens: honoured once and upgraded to
+      // an opaque family, so connected clients don't have to re-authorize.
+      // Stored like an opaque one, so it is retired below and a second
+      // presentation counts as reuse.
+      const apiKey = refreshToken.slice(LEGACY_REFRESH_PREFIX.length);
+      if (this.spentLegacy.has(id)) {
+        log.warn(`Spent legacy refresh token presented again for bearer ${bearerFingerprint(apiKey)}`, { client_id: client.client_id });
+        throw new InvalidGrantError("Refresh token already used — the grant has been revoked");
+      }
+      if (parseApiKey(apiKey).isValid) {
+        const now = Date.now();
+        this.spentLegacy.set(id, { spentAt: now });
+        grant = {
+          kind: "refresh", apiKey, scopes: getBearerScopes(apiKey), clientId: client.client_id,
+          familyId: randomUUID(), issuedAt: now, expiresAt: now + REFRESH_TOKEN_TTL,
+        };
+      }
+    }
+    if (!grant) throw new InvalidGrantError("Invalid or expired refresh token");
+    if (grant.clientId !== client.client_id) {
+      throw new InvalidGrantError("Refresh token was not issued to this client");
+    }
+    this.tokens.set(id, { ...grant, usedAt: Date.now() });
+
+    // A refresh may narrow the grant to read-only, never widen it.
+    if (scopes?.includes(READ_ONLY_SCOPE) && !grant.scopes.includes(READ_ONLY_SCOPE)) {
+      grant = { ...grant, scopes: [...grant.scopes, READ_ONLY_SCOPE] };
+      setBearerScopes(grant.apiKey, [...getBearerScopes(grant.apiKey), READ_ONLY_SCOPE]);
+    }
+    return this.tokenResponse(grant, this.issueToken("refresh", grant));
   }
 
   /**
-   * Validates that the token is a structurally valid adas_* API key.
-   * Returns AuthInfo matching the MCP SDK format.
+   * Resolves an opaque access token to the API key it was issued for. A raw
+   * adas_* key is still accepted as the bearer (the plugin's userConfig key is
+   * sent as `Authorization: Bearer`) — validated structurally, unless it
+   * was revoked at /revoke. Returns AuthInfo matching the MCP SDK format; `extra.apiKey` is the key
+   * behind the token.
    */
   async verifyAccessToken(token) {
     const parsed = parseApiKey(token);
-    if (!parsed.isValid) throw new InvalidTokenError("Invalid access token");
+    if (parsed.isValid) {
+      if (this.revokedKeys.has(bearerFingerprint(token))) {
+        throw new InvalidTokenError("This API key was revoked as a bearer; authorize again, or rotate the key in A-Team");
+      }
+      return {
+        token,
+        clientId: "ateam-public",
+        scopes: ["mcp", ...getBearerScopes(token)],
+        expiresAt: Math.floor(Date.now() / 1000) + ACCESS_TOKEN_TTL / 1000,
+        extra: { userId: parsed.tenant, apiKey: token },
+      };
+    }
+    const entry = this.lookupToken("access", token);
+    if (!entry) throw new InvalidTokenError("Invalid or expired access token");
     return {
       token,
-      clientId: "ateam-public",
-      scopes: ["mcp"],
-      expiresAt: Math.floor(Date.now() / 1000) + 3600,
-      extra: {
-        userId: parsed.tenant,
-      },
+      clientId: entry.clientId,
+      scopes: ["mcp", ...entry.scopes],
+      expiresAt: Math.floor(entry.expiresAt / 1000),
+      extra: { userId: parseApiKey(entry.apiKey).tenant, apiKey: entry.apiKey, familyId: entry.familyId },
     };
   }
+
+  /**
+   * RFC 7009 revocation — the SDK mounts POST /revoke when this exists.
+   * Revoking an opaque token revokes its whole family and the sessions opened
+   * with it; revoking a raw key drops every token issued for it, refuses the
+   * key as a bearer from then on, and ends every session bound to it. Either
+   * way the key's ateam_auth override is cleared. The key itself stays valid upstream (ateam_auth, new OAuth
+   * grants) — revoke it in A-Team. Unknown tokens are a no-op, as the RFC
+   * requires.
+   */
+  async revokeToken(client, { token }) {
+    const entry = this.tokens.get(tokenId(token));
+    if (entry) {
+      if (entry.clientId !== client.client_id) {
+        throw new UnauthorizedClientError("Token was not issued to this client");
+      }
+      await this.revoke(entry.apiKey, entry.familyId, `revoked by ${client.client_id}`);
+    } else if (parseApiKey(token).isValid) {
+      this.revokedKeys.set(bearerFingerprint(token), { revokedAt: Date.now() });
+      await this.revoke(token, null, `key revoked by ${client.client_id}`);
+    }
+  }
+
+  /**
+   * Drop one token family of the key (`familyId`), or every token issued for
+   * it (null), then the sessions those tokens opened and, unless
+   * `override: false`, the key's ateam_auth override (api.js revokeBearer).
+   */
+  async revoke(apiKey, familyId, reason, { override = true } = {}) {
+    let revoked = 0;
+    for (const [id, data] of this.tokens) {
+      if (familyId ? data.familyId === familyId : data.apiKey === apiKey) {
+        this.tokens.delete(id);
+        revoked++;
+      }
+    }
+    const sessionIds = revokeBearer(apiKey, { familyId, override });
+    log.info(`Revoked ${revoked} token(s) for bearer ${bearerFingerprint(apiKey)}: ${reason}`);
+    if (sessionIds.length > 0) await this.onRevoke?.(sessionIds);
+  }
+
+  /**
+   * RFC 7662 introspection response for `token`, as seen by `client`. Only
+   * the client a token was issued to learns anything about it; the key
+   * behind it is never included. Raw keys were issued to no client (and by
+   * A-Team, not this server), so they always introspect as inactive.
+   */
+  introspect(client, token) {
+    const entry = this.lookupToken("access", token) || this.lookupToken("refresh", token);
+    if (!entry || entry.clientId !== client.client_id) return { active: false };
+    return {
+      active: true,
+      client_id: entry.clientId,
+      ...(entry.kind === "access" && { token_type: "Bearer" }),
+      scope: ["mcp", ...entry.scopes].join(" "),
+      sub: parseApiKey(entry.apiKey).tenant,
+      iat: Math.floor(entry.issuedAt / 1000),
+      exp: Math.floor(entry.expiresAt / 1000),
+    };
+  }
+}
+
+/** True if the client asked for the read_only scope at /authorize. */
+function requestsReadOnly(params) {
+  return (params?.scopes || []).includes(READ_ONLY_SCOPE);
+}
+
+/** Token-response `scope`: "claudeai" plus any extra granted scopes. */
+function grantedScope(scopes) {
+  return ["claudeai", ...(scopes || [])].join(" ");
 }
 
 // ─── Auth Page HTML ───────────────────────────────────────────────
 
-function generateAuthPage(pendingId, clientName, error) {
+function generateAuthPage(pendingId, clientName, error, readOnlyRequested = false) {
   const errorHtml = error
     ? `<div style="background:#3a1c1c;border:1px solid #7f1d1d;color:#fca5a5;padding:12px;border-radius:8px;margin-bottom:16px;font-size:14px">${escapeHtml(error)}</div>`
     : "";
@@ -204,6 +442,8 @@ function generateAuthPage(pendingId, clientName, error) {
     }
     .hint a { color: #60a5fa; text-decoration: none; }
     .hint a:hover { text-decoration: underline; }
+    .checkbox { display: flex; align-items: center; gap: 8px; margin-top: 16px; font-size: 14px; }
+    .checkbox input { width: 16px; height: 16px; }
     .actions { display: flex; gap: 12px; margin-top: 24px; }
     button {
       flex: 1; padding: 10px 16px; font-size: 14px; font-weight: 500;
@@ -247,6 +487,11 @@ function generateAuthPage(pendingId, clientName, error) {
         Don't have a key?
         <a href="/get-api-key" target="_blank">Get your API key</a>
       </div>
+      <label class="checkbox">
+        <input type="checkbox" name="read_only" value="1"${readOnlyRequested ? " checked disabled" : ""}>
+        Read-only access (no deploys, edits or deletes)
+      </label>
+      <div class="hint">${readOnlyRequested ? "This app requested read-only access." : "Recommended for analysts and review agents."}</div>
       <div class="actions">
         <button type="submit" id="submitBtn" class="btn-primary">Authorize</button>
       </div>
@@ -285,13 +530,19 @@ function escapeHtml(str) {
  *
  * @param {express.Application} app
  * @param {string} baseUrl - Public URL of the server (e.g. https://mcp.ateam-ai.com)
+ * @param {{ onRevoke?: (sessionIds: string[]) => Promise<void>|void }} [options]
+ *   onRevoke — called with the sessions a token revocation cleared
  * @returns {{ provider: ATeamOAuthProvider, bearerMiddleware: express.RequestHandler }}
  */
-export function mountOAuth(app, baseUrl) {
+export function mountOAuth(app, baseUrl, { onRevoke } = {}) {
   const serverUrl = new URL(baseUrl);
   const provider = new ATeamOAuthProvider();
+  provider.onRevoke = onRevoke || null;
+  if (ACCEPT_UNKNOWN_CLIENTS) {
+    log.warn("ATEAM_OAUTH_ACCEPT_UNKNOWN_CLIENTS=1 — unregistered client ids are accepted with every known redirect URI");
+  }
 
-  // Mount SDK OAuth router (/.well-known/*, /authorize, /token, /register)
+  // Mount SDK OAuth router (/.well-known/*, /authorize, /token, /register, /revoke)
   // IMPORTANT: resourceServerUrl MUST match the connector URL that users configure
   // in Claude.ai. Claude.ai validates resource == connector URL after token exchange.
   // Connector URL is the root (https://mcp.ateam-ai.com), NOT /mcp.
@@ -315,9 +566,29 @@ export function mountOAuth(app, baseUrl) {
     });
   });
 
+  // ─── POST /introspect — RFC 7662 token introspection ──────────────
+  // Client-authenticated like /revoke, but only confidential clients: a
+  // public client (ateam-public, or any registered with auth method "none")
+  // has no secret, so anyone could claim to be it and read its tokens' scope,
+  // expiry and tenant (RFC 7662 §4). Form-encoded `token` (token_type_hint is
+  // accepted and ignored — both kinds are looked up).
+  app.post("/introspect", express.urlencoded({ extended: false }), authenticateClient({ clientsStore: provider.clientsStore }), (req, res) => {
+    res.setHeader("Cache-Control", "no-store");
+    if (!req.client?.client_secret) {
+      res.status(401).json({ error: "invalid_client", error_description: "Introspection requires a confidential client (client_id and client_secret)" });
+      return;
+    }
+    const token = req.body?.token;
+    if (typeof token !== "string" || !token) {
+      res.status(400).json({ error: "invalid_request", error_description: "token is required" });
+      return;
+    }
+    res.json(provider.introspect(req.client, token));
+  });
+
   // ─── Custom POST /authorize-submit — processes the auth page form ──
   app.post("/authorize-submit", express.urlencoded({ extended: false }), (req, res) => {
-    const { pending_id, api_key } = req.body;
+    const { pending_id, api_key, read_only } = req.body;
 
     const entry = provider.pending.get(pending_id);
     if (!entry || entry.expiresAt < Date.now()) {
@@ -331,16 +602,21 @@ export function mountOAuth(app, baseUrl) {
     if (!parsed.isValid) {
       // Re-render the page with an error
       res.status(400).send(generateAuthPage(pending_id, entry.client.client_name || entry.client.client_id,
-        "Invalid API key format. Keys look like: adas_tenant_abc123..."));
+        "Invalid API key format. Keys look like: adas_tenant_abc123...", requestsReadOnly(entry.params)));
       return;
     }
 
+    // Read-only if the client asked for the scope or the user ticked the box
+    // (a disabled checkbox isn't submitted, hence the params check).
+    const readOnly = requestsReadOnly(entry.params) || !!read_only;
+
     // Generate one-time auth code
     const code = randomUUID();
     provider.codes.set(code, {
       client: entry.client,
       params: entry.params,
       apiKey: api_key,
+      scopes: readOnly ? [READ_ONLY_SCOPE] : [],
       expiresAt: Date.now() + AUTH_CODE_TTL,
     });
     provider.pending.delete(pending_id);
@@ -372,6 +648,9 @@ export function mountOAuth(app, baseUrl) {
     for (const [id, data] of provider.pending) {
       if (data.expiresAt < now) provider.pending.delete(id);
     }
+    for (const [id, data] of provider.tokens) {
+      if (data.expiresAt < now) provider.tokens.delete(id);
+    }
   }, 60_000);
   cleanup.unref();
 
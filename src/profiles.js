@@ -0,0 +1,111 @@
+/**
+ * Named credential profiles for stdio users.
+ *
+ * A profiles file (ATEAM_PROFILES_PATH, default ~/.ateam/profiles.json) holds
+ * named credentials so switching environments is `ateam_auth(profile: "dev")`
+ * instead of pasting keys:
+ *
+ *   {
+ *     "default": "prod",
+ *     "profiles": {
+ *       "prod": { "api_key": "adas_acme_<hex>" },
+ *       "dev":  { "api_key": "adas_acme_<hex>", "url": "https://dev-api.ateam-ai.com" },
+ *       "self": { "api_key": "adas_acme_<hex>", "url": "https://ateam.internal.example.com" },
+ *       "ops":  { "master_key": "...", "tenant": "main" },
+ *       "look": { "api_key": "adas_acme_<hex>", "mode": "read_only" }
+ *     }
+ *   }
+ *
+ * Profiles are only available to the stdio transport: the file belongs to the
+ * local user running the server. An HTTP deployment must never hand its
+ * operator's keys to remote callers, so index.js enables profiles for stdio
+ * only and everything here refuses while disabled.
+ *
+ * The file is re-read on every lookup, so edits apply without a restart.
+ */
+
+import { readFileSync, statSync, existsSync } from "node:fs";
+import { homedir } from "node:os";
+import { join } from "node:path";
+import { parseApiKey } from "./api.js";
+import { createLogger } from "./logger.js";
+
+const log = createLogger("Profiles");
+
+const PROFILES_PATH = process.env.ATEAM_PROFILES_PATH || join(homedir(), ".ateam", "profiles.json");
+
+let enabled = false;
+let warnedPermissions = false;
+
+/** Allow profile lookups in this process. Called by the stdio entrypoint only. */
+export function enableProfiles() {
+  enabled = true;
+}
+
+function readProfilesFile() {
+  if (!enabled) {
+    throw new Error("Credential profiles are only available over the stdio transport (local MCP server). Use ateam_auth(api_key) instead.");
+  }
+  if (!existsSync(PROFILES_PATH)) {
+    return { path: PROFILES_PATH, exists: false, defaultProfile: null, profiles: {} };
+  }
+  if (!warnedPermissions && process.platform !== "win32" && (statSync(PROFILES_PATH).mode & 0o077)) {
+    warnedPermissions = true;
+    log.warn(`${PROFILES_PATH} is readable by other users — it holds API keys. Run: chmod 600 ${PROFILES_PATH}`);
+  }
+  let data;
+  try {
+    data = JSON.parse(readFileSync(PROFILES_PATH, "utf8"));
+  } catch (err) {
+    throw new Error(`Could not parse profiles file ${PROFILES_PATH}: ${err.message}`);
+  }
+  const profiles = data?.profiles && typeof data.profiles === "object" ? data.profiles : {};
+  return { path: PROFILES_PATH, exists: true, defaultProfile: data?.default || null, profiles };
+}
+
+/**
+ * Resolve a profile by name ("default" → the file's default profile).
+ * @returns {{ name: string, api_key?: string, master_key?: string, tenant?: string, url?: string, mode?: string }}
+ */
+export function getProfile(name) {
+  const { path, exists, defaultProfile, profiles } = readProfilesFile();
+  if (!exists) {
+    throw new Error(`No profiles file at ${path}. Create it with {"profiles": {"<name>": {"api_key": "...", "url": "..."}}}, or set ATEAM_PROFILES_PATH.`);
+  }
+  const resolvedName = name === "default" && defaultProfile ? defaultProfile : name;
+  const profile = profiles[resolvedName];
+  if (!profile || typeof profile !== "object") {
+    const names = Object.keys(profiles);
+    throw new Error(`Unknown profile "${name}". Available: ${names.length ? names.join(", ") : "(none)"} — see ${path}.`);
+  }
+  if (!profile.api_key && !profile.master_key) {
+    throw new Error(`Profile "${resolvedName}" in ${path} has neither api_key nor master_key.`);
+  }
+  return { name: resolvedName, ...profile };
+}
+
+/** Last 4 chars of a secret — enough to tell two keys apart, useless to an attacker. */
+function keyHint(key) {
+  return key ? `…${String(key).slice(-4)}` : null;
+}
+
+/**
+ * Profiles for display — names, tenants, URLs and key hints. Never the keys.
+ */
+export function listProfiles() {
+  const { path, exists, defaultProfile, profiles } = readProfilesFile();
+  return {
+    path,
+    exists,
+    default: defaultProfile,
+    profiles: Object.entries(profiles).map(([name, p]) => ({
+      name,
+      kind: p?.master_key ? "master_key" : "api_key",
+      tenant: p?.tenant || parseApiKey(p?.api_key).tenant,
+      url: p?.url || null,
+      mode: p?.mode || "full",
+      key_hint: keyHint(p?.master_key || p?.api_key),
+      description: p?.description || null,
+    })),
+  };
+}
@@ -0,0 +1,261 @@
+/**
+ * Token-bucket rate limiting.
+ *
+ * A limiter is one budget: each key gets `capacity` tokens, refilled
+ * continuously so a full bucket takes `windowMs` to refill from empty. Bursts
+ * up to capacity are allowed; sustained traffic is held to capacity/window.
+ * Burst plus refill lets nearly 2x capacity through in the first window — where
+ * a documented "N per minute" must hold for every window, use
+ * createWindowLimiter (a sliding log of call times) instead.
+ *
+ * Used by:
+ *   - the HTTP MCP routes, before auth (mcpIpRateLimit below) — a per-IP
+ *     request budget, so floods that never authenticate are still held back.
+ *   - the HTTP MCP routes, after auth (mcpRateLimit below) — every request
+ *     takes from the request budget; tools/call for EXPENSIVE_TOOLS also takes
+ *     from the expensive budget. Keyed by validated bearer, else client IP.
+ *   - ateam_test_notification — its own per-session sliding window (tools.js).
+ *
+ * Budgets for the MCP routes, per key per minute (0 disables):
+ *   ATEAM_RATE_LIMIT_RPM            all MCP requests (default 300)
+ *   ATEAM_RATE_LIMIT_EXPENSIVE_RPM  deploys, conversations, voice tests (default 20)
+ *   ATEAM_RATE_LIMIT_IP_RPM         all MCP requests per client IP, before auth (default 600)
+ */
+
+import { createLogger } from "./logger.js";
+import { bearerFingerprint } from "./api.js";
+
+const log = createLogger("RateLimit");
+
+const MINUTE_MS = 60_000;
+
+// Past this many keys, buckets that have refilled completely are dropped —
+// a full bucket carries no state a fresh one wouldn't.
+const MAX_IDLE_KEYS = 10_000;
+
+function envInt(name, fallback) {
+  const n = parseInt(process.env[name], 10);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+export const RATE_LIMITS = {
+  requestsPerMinute: envInt("ATEAM_RATE_LIMIT_RPM", 300),
+  expensivePerMinute: envInt("ATEAM_RATE_LIMIT_EXPENSIVE_RPM", 20),
+  ipRequestsPerMinute: envInt("ATEAM_RATE_LIMIT_IP_RPM", 600),
+};
+
+// Tools that start deploys, run conversations or place voice calls — each
+// one ties up platform workers for seconds to minutes.
+export const EXPENSIVE_TOOLS = new Set([
+  "ateam_build_and_run", "ateam_patch", "ateam_redeploy",
+  "ateam_deploy_solution", "ateam_deploy_skill", "ateam_deploy_connector",
+  "ateam_upload_connector", "ateam_github_pull",
+  "ateam_conversation", "ateam_solution_chat", "ateam_test_skill", "ateam_test_voice",
+]);
+
+/**
+ * @param {{ capacity: number, windowMs?: number }} opts — capacity 0 means
+ *   unlimited (every check and take succeeds).
+ * @returns {{
+ *   check(key: string, cost?: number): { ok: true } | { ok: false, retryAfterMs: number },
+ *   take(key: string, cost?: number): { ok: true } | { ok: false, retryAfterMs: number },
+ * }} check() gives take()'s verdict without spending, so callers holding
+ *   several budgets can test them all before spending any.
+ */
+export function createRateLimiter({ capacity, windowMs = MINUTE_MS }) {
+  const buckets = new Map(); // key → { tokens, at }
+  const refillPerMs = capacity / windowMs;
+
+  function refill(bucket, now) {
+    bucket.tokens = Math.min(capacity, bucket.tokens + (now - bucket.at) * refillPerMs);
+    bucket.at = now;
+  }
+
+  function pruneFull(now) {
+    for (const [key, bucket] of buckets) {
+      refill(bucket, now);
+      if (bucket.tokens >= capacity) buckets.delete(key);
+    }
+  }
+
+  /** The key's bucket, refilled to now. Unknown keys get a full one. */
+  function bucketFor(key) {
+    const now = Date.now();
+    let bucket = buckets.get(key);
+    if (!bucket) {
+      if (buckets.size >= MAX_IDLE_KEYS) pruneFull(now);
+      bucket = { tokens: capacity, at: now };
+      buckets.set(key, bucket);
+    } else {
+      refill(bucket, now);
+    }
+    return bucket;
+  }
+
+  function verdict(bucket, cost) {
+    if (bucket.tokens >= cost) return { ok: true };
+    return { ok: false, retryAfterMs: Math.ceil((cost - bucket.tokens) / refillPerMs) };
+  }
+
+  return {
+    check(key, cost = 1) {
+      if (!capacity) return { ok: true };
+      return verdict(bucketFor(key), cost);
+    },
+    take(key, cost = 1) {
+      if (!capacity) return { ok: true };
+      const bucket = bucketFor(key);
+      const result = verdict(bucket, cost);
+      if (result.ok) bucket.tokens -= cost;
+      return result;
+    },
+  };
+}
+
+/**
+ * Sliding-window limiter: at most `limit` takes per key in any `windowMs`.
+ * Keeps the time of each take still inside the window, so it suits small
+ * limits. Same take() verdicts as createRateLimiter.
+ *
+ * @param {{ limit: number, windowMs?: number }} opts — limit 0 means unlimited.
+ * @returns {{ take(key: string): { ok: true } | { ok: false, retryAfterMs: number } }}
+ */
+export function createWindowLimiter({ limit, windowMs = MINUTE_MS }) {
+  const logs = new Map(); // key → take times inside the window, oldest first
+
+  function recent(key, now) {
+    const times = (logs.get(key) || []).filter((at) => now - at < windowMs);
+    if (times.length) logs.set(key, times);
+    else logs.delete(key);
+    return times;
+  }
+
+  return {
+    take(key) {
+      if (!limit) return { ok: true };
+      const now = Date.now();
+      if (!logs.has(key) && logs.size >= MAX_IDLE_KEYS) {
+        for (const k of [...logs.keys()]) recent(k, now);
+      }
+      const times = recent(key, now);
+      if (times.length >= limit) return { ok: false, retryAfterMs: times[0] + windowMs - now };
+      times.push(now);
+      logs.set(key, times);
+      return { ok: true };
+    },
+  };
+}
+
+/**
+ * Limiter key for an HTTP request: the key behind the validated bearer
+ * (fingerprinted — it is a credential) when auth middleware set req.auth, so a
+ * token refresh doesn't reset the budget; otherwise the client IP.
+ */
+export function rateLimitKey(req) {
+  const key = req.auth?.extra?.apiKey || req.auth?.token;
+  if (key) {
+    return `bearer:${bearerFingerprint(key)}`;
+  }
+  return `ip:${req.ip || "unknown"}`;
+}
+
+/** Number of tools/call messages for EXPENSIVE_TOOLS in a JSON-RPC body (single or batch). */
+function expensiveCalls(body) {
+  const messages = Array.isArray(body) ? body : [body];
+  return messages.filter((m) => m?.method === "tools/call" && EXPENSIVE_TOOLS.has(m.params?.name)).length;
+}
+
+/** JSON-RPC id to answer with: the message's, or null for batches and unparsed bodies. */
+function rpcId(body) {
+  return Array.isArray(body) ? null : (body?.id ?? null);
+}
+
+/** 429 with Retry-After (seconds) and a JSON-RPC error body. */
+function refuse(req, res, { key, budget, retryAfterMs, message }) {
+  const retryAfterS = Math.max(1, Math.ceil(retryAfterMs / 1000));
+  log.warn(`${key} over ${budget} budget — ${req.method} ${req.originalUrl || req.url} refused, retry in ${retryAfterS}s`);
+  res.setHeader("Retry-After", String(retryAfterS));
+  res.status(429).json({
+    jsonrpc: "2.0",
+    error: {
+      code: -32000,
+      message: `${message} Retry in ${retryAfterS}s.`,
+      data: { budget, retry_after_s: retryAfterS },
+    },
+    id: rpcId(req.body),
+  });
+}
+
+/**
+ * Express middleware for the MCP routes, mounted before auth: a per-IP request
+ * budget. Strict-auth routes reject unauthenticated requests before the
+ * per-bearer limiter runs, so without this a flood that never presents a
+ * valid token is never limited.
+ */
+export function mcpIpRateLimit({ requestsPerMinute = RATE_LIMITS.ipRequestsPerMinute } = {}) {
+  const requests = createRateLimiter({ capacity: requestsPerMinute });
+
+  return (req, res, next) => {
+    const key = `ip:${req.ip || "unknown"}`;
+    const verdict = requests.take(key);
+    if (verdict.ok) return next();
+    refuse(req, res, {
+      key, budget: "ip_requests", retryAfterMs: verdict.retryAfterMs,
+      message: `Rate limited: max ${requestsPerMinute} MCP requests per minute from one address.`,
+    });
+  };
+}
+
+/**
+ * Express middleware for the MCP routes. Mount after the bearer middleware so
+ * req.auth is set. Both budgets are checked before either is spent, so a
+ * refused request costs nothing. Over budget → 429 with Retry-After (seconds)
+ * and a JSON-RPC error body. A batch holding more expensive calls than the
+ * expensive budget could ever allow → 400, since no wait would let it pass.
+ */
+export function mcpRateLimit({
+  requestsPerMinute = RATE_LIMITS.requestsPerMinute,
+  expensivePerMinute = RATE_LIMITS.expensivePerMinute,
+} = {}) {
+  const requests = createRateLimiter({ capacity: requestsPerMinute });
+  const expensive = createRateLimiter({ capacity: expensivePerMinute });
+
+  return (req, res, next) => {
+    const key = rateLimitKey(req);
+    const cost = req.method === "POST" ? expensiveCalls(req.body) : 0;
+
+    if (expensivePerMinute && cost > expensivePerMinute) {
+      log.warn(`${key} sent ${cost} expensive calls in one batch (max ${expensivePerMinute}) — refused`);
+      res.status(400).json({
+        jsonrpc: "2.0",
+        error: {
+          code: -32600,
+          message: `Batch has ${cost} deploy/conversation/voice-test calls but at most ${expensivePerMinute} are allowed per minute. Send them in smaller batches.`,
+          data: { budget: "expensive_tools", cost, limit: expensivePerMinute },
+        },
+        id: rpcId(req.body),
+      });
+      return;
+    }
+
+    const requestVerdict = requests.check(key);
+    if (!requestVerdict.ok) {
+      return refuse(req, res, {
+        key, budget: "requests", retryAfterMs: requestVerdict.retryAfterMs,
+        message: `Rate limited: max ${requestsPerMinute} MCP requests per minute.`,
+      });
+    }
+    if (cost) {
+      const expensiveVerdict = expensive.check(key, cost);
+      if (!expensiveVerdict.ok) {
+        return refuse(req, res, {
+          key, budget: "expensive_tools", retryAfterMs: expensiveVerdict.retryAfterMs,
+          message: `Rate limited: max ${expensivePerMinute} deploy/conversation/voice-test calls per minute.`,
+        });
+      }
+      expensive.take(key, cost);
+    }
+    requests.take(key);
+    next();
+  };
+}
@@ -0,0 +1,63 @@
+/**
+ * Secret redaction for anything that leaves the process as text — recorded
+ * cassettes and log lines (logger.js). One place decides what a secret looks like:
+ *
+ *   - A-Team API keys  adas_<tenant>_<32hex> / adas_<32hex>  → tenant kept, hex dropped
+ *   - OAuth tokens      mcp_at_<random> / mcp_rt_<random>  → prefix kept
+ *   - Bearer tokens     "Bearer <anything>"
+ *   - Registered secrets (registerSecret) — master keys, which have no fixed shape
+ *   - Credential-named fields / headers (api_key, x-adas-token, authorization, …)
+ */
+
+const REDACTED = "[REDACTED]";
+
+// Keeps the tenant segment (useful when reading a recording), drops the secret.
+const API_KEY_RE = /\b(adas_(?:[a-z0-9][a-z0-9-]{0,28}[a-z0-9]_)?)[0-9a-f]{32}\b/g;
+// Opaque OAuth access / refresh tokens (oauth.js).
+const OAUTH_TOKEN_RE = /\b(mcp_(?:at|rt)_)[A-Za-z0-9_-]{20,}/g;
+// Only token-shaped values (8+ chars with a digit) — log prose like
+// "bearer bound for session" must survive.
+const BEARER_RE = /\b(Bearer\s+)(?=[A-Za-z0-9._~+/=-]*\d)[A-Za-z0-9._~+/=-]{8,}/gi;
+
+// Field / header names whose value is always a credential.
+const SECRET_KEY_RE = /^(x-api-key|x-adas-token|authorization|cookie|set-cookie|api_?key|master_?key|access_?token|refresh_?token|client_secret|token|secret|password)$/i;
+
+// Exact values to scrub wherever they appear. Short values are ignored —
+// redacting "abc" everywhere would mangle ordinary text.
+const knownSecrets = new Set();
+const MIN_KNOWN_SECRET_LENGTH = 8;
+
+/** Treat `value` as a secret from now on (e.g. a master key once it is used). */
+export function registerSecret(value) {
+  if (typeof value === "string" && value.length >= MIN_KNOWN_SECRET_LENGTH) knownSecrets.add(value);
+}
+
+/** Redact secrets embedded in a string. */
+export function redactString(str) {
+  if (typeof str !== "string") return str;
+  let out = str
+    .replace(API_KEY_RE, `$1${REDACTED}`)
+    .replace(OAUTH_TOKEN_RE, `$1${REDACTED}`)
+    .replace(BEARER_RE, `$1${REDACTED}`);
+  for (const secret of knownSecrets) {
+    if (out.includes(secret)) out = out.split(secret).join(REDACTED);
+  }
+  return out;
+}
+
+/**
+ * Deep-copy `value` with secrets redacted — credential-named keys are blanked,
+ * every other string is scrubbed with redactString.
+ */
+export function redactSecrets(value) {
+  if (typeof value === "string") return redactString(value);
+  if (Array.isArray(value)) return value.map(redactSecrets);
+  if (value && typeof value === "object") {
+    const out = {};
+    for (const [k, v] of Object.entries(value)) {
+      out[k] = SECRET_KEY_RE.test(k) && v != null ? REDACTED : redactSecrets(v);
+    }
+    return out;
+  }
+  return value;
+}
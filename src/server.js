@@ -11,12 +11,16 @@ import {
   ListToolsRequestSchema,
 } from "@modelcontextprotocol/sdk/types.js";
 import { tools, coreTools, handleToolCall } from "./tools.js";
+import { withLogContext } from "./logger.js";
 
 /**
  * @param {string} sessionId — identifier for credential isolation.
  *   HTTP transport passes the MCP session UUID; stdio uses "stdio".
+ * @param {{ jsonResponses?: boolean }} [opts] — jsonResponses: the transport
+ *   answers POSTs with plain JSON (HTTP enableJsonResponse), so nothing can
+ *   be streamed on the request itself.
  */
-export function createServer(sessionId = "stdio") {
+export function createServer(sessionId = "stdio", { jsonResponses = false } = {}) {
   const server = new Server(
     { name: "ateam-mcp", version: "0.3.0" },
     {
@@ -34,10 +38,40 @@ export function createServer(sessionId = "stdio") {
   // This reduces cognitive load from 23+ tools to ~11 in the tool surface.
   server.setRequestHandler(ListToolsRequestSchema, async () => ({ tools: coreTools }));
 
-  server.setRequestHandler(CallToolRequestSchema, async (request) => {
+  server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
     const { name, arguments: args } = request.params;
-    return handleToolCall(name, args, sessionId);
+    // Log lines from the call carry the session and tool (plus the HTTP
+    // request id, when there is one).
+    return withLogContext({ session: sessionId, tool: name }, () => handleToolCall(name, args, sessionId, {
+      progress: progressReporter(server, request, extra, jsonResponses),
+      signal: extra.signal,
+    }));
   });
 
   return server;
 }
+
+/**
+ * notifications/progress sender for one tools/call, or undefined when the
+ * caller sent no progressToken. Each message gets the elapsed time appended.
+ *
+ * stdio writes notifications straight out. Over HTTP our transports answer
+ * POSTs with plain JSON, which has no room for notifications, so they go on
+ * the session's GET SSE stream instead (clients match them by progressToken);
+ * a client without that stream open simply doesn't get them.
+ */
+function progressReporter(server, request, extra, jsonResponses) {
+  const progressToken = request.params._meta?.progressToken;
+  if (progressToken === undefined) return undefined;
+  const startedAt = Date.now();
+  let step = 0;
+  return (message) => {
+    const elapsedS = Math.round((Date.now() - startedAt) / 1000);
+    const notification = {
+      method: "notifications/progress",
+      params: { progressToken, progress: ++step, message: `${message} (${elapsedS}s elapsed)` },
+    };
+    (jsonResponses ? server.notification(notification) : extra.sendNotification(notification))
+      .catch(() => { /* client gone — the tool result will fail the same way */ });
+  };
+}
@@ -0,0 +1,357 @@
+/**
+ * Session store backends for the per-session maps in api.js
+ * (sessions, authOverrides, sessionBearers, bearerGrants), the OAuth codes,
+ * tokens and client registrations (oauth.js) and the token-injection cache
+ * (http.js).
+ *
+ * Every backend hands out Map-compatible collections so callers keep their
+ * synchronous get/set/delete/iterate code. Persistent backends mirror each
+ * collection in memory and write changes through to disk, so reads stay as
+ * cheap as the plain in-process Maps they replace.
+ *
+ * Persistent backends are also shared: several server instances may point at
+ * the same path (two replicas behind a load balancer, no sticky routing).
+ * Before every read a collection checks whether another process has written
+ * since it last looked and, if so, reloads its mirror — so a session
+ * authenticated on one instance is usable on the next. Concurrent writes to
+ * the same key are last-writer-wins.
+ *
+ * Backends (ATEAM_SESSION_STORE):
+ *   memory (default) — plain Maps, wiped on restart, private to the process
+ *   file             — one JSON file, rewritten (debounced, locked, merged with
+ *                      what other instances wrote, atomic rename) on change
+ *   sqlite           — node:sqlite database (Node >= 22.5), write-through per
+ *                      change; the better choice for more than one instance
+ *
+ * ATEAM_SESSION_STORE_PATH sets the file/database location
+ * (default ~/.ateam/sessions.json or ~/.ateam/sessions.db).
+ *
+ * ⚠️ Persistent stores hold API keys and master keys at rest. Files are created
+ * with mode 0600; keep the path on a volume only the server user can read.
+ */
+
+import { readFileSync, writeFileSync, renameSync, mkdirSync, existsSync, statSync, openSync, closeSync, unlinkSync } from "node:fs";
+import { createRequire } from "node:module";
+import { homedir } from "node:os";
+import { dirname, join } from "node:path";
+import { createLogger } from "./logger.js";
+
+const log = createLogger("SessionStore");
+
+const STORE_KINDS = ["memory", "file", "sqlite"];
+
+// File backend: coalesce bursts of changes (touchSession runs on every tool
+// call) into one write.
+const FILE_FLUSH_DELAY_MS = 250;
+
+// File backend: writers from different processes take a lock file around the
+// read-merge-write. A lock older than this is left over from a crashed writer.
+// A debounced write that finds the lock taken retries on a timer (the event
+// loop keeps serving requests meanwhile); after FILE_LOCK_WAIT_MS it writes
+// without the lock.
+const FILE_LOCK_STALE_MS = 5_000;
+const FILE_LOCK_WAIT_MS = 2_000;
+const FILE_LOCK_RETRY_MS = 20;
+
+/**
+ * A Map that reports every mutation, and every read beforehand (onRead) so a
+ * shared backend can refresh it first. Persistent backends use it as the
+ * in-memory mirror of a collection.
+ */
+class ObservedMap extends Map {
+  constructor(entries, hooks) {
+    super(entries); // Map's constructor calls set() — hooks are not wired yet, so the initial load is silent
+    this._hooks = hooks;
+  }
+
+  /** Replace the contents without reporting — used when reloading from disk. */
+  reset(entries) {
+    Map.prototype.clear.call(this);
+    for (const [key, value] of entries) Map.prototype.set.call(this, key, value);
+  }
+
+  get(key) { this._hooks?.onRead(); return super.get(key); }
+  has(key) { this._hooks?.onRead(); return super.has(key); }
+  get size() { this._hooks?.onRead(); return super.size; }
+  keys() { this._hooks?.onRead(); return super.keys(); }
+  values() { this._hooks?.onRead(); return super.values(); }
+  entries() { this._hooks?.onRead(); return super.entries(); }
+  forEach(fn, thisArg) { this._hooks?.onRead(); return super.forEach(fn, thisArg); }
+  [Symbol.iterator]() { return this.entries(); }
+
+  set(key, value) {
+    super.set(key, value);
+    this._hooks?.onSet(key, value);
+    return this;
+  }
+
+  delete(key) {
+    const had = super.delete(key);
+    if (had) this._hooks?.onDelete(key);
+    return had;
+  }
+
+  clear() {
+    super.clear();
+    this._hooks?.onClear();
+  }
+}
+
+function createMemoryStore() {
+  const collections = new Map();
+  return {
+    kind: "memory",
+    collection(name) {
+      if (!collections.has(name)) collections.set(name, new Map());
+      return collections.get(name);
+    },
+    flush() {},
+    close() {},
+  };
+}
+
+// Identifies one version of the file: every write is a rename, so a new inode
+// (or mtime/size on filesystems that reuse inodes) means someone wrote.
+function fileStamp(path) {
+  try {
+    const st = statSync(path);
+    return `${st.ino}:${st.mtimeMs}:${st.size}`;
+  } catch {
+    return null;
+  }
+}
+
+const sleepSync = (ms) => Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+
+function createFileStore(path) {
+  const collections = new Map();
+  const lockPath = `${path}.lock`;
+
+  const readData = () => {
+    if (!existsSync(path)) return {};
+    try {
+      return JSON.parse(readFileSync(path, "utf8"))?.collections || {};
+    } catch (err) {
+      // A corrupt store must not keep the server from starting — losing
+      // persisted sessions is the same outcome as the old in-memory maps.
+      log.warn(`Could not read ${path} (${err.message}) — starting empty`);
+      return {};
+    }
+  };
+
+  let data = readData();
+  let stamp = fileStamp(path);
+
+  // Local changes not yet written: collection → { cleared, ops: key → { value } | null (deleted) }.
+  // Applied over whatever is on disk at flush time, so one instance's write
+  // doesn't roll back keys another instance changed meanwhile.
+  const pending = new Map();
+  const pendingFor = (name) => pending.get(name) || pending.set(name, { cleared: false, ops: new Map() }).get(name);
+
+  const merged = (name, base) => {
+    const p = pending.get(name);
+    const out = new Map(p?.cleared ? [] : Object.entries(base[name] || {}));
+    for (const [key, op] of p?.ops || []) {
+      if (op) out.set(key, op.value);
+      else out.delete(key);
+    }
+    return out;
+  };
+
+  // Another process wrote since we last read or wrote → reload every mirror,
+  // keeping our own unwritten changes on top.
+  let refreshing = false;
+  const refresh = () => {
+    if (refreshing) return;
+    const current = fileStamp(path);
+    if (current === stamp) return;
+    refreshing = true;
+    try {
+      data = readData();
+      stamp = current;
+      for (const [name, map] of collections) map.reset(merged(name, data));
+    } finally {
+      refreshing = false;
+    }
+  };
+
+  /** One attempt at the lock file; clears a stale one left by a crashed writer. */
+  const tryLock = () => {
+    try {
+      closeSync(openSync(lockPath, "wx", 0o600));
+      return true;
+    } catch (err) {
+      if (err.code !== "EEXIST") throw err;
+      try {
+        if (Date.now() - statSync(lockPath).mtimeMs > FILE_LOCK_STALE_MS) unlinkSync(lockPath);
+      } catch { /* released meanwhile */ }
+      return false;
+    }
+  };
+
+  // Read-merge-write under the lock (or without it, when `locked` is false).
+  // Pending changes are dropped only once the new file is in place, so a
+  // failed write is retried by the next flush.
+  const write = (locked) => {
+    const tmp = `${path}.${process.pid}.tmp`;
+    try {
+      data = readData();
+      const out = { ...data };
+      for (const name of pending.keys()) out[name] = Object.fromEntries(merged(name, data));
+      writeFileSync(tmp, JSON.stringify({ version: 1, collections: out }), { mode: 0o600 });
+      renameSync(tmp, path);
+      pending.clear();
+      data = out;
+      stamp = fileStamp(path);
+      for (const [name, map] of collections) map.reset(Object.entries(data[name] || {}));
+    } catch (err) {
+      try { unlinkSync(tmp); } catch { /* never written */ }
+      throw err;
+    } finally {
+      if (locked) try { unlinkSync(lockPath); } catch { /* already gone */ }
+    }
+  };
+
+  let timer = null;
+  let lockWaitSince = null;
+
+  // Debounced write: never blocks — a taken lock means trying again shortly.
+  const flushScheduled = () => {
+    timer = null;
+    if (!pending.size) return;
+    mkdirSync(dirname(path), { recursive: true, mode: 0o700 });
+    let locked = tryLock();
+    if (!locked) {
+      lockWaitSince ??= Date.now();
+      if (Date.now() - lockWaitSince < FILE_LOCK_WAIT_MS) {
+        timer = setTimeout(runScheduled, FILE_LOCK_RETRY_MS);
+        timer.unref();
+        return;
+      }
+      log.warn(`${lockPath} held for over ${FILE_LOCK_WAIT_MS}ms — writing without the lock`);
+    }
+    lockWaitSince = null;
+    write(locked);
+  };
+
+  const runScheduled = () => {
+    try { flushScheduled(); } catch (err) { log.error(`Write to ${path} failed, kept for the next write: ${err.message}`); }
+  };
+
+  // Immediate write (shutdown, tests): waits for the lock, blocking — there is
+  // nothing else left to serve by then.
+  const flush = () => {
+    if (timer) { clearTimeout(timer); timer = null; }
+    if (!pending.size) return;
+    mkdirSync(dirname(path), { recursive: true, mode: 0o700 });
+    const deadline = Date.now() + FILE_LOCK_WAIT_MS;
+    let locked = tryLock();
+    while (!locked && Date.now() < deadline) {
+      sleepSync(10);
+      locked = tryLock();
+    }
+    if (!locked) log.warn(`${lockPath} held for over ${FILE_LOCK_WAIT_MS}ms — writing without the lock`);
+    lockWaitSince = null;
+    write(locked);
+  };
+
+  const schedule = () => {
+    if (timer) return;
+    timer = setTimeout(runScheduled, FILE_FLUSH_DELAY_MS);
+    timer.unref();
+  };
+
+  return {
+    kind: "file",
+    path,
+    shared: true,
+    collection(name) {
+      if (!collections.has(name)) {
+        collections.set(name, new ObservedMap(Object.entries(data[name] || {}), {
+          onRead: refresh,
+          onSet: (key, value) => { pendingFor(name).ops.set(key, { value }); schedule(); },
+          onDelete: (key) => { pendingFor(name).ops.set(key, null); schedule(); },
+          onClear: () => { const p = pendingFor(name); p.cleared = true; p.ops.clear(); schedule(); },
+        }));
+      }
+      return collections.get(name);
+    },
+    flush,
+    close: flush,
+  };
+}
+
+function createSqliteStore(path) {
+  let DatabaseSync;
+  try {
+    ({ DatabaseSync } = createRequire(import.meta.url)("node:sqlite"));
+  } catch {
+    throw new Error(
+      `ATEAM_SESSION_STORE=sqlite needs the built-in node:sqlite module (Node >= 22.5; ` +
+      `22.5–22.12 also need --experimental-sqlite). Running Node ${process.versions.node}. ` +
+      `Use ATEAM_SESSION_STORE=file instead.`
+    );
+  }
+
+  mkdirSync(dirname(path), { recursive: true, mode: 0o700 });
+  const db = new DatabaseSync(path);
+  db.exec(`CREATE TABLE IF NOT EXISTS session_kv (
+    ns TEXT NOT NULL,
+    key TEXT NOT NULL,
+    value TEXT NOT NULL,
+    PRIMARY KEY (ns, key)
+  )`);
+  const selectAll = db.prepare("SELECT key, value FROM session_kv WHERE ns = ?");
+  const upsert = db.prepare("INSERT OR REPLACE INTO session_kv (ns, key, value) VALUES (?, ?, ?)");
+  const remove = db.prepare("DELETE FROM session_kv WHERE ns = ? AND key = ?");
+  const removeAll = db.prepare("DELETE FROM session_kv WHERE ns = ?");
+  // Bumped whenever another connection commits — our own writes leave it alone.
+  const dataVersion = db.prepare("PRAGMA data_version");
+
+  const collections = new Map();
+  const rowsOf = (name) => selectAll.all(name).map((r) => [r.key, JSON.parse(r.value)]);
+
+  let version = dataVersion.get().data_version;
+  const refresh = () => {
+    const current = dataVersion.get().data_version;
+    if (current === version) return;
+    version = current;
+    for (const [name, map] of collections) map.reset(rowsOf(name));
+  };
+
+  return {
+    kind: "sqlite",
+    path,
+    shared: true,
+    collection(name) {
+      if (!collections.has(name)) {
+        collections.set(name, new ObservedMap(rowsOf(name), {
+          onRead: refresh,
+          onSet: (key, value) => upsert.run(name, key, JSON.stringify(value)),
+          onDelete: (key) => remove.run(name, key),
+          onClear: () => removeAll.run(name),
+        }));
+      }
+      return collections.get(name);
+    },
+    flush() {}, // write-through
+    close() { db.close(); },
+  };
+}
+
+/**
+ * Create a session store.
+ * @param {{ kind?: "memory"|"file"|"sqlite", path?: string }} [opts]
+ * @returns {{ kind: string, path?: string, shared?: boolean, collection(name: string): Map, flush(): void, close(): void }}
+ */
+export function createSessionStore({ kind, path } = {}) {
+  const resolvedKind = (kind || "memory").toLowerCase();
+  if (!STORE_KINDS.includes(resolvedKind)) {
+    throw new Error(`Unknown session store "${kind}" — expected one of: ${STORE_KINDS.join(", ")}`);
+  }
+  if (resolvedKind === "memory") return createMemoryStore();
+  const defaultPath = join(homedir(), ".ateam", resolvedKind === "sqlite" ? "sessions.db" : "sessions.json");
+  return resolvedKind === "file"
+    ? createFileStore(path || defaultPath)
+    : createSqliteStore(path || defaultPath);
+}
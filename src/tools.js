@@ -9,10 +9,11 @@
  */
 
 import {
-  get, post, patch, del,
+  get, post, patch, del, coreGet, corePost,
   setSessionCredentials, isAuthenticated, isExplicitlyAuthenticated,
   getCredentials, parseApiKey, touchSession, getSessionContext,
-  setAuthOverride, switchTenant, isMasterMode, listTenants, getWhere, getBaseUrl,
+  setAuthOverride, switchTenant, isMasterMode, isReadOnly, listTenants, getWhere, getBaseUrl,
+  describeError, recordToolCall, getSessionHistory, waitOrAbort,
 } from "./api.js";
 
 // Mutating / stateful tools whose result should carry a `_where` stamp
@@ -27,7 +28,36 @@ const STAMP_WHERE_TOOLS = new Set([
   "ateam_github_promote", "ateam_github_rollback",
   "ateam_test_skill", "ateam_test_pipeline", "ateam_test_connector", "ateam_test_notification",
 ]);
+
+// Tools that change tenant state (deploy, edit, delete, push). Refused for
+// read-only sessions — reads, specs and tests keep working.
+const MUTATING_TOOLS = new Set([
+  "ateam_patch", "ateam_build_and_run", "ateam_update", "ateam_solution_chat",
+  "ateam_deploy_solution", "ateam_deploy_skill", "ateam_deploy_connector",
+  "ateam_create_connector", "ateam_create_plugin",
+  "ateam_upload_connector", "ateam_upload_connector_files", "ateam_redeploy",
+  "ateam_delete_solution", "ateam_delete_skill", "ateam_delete_connector",
+  "ateam_github_write", "ateam_github_patch", "ateam_github_push", "ateam_github_pull",
+  "ateam_github_promote", "ateam_github_rollback", "ateam_write_agent_doc",
+  "ateam_sync_all",
+]);
+
+// Tools whose every call goes to the audit trail (audit.js): everything that
+// changes tenant state, plus test notifications, which reach real people.
+const AUDITED_TOOLS = new Set([...MUTATING_TOOLS, "ateam_test_notification"]);
+
+// Error codes for calls refused before their handler ran — counted as
+// "refused" rather than "error" in metrics, the audit trail and history.
+const REFUSAL_CODES = new Set(["auth_required", "read_only_session"]);
 import { renderAgentDocHeader, mergeAgentDoc, AGENT_DOC_SENTINEL } from "./agentDoc.js";
+import { cassetteFetch } from "./cassette.js";
+import { getProfile, listProfiles } from "./profiles.js";
+import { createWindowLimiter } from "./rateLimit.js";
+import { observeToolCall, observeDeployJob } from "./metrics.js";
+import { auditToolCall } from "./audit.js";
+import { createLogger } from "./logger.js";
+
+const log = createLogger("Tools");
 
 // ─── Async deploy helper ────────────────────────────────────────────
 //
@@ -42,9 +72,16 @@ import { renderAgentDocHeader, mergeAgentDoc, AGENT_DOC_SENTINEL } from "./agent
 // sync response would have been, plus job metadata). MCP tool wrappers use
 // this so the agent gets a normal response from a long-running tool call —
 // no async API leaks out to agent prompts.
-async function pollDeployJob(jobId, sid, { label = 'deploy', maxMs = 15 * 60_000, intervalMs = 2000 } = {}) {
+//
+// `progress` (from the handler's ctx) receives a line on every job status
+// change, plus a heartbeat while the status holds, so the client sees the
+// call is alive. `signal` (ctx.signal) stops the polling when the client
+// cancels the tool call; the job itself keeps running on the server.
+async function pollDeployJob(jobId, sid, { label = 'deploy', maxMs = 15 * 60_000, intervalMs = 2000, progress, signal } = {}) {
   const start = Date.now();
   let lastStatus = null;
+  const heartbeat = progressHeartbeat(progress);
+  heartbeat.report(`${label}: job ${jobId} started`);
   // URL-encode jobId — older skill-validators returned composite job IDs
   // with literal `/` (e.g. `redeploy-skill-personal-adas/pa-orchestrator-...`)
   // which broke the Express route /deploy/jobs/:jobId. Polling silently
@@ -52,19 +89,38 @@ async function pollDeployJob(jobId, sid, { label = 'deploy', maxMs = 15 * 60_000
   // (~30s) and dropped the connection. Encoding here is defense-in-depth
   // even after the server-side fix that replaced `/` with `--`.
   const encodedJobId = encodeURIComponent(jobId);
+  const kind = label.split(" ")[0]; // "redeploy-skill <id>" → one metric series per kind
   while (Date.now() - start < maxMs) {
-    await new Promise(r => setTimeout(r, intervalMs));
+    await waitOrAbort(intervalMs, signal);
+    if (signal?.aborted) break;
     try {
-      const job = await get(`/deploy/jobs/${encodedJobId}`, sid);
+      const job = await get(`/deploy/jobs/${encodedJobId}`, sid, { signal });
+      if (job?.status !== lastStatus) {
+        heartbeat.report(`${label}: job ${lastStatus || "queued"} → ${job?.status}`);
+      } else {
+        heartbeat.tick(`${label}: job still ${job?.status}`);
+      }
       lastStatus = job?.status;
       if (job?.status === 'done' || job?.status === 'failed') {
+        observeDeployJob(kind, job.status, Date.now() - start);
         return job; // job entry has the full result merged in
       }
     } catch (err) {
-      // Transient — keep polling. Log at debug level if requested.
-      if (process.env.MCP_DEBUG_POLLS) console.warn(`[pollDeployJob:${label}] poll error (will retry): ${err.message}`);
+      // Transient — keep polling. Visible with LOG_LEVEL=debug.
+      log.debug(`pollDeployJob ${label}: poll error (will retry): ${err.message}`, { job_id: jobId });
     }
   }
+  observeDeployJob(kind, signal?.aborted ? "cancelled" : "timeout", Date.now() - start);
+  if (signal?.aborted) {
+    return {
+      ok: false,
+      cancelled: true,
+      error: `${label} polling cancelled by the client`,
+      last_status: lastStatus,
+      job_id: jobId,
+      hint: 'Only the wait was cancelled — the job may still be running on the server. Call get(`/deploy/jobs/<job_id>`) directly to check.',
+    };
+  }
   return {
     ok: false,
     error: `${label} polling timed out after ${Math.round(maxMs / 60_000)}min`,
@@ -74,6 +130,56 @@ async function pollDeployJob(jobId, sid, { label = 'deploy', maxMs = 15 * 60_000
   };
 }
 
+// ─── Progress notifications ─────────────────────────────────────────
+//
+// Long-running handlers get ctx.progress (set by server.js when the MCP
+// request carried a progressToken) and report phase names and job status
+// transitions through it. Without a token it is undefined and these no-op.
+
+// A polling loop reports at least this often while nothing changes.
+const PROGRESS_HEARTBEAT_MS = 15_000;
+
+/**
+ * Wrap a progress callback for a polling loop: report() always sends,
+ * tick() only sends when nothing was sent for PROGRESS_HEARTBEAT_MS.
+ */
+function progressHeartbeat(progress) {
+  let lastAt = 0;
+  const report = (message) => {
+    if (!progress) return;
+    progress(message);
+    lastAt = Date.now();
+  };
+  return {
+    report,
+    tick: (message) => { if (Date.now() - lastAt >= PROGRESS_HEARTBEAT_MS) report(message); },
+  };
+}
+
+// ─── Cancellation ───────────────────────────────────────────────────
+//
+// ctx.signal is the MCP request's AbortSignal — aborted when the client sends
+// notifications/cancelled for the call. Handlers pass it to their API calls
+// (request() turns it into an ApiError with code "cancelled") and polling
+// loops wait with waitOrAbort (api.js) so a cancel lands within one tick.
+
+/** True when `err` (or the signal itself) says the client cancelled the call. */
+const isCancelled = (err, signal) => err?.code === "cancelled" || !!signal?.aborted;
+
+/**
+ * Result for a call cancelled while a request was in flight. Unlike a
+ * cancelled poll, the request may or may not have reached the server.
+ */
+function cancelledRequest(label, extra = {}) {
+  return {
+    ok: false,
+    cancelled: true,
+    error: `${label} cancelled by the client.`,
+    hint: "The request may already have reached the server — check the current state before retrying.",
+    ...extra,
+  };
+}
+
 // ─── Widget health verification ────────────────────────────────────
 //
 // A skill/solution that declares UI plugins (ui_plugins[]) can silently ship
@@ -415,7 +521,7 @@ export const tools = [
     name: "ateam_auth",
     core: true,
     description:
-      "Authenticate with A-Team. Required before any tenant-aware operation (reading solutions, deploying, testing, etc.). The user can get their API key at https://mcp.ateam-ai.com/get-api-key. Only global endpoints (spec, examples, validate) work without auth. IMPORTANT: Even if environment variables (ADAS_API_KEY) are configured, you MUST call ateam_auth explicitly — env vars alone are not sufficient. For cross-tenant admin operations, use master_key instead of api_key.",
+      "Authenticate with A-Team. Required before any tenant-aware operation (reading solutions, deploying, testing, etc.). The user can get their API key at https://mcp.ateam-ai.com/get-api-key. Only global endpoints (spec, examples, validate) work without auth. IMPORTANT: Even if environment variables (ADAS_API_KEY) are configured, you MUST call ateam_auth explicitly — env vars alone are not sufficient. For cross-tenant admin operations, use master_key instead of api_key. Local (stdio) users with a profiles file can pass profile instead of a key — see ateam_list_profiles. Pass mode: \"read_only\" to lock the session to reads, specs and tests (no deploys, edits or deletes).",
     inputSchema: {
       type: "object",
       properties: {
@@ -435,6 +541,44 @@ export const tools = [
           type: "string",
           description: "Optional API URL override (e.g., https://dev-api.ateam-ai.com). Use this to target a different environment without restarting the MCP server.",
         },
+        profile: {
+          type: "string",
+          description: "Named credential profile from the local profiles file (~/.ateam/profiles.json), e.g. \"prod\", \"dev\". Supplies api_key/master_key, tenant and url; explicit args override the profile. stdio transport only.",
+        },
+        mode: {
+          type: "string",
+          enum: ["full", "read_only"],
+          description: "Session access mode (default: full). read_only refuses every mutating tool (patch, build_and_run, deploy_*, delete_*, github writes, upload_connector, redeploy) for the rest of the session — it cannot be lifted by re-authenticating.",
+        },
+      },
+    },
+  },
+  {
+    name: "ateam_list_profiles",
+    core: false,
+    description:
+      "List the named credential profiles in the local profiles file (~/.ateam/profiles.json, or ATEAM_PROFILES_PATH): name, tenant, API URL and a key hint — never the keys themselves. Use a name with ateam_auth(profile: \"<name>\"). stdio transport only.",
+    inputSchema: {
+      type: "object",
+      properties: {},
+    },
+  },
+  {
+    name: "ateam_session_history",
+    core: false,
+    description:
+      "List this session's recent tool calls, oldest first: tool, redacted args summary, duration, ok/error, and any job_ids/chain_ids returned. Use it after context loss to see which deploys and tests already ran (poll their ids with ateam_test_status / ateam_chain_status instead of re-running).",
+    inputSchema: {
+      type: "object",
+      properties: {
+        limit: {
+          type: "number",
+          description: "Max entries to return, most recent (default: 20)",
+        },
+        tool: {
+          type: "string",
+          description: "Only calls to this tool (e.g. \"ateam_build_and_run\")",
+        },
       },
     },
   },
@@ -650,7 +794,7 @@ export const tools = [
       "⚠️ SAFETY:\n" +
       "  • The text is prefixed with [TEST] in the actual notification — visible to the user, anti-phishing.\n" +
       "  • Rate-limited: 10 calls/min per session.\n" +
-      "  • Every call is audited (caller, tenant, actor, content hash) regardless of outcome.\n" +
+      "  • Every call is audited (caller, tenant, actor, args hash) regardless of outcome.\n" +
       "  • actor_id is scoped to your tenant — cross-tenant targeting is rejected by Core's per-tenant Mongo isolation.\n" +
       "  • reply_handler is NOT supported via api-key auth (Core ignores it). Routing the user's next reply to an arbitrary skill is a privilege-escalation surface. For routing/engagement tests, use ateam_test_skill.",
     inputSchema: {
@@ -2077,6 +2221,13 @@ const TENANT_TOOLS = new Set([
 /** Small delay helper */
 const sleep = (ms) => new Promise(r => setTimeout(r, ms));
 
+/**
+ * Did an API call fail because the platform was slow/unreachable (as opposed
+ * to rejecting the request)? Those are the failures worth an async retry.
+ */
+const isTimeoutError = (err) =>
+  err?.code === "timeout" || [502, 503, 504, 524].includes(err?.status);
+
 // ═══════════════════════════════════════════════════════════════════
 // Phase 7 strip: connector + plugin scaffolds
 // ───────────────────────────────────────────────────────────────────
@@ -2525,6 +2676,16 @@ module.exports.default = plugin;
   return files;
 }
 
+/** Suffix for ateam_auth messages when the session ended up read-only. */
+function readOnlyNote(sessionId) {
+  return isReadOnly(sessionId) ? " — read-only: deploys, edits and deletes are refused" : "";
+}
+
+// ateam_test_notification budget — tighter than the HTTP limits because each
+// call puts a real message in front of a real user, and it applies over stdio too.
+const NOTIFY_RATE_LIMIT = 10;
+const notifyRateLimiter = createWindowLimiter({ limit: NOTIFY_RATE_LIMIT });
+
 const handlers = {
   ateam_bootstrap: async () => ({
     platform_positioning: {
@@ -2817,14 +2978,40 @@ const handlers = {
     },
   }),
 
-  ateam_auth: async ({ api_key, master_key, tenant, url }, sessionId) => {
+  ateam_auth: async ({ api_key, master_key, tenant, url, profile, mode }, sessionId) => {
+    if (mode !== undefined && mode !== "full" && mode !== "read_only") {
+      return { ok: false, message: `Unknown mode "${mode}" — expected "full" or "read_only".` };
+    }
+    const readOnly = mode === "read_only";
+
+    // Named profile: fills in whatever the caller didn't pass explicitly.
+    // Choosing a profile is as explicit as pasting its key, so the session
+    // ends up explicitly authenticated exactly like the key paths below.
+    if (profile) {
+      let p;
+      try {
+        p = getProfile(profile);
+      } catch (err) {
+        return { ok: false, message: err.message };
+      }
+      if (!api_key && !master_key) {
+        api_key = p.api_key;
+        master_key = p.master_key;
+      }
+      tenant = tenant || p.tenant;
+      url = url || p.url;
+      mode = mode || p.mode;
+      const result = await handlers.ateam_auth({ api_key, master_key, tenant, url, mode }, sessionId);
+      return { ...result, profile: p.name };
+    }
+
     // Master key mode: cross-tenant auth using shared secret
     if (master_key) {
       if (!tenant) {
         return { ok: false, message: "Master key requires a tenant parameter. Specify which tenant to operate on." };
       }
       const apiUrl = url ? url.replace(/\/+$/, "") : undefined;
-      setSessionCredentials(sessionId, { tenant, apiKey: null, apiUrl, explicit: true, masterKey: master_key });
+      setSessionCredentials(sessionId, { tenant, apiKey: null, apiUrl, explicit: true, masterKey: master_key, readOnly });
       // Verify by listing solutions
       try {
         const result = await get("/deploy/solutions", sessionId);
@@ -2833,7 +3020,8 @@ const handlers = {
           ok: true,
           tenant,
           masterMode: true,
-          message: `Master key authenticated to tenant "${tenant}"${urlNote}. ${result.solutions?.length || 0} solution(s) found. Use tenant parameter on any tool to switch tenants without re-auth.`,
+          read_only: isReadOnly(sessionId),
+          message: `Master key authenticated to tenant "${tenant}"${urlNote}${readOnlyNote(sessionId)}. ${result.solutions?.length || 0} solution(s) found. Use tenant parameter on any tool to switch tenants without re-auth.`,
         };
       } catch (err) {
         return { ok: false, tenant, message: `Master key auth failed: ${err.message}` };
@@ -2860,9 +3048,9 @@ const handlers = {
     }
     // Normalize URL: strip trailing slash
     const apiUrl = url ? url.replace(/\/+$/, "") : undefined;
-    setSessionCredentials(sessionId, { tenant: resolvedTenant, apiKey: api_key, apiUrl, explicit: true });
+    setSessionCredentials(sessionId, { tenant: resolvedTenant, apiKey: api_key, apiUrl, explicit: true, readOnly });
     // Persist override per bearer (survives session changes)
-    setAuthOverride(sessionId, { tenant: resolvedTenant, apiKey: api_key, apiUrl });
+    setAuthOverride(sessionId, { tenant: resolvedTenant, apiKey: api_key, apiUrl, readOnly: isReadOnly(sessionId) });
     // Verify the key works by listing solutions
     try {
       const result = await get("/deploy/solutions", sessionId);
@@ -2870,7 +3058,8 @@ const handlers = {
       return {
         ok: true,
         tenant: resolvedTenant,
-        message: `Authenticated to tenant "${resolvedTenant}"${urlNote}. ${result.solutions?.length || 0} solution(s) found.`,
+        read_only: isReadOnly(sessionId),
+        message: `Authenticated to tenant "${resolvedTenant}"${urlNote}${readOnlyNote(sessionId)}. ${result.solutions?.length || 0} solution(s) found.`,
       };
     } catch (err) {
       // OPEN-18: a well-formed `adas_<tenant>_<hex>` key that's rejected is often
@@ -2891,6 +3080,29 @@ const handlers = {
     }
   },
 
+  ateam_list_profiles: async () => {
+    const listed = listProfiles();
+    return {
+      ...listed,
+      _note: listed.exists
+        ? `Call ateam_auth(profile: "<name>") to authenticate with one of these.`
+        : `No profiles file at ${listed.path}. Create one with {"default": "prod", "profiles": {"prod": {"api_key": "adas_<tenant>_<hex>"}, "dev": {"api_key": "...", "url": "https://dev-api.ateam-ai.com"}}} (chmod 600).`,
+    };
+  },
+
+  ateam_session_history: async ({ limit, tool }, sid) => {
+    const all = getSessionHistory(sid);
+    const matching = tool ? all.filter((e) => e.tool === tool) : all;
+    const calls = matching.slice(-(Number(limit) > 0 ? Number(limit) : 20));
+    return {
+      ok: true,
+      total_recorded: all.length,
+      returned: calls.length,
+      calls,
+      ...(all.length === 0 && { _note: "No tool calls recorded — history starts once the session is authenticated (ateam_auth)." }),
+    };
+  },
+
   ateam_get_spec: async ({ topic, section, search }, sid) => {
     let path = SPEC_PATHS[topic];
     const params = new URLSearchParams();
@@ -2914,7 +3126,7 @@ const handlers = {
     // header rides along (post() sets it), so the Builder resolves this tenant's
     // LLM via Core's sys.llm gateway (stage→tier→model, transparent — no keys in
     // the Builder). Reachable externally on prod: the relay forwards /spec/*.
-    return post("/spec/advisor", { goal, design_state: design_state || {} }, sid, { timeoutMs: 90_000, retries: 1 });
+    return post("/spec/advisor", { goal, design_state: design_state || {} }, sid, { timeoutMs: 90_000, retries: 1, idempotent: true });
   },
 
   // Semantic search over the full /spec corpus. Reaches the sysSpecSearch-mcp
@@ -2930,7 +3142,7 @@ const handlers = {
       `/deploy/solutions/${encodeURIComponent(sol)}/connectors/sysSpecSearch-mcp/call`,
       { tool: "sysSpecSearch.search", args: { query, ...(top_k ? { top_k } : {}) } },
       sid,
-      { timeoutMs: 30_000, retries: 1 },
+      { timeoutMs: 30_000, retries: 1, idempotent: true },
     );
     // Unwrap the MCP tool result: { result: { content: [{ type:"text", text }] } }.
     const text = r?.result?.content?.[0]?.text;
@@ -2942,7 +3154,7 @@ const handlers = {
   // Validates → Deploys → Health-checks → Optionally tests
   // One call replaces: validate_solution + deploy_solution + get_solution(health)
 
-  ateam_build_and_run: async ({ solution_id: solIdArg, solution: solutionArg, skills, connectors, mcp_store, github, test_message, test_skill_id }, sid) => {
+  ateam_build_and_run: async ({ solution_id: solIdArg, solution: solutionArg, skills, connectors, mcp_store, github, test_message, test_skill_id }, sid, ctx) => {
     let solution = solutionArg;
     // If only solution_id passed (no full solution), we'll pull from GitHub
     const solutionId = solution?.id || solIdArg;
@@ -2950,6 +3162,11 @@ const handlers = {
       return { ok: false, phase: "pre_check", error: "Provide either solution (object) or solution_id (string)." };
     }
     const phases = [];
+    const progress = (phase) => ctx?.progress?.(`build_and_run: ${phase}`);
+    const signal = ctx?.signal;
+    // Checked between phases: a cancelled call skips everything after the
+    // phase that was running. Work already sent to the platform is not undone.
+    const cancelled = (phase) => ({ ok: false, phase, phases, cancelled: true, error: `Cancelled by the client during ${phase} — later phases were skipped.` });
 
     // Guard: reject large mcp_store — agent should use github_patch instead
     if (mcp_store) {
@@ -2976,19 +3193,21 @@ const handlers = {
     let effectiveSkills = skills;
     if (!mcp_store) {
       try {
-        const ghStatus = await get(`/deploy/solutions/${solutionId}/github/status`, sid);
+        const ghStatus = await get(`/deploy/solutions/${solutionId}/github/status`, sid, { signal });
         if (ghStatus?.repo_url) {
           github = true;
         }
       } catch { /* no repo — first deploy, mcp_store expected */ }
     }
     if (github && !mcp_store) {
+      if (signal?.aborted) return cancelled("pre_check");
+      progress("github_pull");
       try {
         const pullResult = await post(
           `/deploy/solutions/${solutionId}/github/pull-bundle`,
           {},
           sid,
-          { timeoutMs: 60_000 },
+          { timeoutMs: 60_000, signal },
         );
         if (!pullResult.ok) {
           return {
@@ -3028,6 +3247,7 @@ const handlers = {
           connectors_synthesized: connectors?.length || 0,
         });
       } catch (err) {
+        if (signal?.aborted) return cancelled("github_pull");
         return {
           ok: false,
           phase: "github_pull",
@@ -3058,11 +3278,14 @@ const handlers = {
     }
 
     // Phase 1: Validate
+    if (signal?.aborted) return cancelled("pre_check");
+    progress("validate");
     let validation;
     try {
-      validation = await post("/validate/solution", { solution, skills: effectiveSkills, connectors, mcp_store: effectiveMcpStore }, sid, { timeoutMs: 120_000 });
+      validation = await post("/validate/solution", { solution, skills: effectiveSkills, connectors, mcp_store: effectiveMcpStore }, sid, { timeoutMs: 120_000, idempotent: true, signal });
       phases.push({ phase: "validate", status: "done" });
     } catch (err) {
+      if (signal?.aborted) return cancelled("validation");
       return {
         ok: false,
         phase: "validation",
@@ -3084,51 +3307,46 @@ const handlers = {
     }
 
     // Phase 2: Deploy
+    if (signal?.aborted) return cancelled("validation");
+    progress("deploy");
     let deploy;
     try {
       // Try sync first (fast for small solutions)
       deploy = await post("/deploy/solution", {
         solution, skills: effectiveSkills, connectors, mcp_store: effectiveMcpStore,
         ...(github && { skip_github_push: true }),
-      }, sid, { timeoutMs: 120_000 });
+      }, sid, { timeoutMs: 120_000, signal });
       phases.push({ phase: "deploy", status: deploy.ok ? "done" : "failed" });
     } catch (err) {
-      const isTimeout = /524|502|503|timeout|ETIMEDOUT/i.test(err.message);
-      if (!isTimeout) {
+      if (signal?.aborted) return cancelled("deployment");
+      if (!isTimeoutError(err)) {
         return { ok: false, phase: "deployment", phases, error: err.message, validation_warnings: validation.warnings || [] };
       }
 
       // Timeout → retry with async mode + polling
       phases.push({ phase: "deploy", status: "async_retry" });
+      progress("deploy (sync timed out — retrying async)");
       try {
         const asyncResult = await post("/deploy/solution", {
           solution, skills: effectiveSkills, connectors, mcp_store: effectiveMcpStore,
           ...(github && { skip_github_push: true }),
           async: true,
-        }, sid, { timeoutMs: 15_000 });
+        }, sid, { timeoutMs: 15_000, signal });
 
         if (asyncResult.job_id) {
-          // Poll for completion (up to 10 min)
-          const jobId = asyncResult.job_id;
-          const maxWait = 600_000;
-          const pollInterval = 5_000;
-          const start = Date.now();
-          while (Date.now() - start < maxWait) {
-            await new Promise(r => setTimeout(r, pollInterval));
-            try {
-              const job = await get(`/deploy/jobs/${jobId}`, sid);
-              if (job.status === 'done' || job.status === 'failed') {
-                deploy = job;
-                phases.push({ phase: "deploy", status: job.status });
-                break;
-              }
-            } catch (err) {
-              // #4 Silent-catch audit: poll errors are usually transient
-              // (network blip, restart). Logging at debug level so they
-              // don't drown the console but ARE visible if you bump the
-              // log level after a stuck deploy.
-              if (process.env.MCP_DEBUG_POLLS) console.warn(`[ateam_build_and_run] poll ${jobId} error (will retry): ${err.message}`);
-            }
+          // Poll for completion (up to 10 min). Poll errors are transient —
+          // pollDeployJob keeps going and logs them at debug level.
+          const job = await pollDeployJob(asyncResult.job_id, sid, {
+            label: "build_and_run deploy",
+            maxMs: 600_000,
+            intervalMs: 5_000,
+            progress: ctx?.progress,
+            signal,
+          });
+          if (job.cancelled) return { ...cancelled("deployment"), job_id: job.job_id, hint: job.hint };
+          if (job.status === 'done' || job.status === 'failed') {
+            deploy = job;
+            phases.push({ phase: "deploy", status: job.status });
           }
           if (!deploy) {
             return { ok: false, phase: "deployment", phases, error: "Async deploy timed out after 10 minutes", validation_warnings: validation.warnings || [],
@@ -3136,6 +3354,7 @@ const handlers = {
           }
         }
       } catch (asyncErr) {
+        if (signal?.aborted) return cancelled("deployment");
         return { ok: false, phase: "deployment", phases, error: `Sync timed out, async fallback failed: ${asyncErr.message}`, validation_warnings: validation.warnings || [],
           hint: "Deploy timed out. Use incremental tools: ateam_patch for skill changes, ateam_upload_connector for connector changes. These deploy one component at a time and never timeout." };
       }
@@ -3153,19 +3372,23 @@ const handlers = {
     }
 
     // Phase 2.5: Restart connectors that have source code (upload triggers stop+start)
+    if (signal?.aborted) return cancelled("deployment");
     if (effectiveMcpStore && Object.keys(effectiveMcpStore).length > 0) {
+      progress("connector_restart");
       const connectorResults = [];
       for (const [connId, files] of Object.entries(effectiveMcpStore)) {
         if (!Array.isArray(files) || files.length === 0) continue;
+        if (signal?.aborted) return { ...cancelled("connector_restart"), connectors: connectorResults };
         try {
           const uploadResult = await post(
             `/deploy/solutions/${solutionId}/connectors/${connId}/upload`,
             { files },
             sid,
-            { timeoutMs: 120_000 },
+            { timeoutMs: 120_000, signal },
           );
           connectorResults.push({ id: connId, ok: true, tools: uploadResult.tools || 0 });
         } catch (err) {
+          if (signal?.aborted) return { ...cancelled("connector_restart"), connectors: connectorResults };
           connectorResults.push({ id: connId, ok: false, error: err.message });
         }
       }
@@ -3177,6 +3400,8 @@ const handlers = {
     }
 
     // Phase 3: Health check (with brief wait for propagation)
+    if (signal?.aborted) return cancelled("connector_restart");
+    progress("health");
     let health;
     try {
       await sleep(2000);
@@ -3192,12 +3417,14 @@ const handlers = {
     if (test_message) {
       const skillId = test_skill_id || effectiveSkills?.[0]?.id;
       if (skillId) {
+        if (signal?.aborted) return cancelled("health");
+        progress(`test ${skillId}`);
         try {
           test_result = await post(
             `/deploy/solutions/${solutionId}/skills/${skillId}/test`,
             { message: test_message },
             sid,
-            { timeoutMs: 90_000 },
+            { timeoutMs: 90_000, signal },
           );
           phases.push({ phase: "test", status: "done", skill_id: skillId });
         } catch (err) {
@@ -3208,6 +3435,7 @@ const handlers = {
     }
 
     // Phase 5: GitHub push — only when NOT deployed from GitHub
+    if (signal?.aborted) return cancelled(test_message ? "test" : "health");
     let github_result;
     if (github) {
       github_result = { skipped: true, reason: 'Deployed from GitHub — push-back skipped.' };
@@ -3288,7 +3516,7 @@ const handlers = {
   // Updates → Redeploys → Optionally tests
   // One call replaces: ateam_update + ateam_redeploy
 
-  ateam_patch: async ({ solution_id, target, skill_id, updates, test_message, dry_run, source, include_definition }, sid) => {
+  ateam_patch: async ({ solution_id, target, skill_id, updates, test_message, dry_run, source, include_definition }, sid, ctx) => {
     const phases = [];
     let isNewSkill = false;
     let _connectorToolPush = null;
@@ -3413,7 +3641,7 @@ const handlers = {
       // AND absent from the other), create a default scaffold. This lets agents
       // use ateam_patch to both CREATE and UPDATE skills — no separate step.
       if (target === "skill" && skill_id) {
-        console.log(`[ateam_patch] Skill "${skill_id}" genuinely absent (404, both sources) — creating new skill scaffold`);
+        log.info(`ateam_patch: skill "${skill_id}" genuinely absent (404, both sources) — creating new skill scaffold`);
         isNewSkill = true;
         current = {
           id: skill_id,
@@ -3694,7 +3922,7 @@ const handlers = {
       } catch (err) {
         // Non-fatal: skill.json was written, topology can be fixed manually
         phases.push({ phase: "solution_topology", status: "warning", error: err.message });
-        console.warn(`[ateam_patch] Failed to add ${skill_id} to solution topology: ${err.message}`);
+        log.warn(`ateam_patch: failed to add ${skill_id} to solution topology: ${err.message}`);
       }
     }
 
@@ -3713,14 +3941,14 @@ const handlers = {
       // fall back to sync for older backends.
       const kicked = await post(rdEndpoint, { async: true }, sid, { timeoutMs: 30_000 });
       redeployResult = (kicked?.async && kicked.job_id)
-        ? await pollDeployJob(kicked.job_id, sid, { label: skill_id ? `redeploy-skill ${skill_id}` : "redeploy-bulk", maxMs: 15 * 60_000, intervalMs: 2000 })
+        ? await pollDeployJob(kicked.job_id, sid, { label: skill_id ? `redeploy-skill ${skill_id}` : "redeploy-bulk", maxMs: 15 * 60_000, intervalMs: 2000, progress: ctx?.progress, signal: ctx?.signal })
         : kicked;
       phases.push({ phase: "redeploy", status: redeployResult?.ok === false ? "error" : "done" });
     } catch (err) {
       // Partial success: patch is saved to GitHub, only redeploy failed.
       // Return ok:true so the agent doesn't think the patch was lost.
       phases.push({ phase: "redeploy", status: "timeout_or_error", error: err.message });
-      console.warn(`[ateam_patch] Redeploy failed after successful patch: ${err.message}`);
+      log.warn(`ateam_patch: redeploy failed after successful patch: ${err.message}`);
     }
 
     // Phase 3: Optional re-test
@@ -3798,10 +4026,10 @@ const handlers = {
 
   // ─── Original handlers (unchanged) ────────────────────────────────
 
-  ateam_validate_skill: async ({ skill }, sid) => post("/validate/skill", { skill }, sid),
+  ateam_validate_skill: async ({ skill }, sid) => post("/validate/skill", { skill }, sid, { idempotent: true }),
 
   ateam_validate_solution: async ({ solution, skills, connectors, mcp_store }, sid) =>
-    post("/validate/solution", { solution, skills, connectors, mcp_store }, sid),
+    post("/validate/solution", { solution, skills, connectors, mcp_store }, sid, { idempotent: true }),
 
   ateam_deploy_solution: async ({ solution, skills, connectors, mcp_store }, sid) =>
     post("/deploy/solution", { solution, skills, connectors, mcp_store }, sid),
@@ -3822,7 +4050,7 @@ const handlers = {
         content = Buffer.from(file.content_base64, "base64").toString("utf-8");
       }
       if (!content && file.url) {
-        const resp = await fetch(file.url);
+        const resp = await cassetteFetch(file.url);
         if (!resp.ok) throw new Error(`Failed to fetch ${file.url}: ${resp.status}`);
         content = await resp.text();
       }
@@ -3838,7 +4066,8 @@ const handlers = {
     const raw = await get("/deploy/solutions", sid);
     // Enrich each solution with GitHub metadata (repo_url, branch, CLAUDE.md)
     // so an agent sees everything it needs to clone + onboard in one call.
-    // Fetches run in parallel; failures are non-fatal (fall back to the raw row).
+    // Fetches run in parallel — the API client's per-session/tenant limiter
+    // bounds how many are in flight; failures are non-fatal (fall back to the raw row).
     const solutions = Array.isArray(raw?.solutions) ? raw.solutions : Array.isArray(raw) ? raw : [];
     const enriched = await Promise.all(solutions.map(async (s) => {
       const out = { ...s };
@@ -3951,7 +4180,7 @@ const handlers = {
     };
   },
 
-  ateam_test_skill: async ({ solution_id, skill_id, message, wait, wait_for, chain_timeout_ms, actor_id }, sid) => {
+  ateam_test_skill: async ({ solution_id, skill_id, message, wait, wait_for, chain_timeout_ms, actor_id }, sid, ctx) => {
     // Resolve wait mode. Priority: wait_for (new explicit form) > wait (legacy).
     // wait:false  → "never"   (return job_id, no polling)
     // wait:true   → "root"    (poll root job to completion — current default)
@@ -3969,7 +4198,7 @@ const handlers = {
     const isWireAsync = resolvedWait !== "root";
     const body = { message, ...(isWireAsync ? { async: true } : {}), ...(actor_id ? { actor_id } : {}) };
     const kickoffTimeoutMs = isWireAsync ? 15_000 : 90_000;
-    const kickoff = await post(`/deploy/solutions/${solution_id}/skills/${skill_id}/test`, body, sid, { timeoutMs: kickoffTimeoutMs });
+    const kickoff = await post(`/deploy/solutions/${solution_id}/skills/${skill_id}/test`, body, sid, { timeoutMs: kickoffTimeoutMs, signal: ctx?.signal });
 
     if (resolvedWait === "never" || resolvedWait === "root") {
       // Back-compat path: kickoff response is the same shape callers see today.
@@ -3989,29 +4218,45 @@ const handlers = {
     const POLL_INTERVAL_MS = 2_000;
     const startedAt = Date.now();
 
-    const creds = getCredentials(sid);
-    const apiKey = creds?.apiKey;
-    if (!apiKey) throw new Error("No api_key in session — call ateam_auth(api_key) first.");
-    const coreUrl = process.env.ADAS_CORE_URL || "http://adas-backend:4000";
-
     const isTerminal = (status) => status === "done" || status === "completed" || status === "error" || status === "failed" || status === "aborted";
+    const heartbeat = progressHeartbeat(ctx?.progress);
+    heartbeat.report(`test_skill: waiting for chain of job ${rootJobId}`);
+    let lastSummary = null;
 
     let lastChain = null;
     while (Date.now() - startedAt < totalTimeoutMs) {
+      if (ctx?.signal?.aborted) {
+        // Cancelled by the client — abort the remote test too (same call as
+        // ateam_test_abort) so the chain stops consuming a worker.
+        const remote_abort = await del(`/deploy/solutions/${solution_id}/skills/${skill_id}/test/${rootJobId}`, sid)
+          .catch(err => ({ ok: false, error: err.message }));
+        return { ok: false, cancelled: true, error: "Chain wait cancelled by the client.", job_id: rootJobId, wait_for: "chain", remote_abort, kickoff, elapsed_ms: Date.now() - startedAt };
+      }
       const qs = new URLSearchParams();
       qs.set("skillSlug", skill_id);
-      const res = await fetch(`${coreUrl}/api/job/${encodeURIComponent(rootJobId)}/chain?${qs}`, {
-        method: "GET",
-        headers: { "x-api-key": apiKey, "X-ADAS-SERVICE": "ateam-mcp.test_skill_chain" },
-        signal: AbortSignal.timeout(15_000),
-      }).catch(err => ({ ok: false, _err: err.message }));
-      const data = res.ok === false && res._err ? { ok: false, error: res._err } : await res.json().catch(() => ({ ok: false, error: "non-json chain response" }));
+      // The loop is the retry — a failed poll is recorded and the next tick tries again.
+      const data = await coreGet(`/api/job/${encodeURIComponent(rootJobId)}/chain?${qs}`, sid, {
+        timeoutMs: 15_000,
+        retries: 0,
+        service: "ateam-mcp.test_skill_chain",
+        signal: ctx?.signal,
+      }).catch(err => ({ ok: false, error: err.message }));
       lastChain = data;
       const jobs = Array.isArray(data?.chainJobsList) ? data.chainJobsList : Array.isArray(data?.chainJobs) ? data.chainJobs : null;
+      if (jobs) {
+        // e.g. "chain: 2/3 jobs terminal (running: 1)" — sent when it changes
+        const byStatus = {};
+        for (const j of jobs) byStatus[j.status] = (byStatus[j.status] || 0) + 1;
+        const active = Object.entries(byStatus).filter(([st]) => !isTerminal(st)).map(([st, n]) => `${st}: ${n}`);
+        const summary = `chain: ${jobs.filter(j => isTerminal(j.status)).length}/${jobs.length} jobs terminal${active.length ? ` (${active.join(", ")})` : ""}`;
+        if (summary !== lastSummary) heartbeat.report(`test_skill: ${summary}`);
+        else heartbeat.tick(`test_skill: ${summary}`);
+        lastSummary = summary;
+      }
       if (jobs && jobs.length > 0 && jobs.every(j => isTerminal(j.status))) {
         return { ok: true, job_id: rootJobId, wait_for: "chain", chain: data, kickoff, elapsed_ms: Date.now() - startedAt };
       }
-      await new Promise(r => setTimeout(r, POLL_INTERVAL_MS));
+      await waitOrAbort(POLL_INTERVAL_MS, ctx?.signal);
     }
     return {
       ok: false,
@@ -4044,22 +4289,12 @@ const handlers = {
       }
     }
 
-    // Rate limit: 10 calls / minute / session. In-memory; bounded leak fine
-    // for a test tool. Survives until process restart, which is acceptable
-    // (the bound is per-session, not per-tenant).
-    const RATE_LIMIT = 10;
-    const RATE_WINDOW_MS = 60_000;
-    if (!globalThis.__notifyRateLimit) globalThis.__notifyRateLimit = new Map();
-    const bucket = globalThis.__notifyRateLimit;
-    const now = Date.now();
-    const entry = bucket.get(sid) || { times: [] };
-    entry.times = entry.times.filter(t => now - t < RATE_WINDOW_MS);
-    if (entry.times.length >= RATE_LIMIT) {
-      const waitMs = RATE_WINDOW_MS - (now - entry.times[0]);
-      throw new Error(`Rate limited: max ${RATE_LIMIT} ateam_test_notification calls per minute per session. Retry in ${Math.ceil(waitMs / 1000)}s.`);
+    // Rate limit: NOTIFY_RATE_LIMIT calls in any minute, per session (sliding
+    // window, in-memory — the bound is per-session, not per-tenant).
+    const verdict = notifyRateLimiter.take(sid);
+    if (!verdict.ok) {
+      throw new Error(`Rate limited: max ${NOTIFY_RATE_LIMIT} ateam_test_notification calls per minute per session. Retry in ${Math.ceil(verdict.retryAfterMs / 1000)}s.`);
     }
-    entry.times.push(now);
-    bucket.set(sid, entry);
 
     // Forward the caller's authed api_key to Core. Tenant scoping is
     // enforced by the key itself (Core's attachActor parses the tenant out
@@ -4068,22 +4303,20 @@ const handlers = {
     // caller's own credential is what authorizes the action.
     const creds = getCredentials(sid);
     const tenant = creds?.tenant;
-    const apiKey = creds?.apiKey;
-    if (!tenant || !apiKey) {
+    if (!tenant || !creds?.apiKey || isMasterMode(sid)) {
       throw new Error("No api_key in session — call ateam_auth(api_key: \"adas_<tenant>_<hex>\") first. ateam_test_notification requires a tenant API key (master_key auth is not supported for this tool).");
     }
 
-    const coreUrl = process.env.ADAS_CORE_URL || "http://adas-backend:4000";
-
     // Force [TEST] prefix on the user-visible content. Anti-phishing rail:
     // even if a tenant admin api key were misused, the recipient sees
     // [TEST] on the actual message — they can't be fooled into thinking
     // it's a system-initiated production notification.
     const safeContent = content.startsWith("[TEST]") ? content : `[TEST] ${content}`;
 
-    // Audit log (cheap — console). Replace with structured audit when one exists.
+    // Operator-visible line at the default level, next to the structured
+    // audit record (audit.js), which only ever stores a hash of the args.
     const contentHash = (await import("node:crypto")).createHash("sha256").update(content).digest("hex").slice(0, 12);
-    console.log(JSON.stringify({
+    log.info("audit: ateam_test_notification", {
       audit: "ateam_test_notification",
       tenant,
       solution_id,
@@ -4092,8 +4325,7 @@ const handlers = {
       content_preview: content.slice(0, 60),
       content_hash: contentHash,
       urgency: urgency || "normal",
-      at: new Date().toISOString(),
-    }));
+    });
 
     const body = {
       actorId: actor_id,
@@ -4102,28 +4334,15 @@ const handlers = {
       metadata: { ...(metadata || {}), source: source || "ateam-test", _test: true },
     };
 
-    const res = await fetch(`${coreUrl}/api/internal/notify-user`, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        // api-key auth — tenant pinned by Core's attachActor from the key itself.
-        "x-api-key": apiKey,
-        "X-ADAS-SERVICE": "ateam-mcp.test_notification",
-      },
-      body: JSON.stringify(body),
-      signal: AbortSignal.timeout(15_000),
+    // api-key auth — tenant pinned by Core's attachActor from the key itself.
+    // Not idempotent, so a failed send is never retried. On failure the
+    // ApiError carries Core's actual reason — "actor not found in tenant" is
+    // the most common (caller mistyped the actor_id), 502 = notif-router down.
+    const data = await corePost(`/api/internal/notify-user`, body, sid, {
+      timeoutMs: 15_000,
+      service: "ateam-mcp.test_notification",
     });
 
-    const text = await res.text();
-    let data;
-    try { data = JSON.parse(text); } catch { data = { ok: false, error: text.slice(0, 400) }; }
-
-    if (!res.ok) {
-      // Surface Core's actual reason — "actor not found in tenant" is the
-      // most common (caller mistyped the actor_id), 502 = notif-router down.
-      throw new Error(`Core /api/internal/notify-user returned ${res.status}: ${data.error || JSON.stringify(data).slice(0, 200)}`);
-    }
-
     return {
       ok: true,
       tenant,
@@ -4156,41 +4375,24 @@ const handlers = {
 
     // Caller asked for the chain tree too. Fetch via Core's /api/job/:id/chain
     // and merge under response.chain. Single-job fields stay at the top level.
-    const creds = getCredentials(sid);
-    const apiKey = creds?.apiKey;
-    if (!apiKey) return { ...single, chain: { ok: false, error: "include_chain requires api-key auth (call ateam_auth)" } };
-    const coreUrl = process.env.ADAS_CORE_URL || "http://adas-backend:4000";
+    // A chain failure degrades to chain.error rather than losing the snapshot.
     const qs = new URLSearchParams();
     if (skill_id) qs.set("skillSlug", skill_id);
-    const res = await fetch(`${coreUrl}/api/job/${encodeURIComponent(job_id)}/chain?${qs}`, {
-      method: "GET",
-      headers: { "x-api-key": apiKey, "X-ADAS-SERVICE": "ateam-mcp.test_status_chain" },
-      signal: AbortSignal.timeout(15_000),
-    }).catch(err => ({ ok: false, _err: err.message }));
-    const chain = res.ok === false && res._err ? { ok: false, error: res._err } : await res.json().catch(() => ({ ok: false, error: "non-json chain response" }));
+    const chain = await coreGet(`/api/job/${encodeURIComponent(job_id)}/chain?${qs}`, sid, {
+      timeoutMs: 15_000,
+      service: "ateam-mcp.test_status_chain",
+    }).catch(err => ({ ok: false, error: err.message }));
     return { ...single, chain };
   },
 
   ateam_get_chain: async ({ job_id, skill_slug }, sid) => {
     if (!job_id) throw new Error("job_id required");
-    const creds = getCredentials(sid);
-    const apiKey = creds?.apiKey;
-    if (!apiKey) throw new Error("No api_key in session — call ateam_auth(api_key) first.");
-    const coreUrl = process.env.ADAS_CORE_URL || "http://adas-backend:4000";
     const qs = new URLSearchParams();
     if (skill_slug) qs.set("skillSlug", skill_slug);
-    const res = await fetch(`${coreUrl}/api/job/${encodeURIComponent(job_id)}/chain?${qs}`, {
-      method: "GET",
-      headers: { "x-api-key": apiKey, "X-ADAS-SERVICE": "ateam-mcp.get_chain" },
-      signal: AbortSignal.timeout(15_000),
+    return coreGet(`/api/job/${encodeURIComponent(job_id)}/chain?${qs}`, sid, {
+      timeoutMs: 15_000,
+      service: "ateam-mcp.get_chain",
     });
-    const text = await res.text();
-    let data;
-    try { data = JSON.parse(text); } catch { data = { ok: false, error: text.slice(0, 400) }; }
-    if (!res.ok) {
-      throw new Error(`Core /api/job/${job_id}/chain returned ${res.status}: ${data.error || JSON.stringify(data).slice(0, 200)}`);
-    }
-    return data;
   },
 
   // SLIM chain status — the chip-quick poll. Hits Core /api/job/:id/status
@@ -4202,21 +4404,10 @@ const handlers = {
   ateam_chain_status: async ({ chain_id, job_id }, sid) => {
     const id = chain_id || job_id;
     if (!id) throw new Error("chain_id required");
-    const creds = getCredentials(sid);
-    const apiKey = creds?.apiKey;
-    if (!apiKey) throw new Error("No api_key in session — call ateam_auth(api_key) first.");
-    const coreUrl = process.env.ADAS_CORE_URL || "http://adas-backend:4000";
-    const res = await fetch(`${coreUrl}/api/job/${encodeURIComponent(id)}/status`, {
-      method: "GET",
-      headers: { "x-api-key": apiKey, "X-ADAS-SERVICE": "ateam-mcp.chain_status" },
-      signal: AbortSignal.timeout(15_000),
+    const data = await coreGet(`/api/job/${encodeURIComponent(id)}/status`, sid, {
+      timeoutMs: 15_000,
+      service: "ateam-mcp.chain_status",
     });
-    const text = await res.text();
-    let data;
-    try { data = JSON.parse(text); } catch { data = { ok: false, error: text.slice(0, 400) }; }
-    if (!res.ok) {
-      throw new Error(`Core /api/job/${id}/status returned ${res.status}: ${data.error || JSON.stringify(data).slice(0, 200)}`);
-    }
     // Surface the chain-aggregate truth as the primary fields; keep the raw
     // slim job under `job` for callers that want per-job detail.
     return {
@@ -4489,7 +4680,7 @@ const handlers = {
   ateam_github_push: async ({ solution_id, message }, sid) =>
     post(`/deploy/solutions/${solution_id}/github/push`, { push_to_github: true, message }, sid, { timeoutMs: 60_000 }),
 
-  ateam_github_pull: async ({ solution_id }, sid) => {
+  ateam_github_pull: async ({ solution_id }, sid, ctx) => {
     // Async-first: github_pull is the #1 Cloudflare-524 culprit on large
     // solutions. Kick the job off, then poll. Falls back to sync if the
     // backend doesn't support async (older deployments).
@@ -4498,10 +4689,10 @@ const handlers = {
       kicked = await post(`/deploy/solutions/${solution_id}/github/pull`, { async: true }, sid, { timeoutMs: 30_000 });
     } catch (err) {
       // Sync fallback (older backend without async support)
-      return await post(`/deploy/solutions/${solution_id}/github/pull`, {}, sid, { timeoutMs: 300_000, retries: 2 });
+      return await post(`/deploy/solutions/${solution_id}/github/pull`, {}, sid, { timeoutMs: 300_000, retries: 2, idempotencyKey: true });
     }
     if (!kicked?.async || !kicked.job_id) return kicked; // backend didn't honor async — return as-is
-    return await pollDeployJob(kicked.job_id, sid, { label: 'github-pull', maxMs: 15 * 60_000, intervalMs: 2000 });
+    return await pollDeployJob(kicked.job_id, sid, { label: 'github-pull', maxMs: 15 * 60_000, intervalMs: 2000, progress: ctx?.progress, signal: ctx?.signal });
   },
 
   ateam_github_status: async ({ solution_id }, sid) =>
@@ -4594,7 +4785,7 @@ const handlers = {
     return del(`/deploy/solutions/${solution_id}/connectors/${connector_id}`, sid);
   },
 
-  ateam_upload_connector: async ({ solution_id, connector_id, github, files, ref, replace, force }, sid) => {
+  ateam_upload_connector: async ({ solution_id, connector_id, github, files, ref, replace, force }, sid, ctx) => {
     // OPEN-32: accept content_base64 per file (single-line, escape-safe) and
     // decode it to plain content here, so an agent can upload a multi-file
     // connector without hand-escaping ~90KB of HTML/JS/JSON in one tool call —
@@ -4634,14 +4825,21 @@ const handlers = {
       ...(force === true ? { force: true } : {}),
     };
     const url = `/deploy/solutions/${solution_id}/connectors/${connector_id}/upload`;
+    const signal = ctx?.signal;
     let kicked;
     try {
-      kicked = await post(url, { ...body, async: true }, sid, { timeoutMs: 30_000 });
+      kicked = await post(url, { ...body, async: true }, sid, { timeoutMs: 30_000, signal });
     } catch (err) {
-      return await post(url, body, sid, { timeoutMs: 300_000, retries: 1 });
+      if (isCancelled(err, signal)) return cancelledRequest("Connector upload", { connector_id });
+      try {
+        return await post(url, body, sid, { timeoutMs: 300_000, retries: 1, idempotencyKey: true, signal });
+      } catch (syncErr) {
+        if (isCancelled(syncErr, signal)) return cancelledRequest("Connector upload", { connector_id });
+        throw syncErr;
+      }
     }
     if (!kicked?.async || !kicked.job_id) return kicked; // backend didn't honor async
-    return await pollDeployJob(kicked.job_id, sid, { label: 'connector-upload', maxMs: 15 * 60_000, intervalMs: 2000 });
+    return await pollDeployJob(kicked.job_id, sid, { label: 'connector-upload', maxMs: 15 * 60_000, intervalMs: 2000, progress: ctx?.progress, signal: ctx?.signal });
   },
 
   // ── Phase 9 strip: focused minimal responses ────────────────────────
@@ -4721,7 +4919,7 @@ const handlers = {
       `/deploy/solutions/${solution_id}/connectors/${connector_id}/upload`,
       { files, replace: true },
       sid,
-      { timeoutMs: 120_000, retries: 1 },
+      { timeoutMs: 120_000, retries: 1, idempotencyKey: true },
     );
     return {
       ok: true,
@@ -4739,7 +4937,7 @@ const handlers = {
     };
   },
 
-  ateam_create_plugin: async ({ solution_id, connector_id, plugin_name, kind }, sid) => {
+  ateam_create_plugin: async ({ solution_id, connector_id, plugin_name, kind }, sid, ctx) => {
     if (!solution_id) throw new Error("solution_id required");
     if (!connector_id) throw new Error("connector_id required");
     if (!plugin_name) throw new Error("plugin_name required");
@@ -4762,10 +4960,10 @@ const handlers = {
     try {
       const kicked = await post(_uploadUrl, { files, async: true }, sid, { timeoutMs: 30_000 });
       result = (kicked?.async && kicked.job_id)
-        ? await pollDeployJob(kicked.job_id, sid, { label: 'create-plugin', maxMs: 15 * 60_000, intervalMs: 2000 })
+        ? await pollDeployJob(kicked.job_id, sid, { label: 'create-plugin', maxMs: 15 * 60_000, intervalMs: 2000, progress: ctx?.progress, signal: ctx?.signal })
         : kicked;
     } catch (err) {
-      result = await post(_uploadUrl, { files }, sid, { timeoutMs: 120_000, retries: 1 });
+      result = await post(_uploadUrl, { files }, sid, { timeoutMs: 120_000, retries: 1, idempotencyKey: true });
     }
 
     // Verify the plugin actually became RENDERABLE — poll Core's live catalog
@@ -4816,7 +5014,7 @@ const handlers = {
     };
   },
 
-  ateam_redeploy: async ({ solution_id, skill_id }, sid) => {
+  ateam_redeploy: async ({ solution_id, skill_id }, sid, ctx) => {
     const endpoint = skill_id
       ? `/deploy/solutions/${solution_id}/skills/${skill_id}/redeploy`
       : `/deploy/solutions/${solution_id}/redeploy`;
@@ -4826,36 +5024,45 @@ const handlers = {
     // the backend doesn't support async (older deployment), fall back to
     // the legacy sync path with longer retry. If both fail, surface a
     // useful error/hint to the agent.
+    const signal = ctx?.signal;
     let result;
     let lastErr = null;
     try {
-      const kicked = await post(endpoint, { async: true }, sid, { timeoutMs: 30_000 });
+      const kicked = await post(endpoint, { async: true }, sid, { timeoutMs: 30_000, idempotencyKey: true, signal });
       if (kicked?.async && kicked.job_id) {
         result = await pollDeployJob(kicked.job_id, sid, {
           label: skill_id ? `redeploy-skill ${skill_id}` : 'redeploy-bulk',
           maxMs: 15 * 60_000,
           intervalMs: 2000,
+          progress: ctx?.progress,
+          signal,
         });
       } else {
         result = kicked; // backend didn't honor async — already-finished sync result
       }
     } catch (err) {
       lastErr = err;
-      // Sync fallback for backends without async support
-      try {
-        result = await post(endpoint, {}, sid, { timeoutMs: 300_000, retries: 2 });
-        lastErr = null;
-      } catch (syncErr) {
-        lastErr = syncErr;
+      // Sync fallback for backends without async support — not after a cancel
+      if (!isCancelled(err, signal)) {
+        try {
+          result = await post(endpoint, {}, sid, { timeoutMs: 300_000, retries: 2, idempotencyKey: true, signal });
+          lastErr = null;
+        } catch (syncErr) {
+          lastErr = syncErr;
+        }
       }
     }
 
+    if (!result && isCancelled(lastErr, signal)) {
+      return cancelledRequest("Redeploy", { solution_id, ...(skill_id && { skill_id }) });
+    }
     if (!result && lastErr) {
-      const notFound = /not found|404|ENOENT/i.test(lastErr.message);
-      const isTimeout = /524|502|503|timeout|ETIMEDOUT/i.test(lastErr.message);
+      const notFound = lastErr.status === 404 || lastErr.upstreamCode === "ENOENT";
+      const isTimeout = isTimeoutError(lastErr);
       return {
         ok: false,
         error: lastErr.message,
+        error_info: describeError(lastErr),
         ...(notFound && {
           hint: "Skill not found in Builder storage. Edit the skill on GitHub with ateam_github_patch(solution_id, path: 'skills/<skill-id>/skill.json', search: '...', replace: '...'), then use ateam_build_and_run(solution_id, github: true) or ask the platform operator to deploy the single skill.",
         }),
@@ -4865,6 +5072,7 @@ const handlers = {
       };
     }
     if (!result) result = { ok: false, error: 'Redeploy returned no result' };
+    if (result.cancelled) return { ...result, solution_id, ...(skill_id && { skill_id }) };
     // Pull through the underlying error/message instead of fabricating "0/0/0
     // success-shaped" output. Old wrapper hid backend errors (e.g. validator
     // failures from sentinel files in user repos) and reported `total: 0` with
@@ -4919,18 +5127,19 @@ const handlers = {
     if (!isMasterMode(sid)) {
       return { ok: false, message: "Master key required. Call ateam_auth(master_key: \"<key>\", tenant: \"<any>\") first." };
     }
+    // Tenants and solutions are fetched in parallel, addressed per call
+    // ({ tenant }) so the session's active tenant is left alone; the API
+    // client's concurrency limiter bounds what is actually in flight.
     const tenants = await listTenants(sid);
-    const results = [];
-    for (const t of tenants) {
-      switchTenant(sid, t.id);
+    const perTenant = await Promise.all(tenants.map(async (t) => {
       try {
-        const { solutions } = await get("/deploy/solutions", sid);
-        for (const sol of (solutions || [])) {
+        const { solutions } = await get("/deploy/solutions", sid, { tenant: t.id });
+        return await Promise.all((solutions || []).map(async (sol) => {
           let ghStatus = null;
           try {
-            ghStatus = await get(`/deploy/solutions/${sol.id}/github/status`, sid);
+            ghStatus = await get(`/deploy/solutions/${sol.id}/github/status`, sid, { tenant: t.id });
           } catch { /* no github config */ }
-          results.push({
+          return {
             tenant: t.id,
             solution: sol.id,
             name: sol.name || sol.id,
@@ -4940,12 +5149,13 @@ const handlers = {
               lastPush: ghStatus.lastCommit?.date,
               branch: ghStatus.branch,
             } : "not configured",
-          });
-        }
+          };
+        }));
       } catch (err) {
-        results.push({ tenant: t.id, error: err.message });
+        return [{ tenant: t.id, error: err.message }];
       }
-    }
+    }));
+    const results = perTenant.flat();
     return { ok: true, tenants: tenants.length, solutions: results.length, results };
   },
 
@@ -4953,18 +5163,18 @@ const handlers = {
     if (!isMasterMode(sid)) {
       return { ok: false, message: "Master key required. Call ateam_auth(master_key: \"<key>\", tenant: \"<any>\") first." };
     }
+    // Solutions sync in parallel (push then pull within each solution),
+    // bounded by the API client's concurrency limiter.
     const tenants = await listTenants(sid);
-    const results = [];
-    for (const t of tenants) {
-      switchTenant(sid, t.id);
+    const perTenant = await Promise.all(tenants.map(async (t) => {
       try {
-        const { solutions } = await get("/deploy/solutions", sid);
-        for (const sol of (solutions || [])) {
+        const { solutions } = await get("/deploy/solutions", sid, { tenant: t.id });
+        return await Promise.all((solutions || []).map(async (sol) => {
           const entry = { tenant: t.id, solution: sol.id, name: sol.name || sol.id };
           // Push: Builder FS → GitHub
           if (!pull_only) {
             try {
-              const pushResult = await post(`/deploy/solutions/${sol.id}/github/push`, { push_to_github: true }, sid);
+              const pushResult = await post(`/deploy/solutions/${sol.id}/github/push`, { push_to_github: true }, sid, { tenant: t.id });
               entry.push = { ok: true, commit: pushResult.commitSha?.slice(0, 8), files: pushResult.filesCommitted };
             } catch (err) {
               entry.push = { ok: false, error: err.message.slice(0, 100) };
@@ -4973,18 +5183,19 @@ const handlers = {
           // Pull: GitHub → Core MongoDB
           if (!push_only) {
             try {
-              const pullResult = await post(`/deploy/solutions/${sol.id}/github/pull`, {}, sid);
+              const pullResult = await post(`/deploy/solutions/${sol.id}/github/pull`, {}, sid, { tenant: t.id });
               entry.pull = { ok: true, skills: pullResult.skills?.length, connectors: pullResult.connectors?.length };
             } catch (err) {
               entry.pull = { ok: false, error: err.message.slice(0, 100) };
             }
           }
-          results.push(entry);
-        }
+          return entry;
+        }));
       } catch (err) {
-        results.push({ tenant: t.id, error: err.message });
+        return [{ tenant: t.id, error: err.message }];
       }
-    }
+    }));
+    const results = perTenant.flat();
     const pushCount = results.filter(r => r.push?.ok).length;
     const pullCount = results.filter(r => r.pull?.ok).length;
     const errors = results.filter(r => r.error || r.push?.ok === false || r.pull?.ok === false).length;
@@ -5056,11 +5267,18 @@ function summarizeLargeResult(result, toolName) {
 
 // ─── Dispatcher ─────────────────────────────────────────────────────
 
-export async function handleToolCall(name, args, sessionId) {
+/**
+ * Run a tool by name and wrap the result in the MCP tool-result envelope.
+ * @param {{ progress?: (message: string) => void, signal?: AbortSignal }} [ctx]
+ *   — per-call context from the transport (server.js); handlers receive it as
+ *   their third arg. signal aborts when the client cancels the call.
+ */
+export async function handleToolCall(name, args, sessionId, ctx = {}) {
   const handler = handlers[name];
   if (!handler) {
     return {
       content: [{ type: "text", text: `Unknown tool: ${name}` }],
+      structuredContent: { error: { code: "unknown_tool", status: null, message: `Unknown tool: ${name}`, retriable: false } },
       isError: true,
     };
   }
@@ -5071,6 +5289,31 @@ export async function handleToolCall(name, args, sessionId) {
     solutionId: args?.solution_id,
     skillId: args?.skill_id,
   });
+  const startedAt = Date.now();
+  // Metrics for every call; the audit trail for AUDITED_TOOLS; history of
+  // this session's calls (ateam_session_history) — not of reading it.
+  const record = (outcome) => {
+    const status = outcome.error ? (REFUSAL_CODES.has(outcome.error.code) ? "refused" : "error")
+      : outcome.result?.ok === false ? "failed" : "ok";
+    observeToolCall(name, status, Date.now() - startedAt);
+    if (AUDITED_TOOLS.has(name)) {
+      auditToolCall({ tool: name, args, sessionId, outcome: status, errorCode: outcome.error?.code, durationMs: Date.now() - startedAt });
+    }
+    if (name !== "ateam_session_history") recordToolCall(sessionId, { toolName: name, args, startedAt, ...outcome });
+  };
+  // A call refused before its handler ran: recorded like any failure, and the
+  // same human text + JSON error items as a handler error (see the catch below).
+  const refuse = (error, text = error.message) => {
+    record({ error });
+    return {
+      content: [
+        { type: "text", text },
+        { type: "text", text: JSON.stringify({ error }) },
+      ],
+      structuredContent: { error },
+      isError: true,
+    };
+  };
 
   // Check auth for tenant-aware operations — requires explicit ateam_auth call.
   // Env vars (ADAS_API_KEY / ADAS_TENANT) are NOT sufficient — they may be
@@ -5078,26 +5321,28 @@ export async function handleToolCall(name, args, sessionId) {
   // Only global/public tools (bootstrap, spec, examples, validate) bypass this.
   if (TENANT_TOOLS.has(name) && !isExplicitlyAuthenticated(sessionId)) {
     const hasEnvVars = isAuthenticated(sessionId);
-    return {
-      content: [{
-        type: "text",
-        text: [
-          "Authentication required — call ateam_auth first.",
-          "",
-          hasEnvVars
-            ? "Environment variables (ADAS_API_KEY) were detected, but they are not sufficient for tenant-aware operations. You must call ateam_auth explicitly to confirm which tenant you intend to use."
-            : "No authentication found.",
-          "",
-          "Please ask the user to:",
-          "1. Get their API key at: https://mcp.ateam-ai.com/get-api-key",
-          "2. Then call: ateam_auth(api_key: \"<their key>\")",
-          "",
-          "The key format is: adas_<tenant>_<32hex> — the tenant is auto-extracted.",
-          "This prevents accidental operations on the wrong tenant from pre-configured env vars.",
-        ].join("\n"),
-      }],
-      isError: true,
-    };
+    const error = { code: "auth_required", status: null, message: "Authentication required — call ateam_auth first.", retriable: false };
+    return refuse(error, [
+      "Authentication required — call ateam_auth first.",
+      "",
+      hasEnvVars
+        ? "Environment variables (ADAS_API_KEY) were detected, but they are not sufficient for tenant-aware operations. You must call ateam_auth explicitly to confirm which tenant you intend to use."
+        : "No authentication found.",
+      "",
+      "Please ask the user to:",
+      "1. Get their API key at: https://mcp.ateam-ai.com/get-api-key",
+      "2. Then call: ateam_auth(api_key: \"<their key>\")",
+      "",
+      "The key format is: adas_<tenant>_<32hex> — the tenant is auto-extracted.",
+      "This prevents accidental operations on the wrong tenant from pre-configured env vars.",
+    ].join("\n"));
+  }
+
+  // Read-only sessions: refuse anything that changes tenant state, before the
+  // master-mode tenant switch below.
+  if (MUTATING_TOOLS.has(name) && isReadOnly(sessionId)) {
+    const message = `${name} is not allowed: this session is read-only. Reads, specs and tests still work; mutating tools need a session authenticated without mode: "read_only".`;
+    return refuse({ code: "read_only_session", status: null, message, retriable: false });
   }
 
   // Master mode: per-call tenant override (no re-auth needed)
@@ -5106,7 +5351,7 @@ export async function handleToolCall(name, args, sessionId) {
   }
 
   try {
-    const result = await handler(args, sessionId);
+    const result = await handler(args, sessionId, ctx);
 
     // Stamp WHERE this landed (tenant + app URL) on mutating-tool results, so
     // any client — desktop, mobile, cloud agent — can tell the user where to
@@ -5119,12 +5364,14 @@ export async function handleToolCall(name, args, sessionId) {
     // For ateam_bootstrap, inject session context so the LLM knows what the user was working on
     if (name === "ateam_bootstrap") {
       const ctx = getSessionContext(sessionId);
-      if (ctx.activeSolutionId || ctx.lastSkillId) {
+      const recentCalls = getSessionHistory(sessionId, 5);
+      if (ctx.activeSolutionId || ctx.lastSkillId || recentCalls.length > 0) {
         result.session_context = {
-          _note: "This user has an active session. You can reference their previous work.",
+          _note: "This user has an active session. You can reference their previous work. recent_calls are the last few tool calls in this session — call ateam_session_history for more, and reuse their job_ids/chain_ids instead of re-running deploys or tests.",
           active_solution_id: ctx.activeSolutionId || null,
           last_skill_id: ctx.lastSkillId || null,
           last_tool_used: ctx.lastToolName || null,
+          recent_calls: recentCalls,
         };
       }
       // If authenticated, attach a tenant onboarding block so the agent can
@@ -5153,12 +5400,22 @@ export async function handleToolCall(name, args, sessionId) {
       } catch { /* non-fatal — unauthed sessions or API blips shouldn't break bootstrap */ }
     }
 
+    record({ result });
     return {
       content: [{ type: "text", text: formatResult(result, name) }],
     };
   } catch (err) {
+    // Human text first (what agents have always read), then the same failure
+    // as a machine-readable object so callers can branch on `code` /
+    // `retriable` instead of parsing prose.
+    const error = describeError(err);
+    record({ error });
     return {
-      content: [{ type: "text", text: err.message }],
+      content: [
+        { type: "text", text: err.message },
+        { type: "text", text: JSON.stringify({ error }) },
+      ],
+      structuredContent: { error },
       isError: true,
     };
   }
@@ -0,0 +1,114 @@
+// Admin API tests.
+//
+// Verifies that /admin needs ATEAM_ADMIN_TOKEN, that the session list carries
+// tenant, activity, last tool, master flag and a bearer fingerprint but never
+// a key or token, and that killing a session, clearing a bearer's override and
+// forcing a sweep take effect.
+//
+// Run: node test/admin.test.mjs
+
+import http from "node:http";
+
+let failures = 0;
+function check(name, cond) {
+  if (cond) { console.log(`  ✓ ${name}`); }
+  else { console.error(`  ✗ ${name}`); failures++; }
+}
+
+const API_PORT = 3178;
+const upstream = http.createServer((_req, res) => {
+  res.writeHead(200, { "content-type": "application/json" });
+  res.end(JSON.stringify({ ok: true, solutions: [] }));
+});
+await new Promise((r) => upstream.listen(API_PORT, "127.0.0.1", r));
+process.env.ADAS_API_URL = `http://127.0.0.1:${API_PORT}`;
+process.env.ATEAM_OAUTH_DISABLED = "1";
+process.env.ATEAM_ADMIN_TOKEN = "admin-secret-token";
+process.env.LOG_LEVEL = "error";
+
+const PORT = 3177;
+const BASE = `http://127.0.0.1:${PORT}`;
+const KEY = "adas_tenanta_00000000000000000000000000000000";
+const BEARER = "adas_tenantb_11111111111111111111111111111111";
+const api = await import("../src/api.js");
+const { startHttpServer } = await import("../src/http.js");
+startHttpServer(PORT);
+await new Promise((r) => setTimeout(r, 300));
+
+const admin = (method, path) => fetch(`${BASE}${path}`, { method, headers: { authorization: "Bearer admin-secret-token" } });
+
+async function mcp(body, sid) {
+  const res = await fetch(`${BASE}/mcp`, {
+    method: "POST",
+    headers: { "content-type": "application/json", "accept": "application/json, text/event-stream", ...(sid && { "mcp-session-id": sid }) },
+    body: JSON.stringify(body),
+  });
+  return { sid: res.headers.get("mcp-session-id"), text: await res.text() };
+}
+const call = (id, name, args = {}) => ({ jsonrpc: "2.0", id, method: "tools/call", params: { name, arguments: args } });
+
+// A live HTTP session with a tool call behind it, and a bearer-bound one with
+// an ateam_auth override (seeded directly — OAuth is off here).
+const init = await mcp({ jsonrpc: "2.0", id: 1, method: "initialize", params: { protocolVersion: "2024-11-05", capabilities: {}, clientInfo: { name: "t", version: "1" } } });
+const sid = init.sid;
+await mcp({ jsonrpc: "2.0", method: "notifications/initialized" }, sid);
+await mcp(call(2, "ateam_auth", { api_key: KEY }), sid);
+await mcp(call(3, "ateam_list_solutions"), sid);
+
+api.bindSessionBearer("bearer-sid", BEARER);
+api.setSessionCredentials("bearer-sid", { apiKey: BEARER, explicit: true });
+api.setAuthOverride("bearer-sid", { tenant: "tenanta", apiKey: KEY });
+const fingerprint = api.bearerFingerprint(BEARER);
+
+// ─── 1. Auth ─────────────────────────────────────────────────────────────────
+console.log("auth");
+check("no token → 401", (await fetch(`${BASE}/admin/sessions`)).status === 401);
+check("wrong token → 401", (await fetch(`${BASE}/admin/sessions`, { headers: { authorization: "Bearer nope" } })).status === 401);
+
+// ─── 2. List ─────────────────────────────────────────────────────────────────
+console.log("list");
+let res = await admin("GET", "/admin/sessions");
+const raw = await res.text();
+const list = JSON.parse(raw);
+const mine = list.sessions.find((s) => s.session_id === sid);
+const bound = list.sessions.find((s) => s.session_id === "bearer-sid");
+check("lists both sessions", res.status === 200 && list.count === 2);
+check("tenant, last tool, activity", mine?.tenant === "tenanta" && mine.last_tool === "ateam_list_solutions" && !!Date.parse(mine.last_activity));
+check("master flag and open_here", mine?.master === false && mine.open_here === true && bound?.open_here === false);
+check("bearer fingerprint, override flagged", bound?.bearer_fingerprint === fingerprint && bound.has_override === true && mine.bearer_fingerprint === null);
+check("no key or token in the listing", !raw.includes(KEY) && !raw.includes(BEARER) && !raw.includes("0000000000000000"));
+
+// ─── 3. Override ─────────────────────────────────────────────────────────────
+console.log("clear override");
+res = await admin("DELETE", `/admin/overrides/${fingerprint}`);
+check("override cleared", res.status === 200 && api.getAuthOverride(BEARER) === null);
+check("unknown fingerprint → 404", (await admin("DELETE", `/admin/overrides/${fingerprint}`)).status === 404);
+
+// ─── 4. Kill ─────────────────────────────────────────────────────────────────
+console.log("kill session");
+res = await admin("DELETE", `/admin/sessions/${sid}`);
+const killed = await res.json();
+check("live session killed, transport closed", res.status === 200 && killed.transport_closed === true);
+check("credentials dropped", !api.isAuthenticated(sid));
+const after = await mcp(call(4, "ateam_list_solutions"), sid);
+check("next call must re-authenticate", after.text.includes("Authentication required"));
+check("unknown session → 404", (await admin("DELETE", "/admin/sessions/nope")).status === 404);
+
+// ─── 5. Sweep ────────────────────────────────────────────────────────────────
+console.log("forced sweep");
+api.setSessionCredentials("old-sid", { apiKey: KEY });
+api.touchSession("old-sid");
+const old = (await (await admin("GET", "/admin/sessions")).json()).sessions.find((s) => s.session_id === "old-sid");
+check("old session listed", !!old);
+// Jump the clock past the session TTL (60 min).
+Date.now = ((realNow) => () => realNow() + 2 * 60 * 60 * 1000)(Date.now);
+res = await admin("POST", "/admin/sessions/sweep");
+const swept = await res.json();
+check("sweep removes idle sessions", res.status === 200 && swept.swept >= 1 && !api.isAuthenticated("old-sid"));
+
+upstream.close();
+
+// ─── done ────────────────────────────────────────────────────────────────────
+if (failures) { console.error(`\n${failures} check(s) FAILED`); process.exit(1); }
+console.log("\nALL CHECKS PASSED");
+process.exit(0);
@@ -0,0 +1,136 @@
+// Audit trail tests.
+//
+// Verifies that mutating tools (and only those) produce one audit record per
+// call — ok, failed in-band, refused — with tenant, bearer fingerprint, args
+// hash and affected ids but no raw arguments; that the JSONL file rotates and
+// prunes; that GET /admin/audit filters records back out; and that without
+// ATEAM_AUDIT_DIR every record is logged at info level.
+//
+// Run: node test/audit.test.mjs
+
+import http from "node:http";
+import { mkdtempSync, readdirSync, readFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+let failures = 0;
+function check(name, cond) {
+  if (cond) { console.log(`  ✓ ${name}`); }
+  else { console.error(`  ✗ ${name}`); failures++; }
+}
+
+const API_PORT = 3171;
+const upstream = http.createServer((_req, res) => {
+  res.writeHead(200, { "content-type": "application/json" });
+  res.end(JSON.stringify({ ok: true, solutions: [] }));
+});
+await new Promise((r) => upstream.listen(API_PORT, "127.0.0.1", r));
+
+const dir = mkdtempSync(join(tmpdir(), "ateam-audit-"));
+const PORT = 3170;
+process.env.ADAS_API_URL = `http://127.0.0.1:${API_PORT}`;
+process.env.ATEAM_OAUTH_DISABLED = "1";
+process.env.ATEAM_ADMIN_TOKEN = "admin-secret-token";
+process.env.ATEAM_AUDIT_DIR = dir;
+process.env.ATEAM_AUDIT_MAX_BYTES = "2000";
+process.env.ATEAM_AUDIT_KEEP = "2";
+process.env.LOG_LEVEL = "error";
+
+const KEY = "adas_tenanta_00000000000000000000000000000000";
+const BEARER = "adas_tenantb_11111111111111111111111111111111";
+const api = await import("../src/api.js");
+const { handleToolCall } = await import("../src/tools.js");
+const { hashArgs } = await import("../src/audit.js");
+const { startHttpServer } = await import("../src/http.js");
+const { reloadLogLevel } = await import("../src/logger.js");
+
+// Capture what the logger writes to either stream while fn runs.
+async function capture(fn) {
+  const out = [];
+  const orig = { stdout: process.stdout.write, stderr: process.stderr.write };
+  process.stdout.write = process.stderr.write = (chunk) => { out.push(String(chunk)); return true; };
+  try { await fn(); } finally { Object.assign(process.stdout, { write: orig.stdout }); Object.assign(process.stderr, { write: orig.stderr }); }
+  return out.join("");
+}
+
+const lines = () => readFileSync(join(dir, "audit.jsonl"), "utf8").trim().split("\n").map((l) => JSON.parse(l));
+
+// ─── 1. What gets recorded ───────────────────────────────────────────────────
+console.log("records");
+await handleToolCall("ateam_auth", { api_key: KEY }, "s1");
+await handleToolCall("ateam_list_solutions", {}, "s1");
+const args = { solution_id: "sol-1", skill_id: "sk-1", confirm: true };
+await handleToolCall("ateam_delete_skill", args, "s1");
+let recs = lines();
+check("read tools and ateam_auth not audited", recs.length === 1);
+const del = recs[0];
+check("tool, outcome, tenant", del.tool === "ateam_delete_skill" && del.outcome === "ok" && del.tenant === "tenanta");
+check("affected ids", del.solution_id === "sol-1" && del.skill_id === "sk-1" && del.connector_id === null);
+check("args hashed, key-order independent", del.args_hash === hashArgs({ confirm: true, skill_id: "sk-1", solution_id: "sol-1" }));
+check("time and duration", !!Date.parse(del.time) && typeof del.duration_ms === "number");
+
+await handleToolCall("ateam_delete_skill", { solution_id: "sol-1", skill_id: "sk-2" }, "s1");
+check("in-band refusal recorded as failed", lines().at(-1).outcome === "failed");
+
+await handleToolCall("ateam_delete_solution", { solution_id: "sol-9", confirm: true }, "nobody");
+recs = lines();
+check("unauthenticated call recorded as refused", recs.at(-1).outcome === "refused" && recs.at(-1).error_code === "auth_required");
+
+api.bindSessionBearer("s2", BEARER);
+api.setSessionCredentials("s2", { apiKey: BEARER, explicit: true, readOnly: true });
+await handleToolCall("ateam_redeploy", { solution_id: "sol-2" }, "s2");
+const ro = lines().at(-1);
+check("read-only refusal recorded", ro.outcome === "refused" && ro.error_code === "read_only_session" && ro.tenant === "tenantb");
+check("bearer fingerprint, never the bearer", ro.bearer_fingerprint === api.bearerFingerprint(BEARER) && !readFileSync(join(dir, "audit.jsonl"), "utf8").includes(BEARER));
+
+await handleToolCall("ateam_test_notification", { solution_id: "sol-1", actor_id: "actor-7", content: "private message text" }, "s1");
+const notif = lines().at(-1);
+check("test notification audited with actor, not content", notif.tool === "ateam_test_notification" && notif.actor_id === "actor-7" && !JSON.stringify(notif).includes("private message"));
+
+// ─── 2. Rotation ─────────────────────────────────────────────────────────────
+console.log("rotation");
+for (let i = 0; i < 30; i++) await handleToolCall("ateam_delete_connector", { solution_id: "sol-r", connector_id: `c-${i}` }, "s1");
+const rotated = readdirSync(dir).filter((f) => /^audit-.+\.jsonl$/.test(f));
+check("file rotated, old files pruned to ATEAM_AUDIT_KEEP", rotated.length === 2 && readdirSync(dir).includes("audit.jsonl"));
+
+// ─── 3. Admin query ──────────────────────────────────────────────────────────
+console.log("admin query");
+startHttpServer(PORT);
+await new Promise((r) => setTimeout(r, 300));
+const query = async (qs, token = "admin-secret-token") => {
+  const res = await fetch(`http://127.0.0.1:${PORT}/admin/audit${qs}`, { headers: { authorization: `Bearer ${token}` } });
+  return { status: res.status, body: await res.json() };
+};
+check("admin token required", (await query("", "wrong")).status === 401);
+let q = await query("?tool=ateam_delete_connector&limit=5");
+check("filter by tool, newest first, limit", q.body.count === 5 && q.body.records[0].connector_id === "c-29" && q.body.records.every((r) => r.tool === "ateam_delete_connector"));
+q = await query("?tenant=tenanta&solution_id=sol-r");
+check("filter by tenant and solution", q.body.count >= 1 && q.body.records.every((r) => r.tenant === "tenanta" && r.solution_id === "sol-r"));
+q = await query("?tool=ateam_delete_connector&limit=1000");
+check("reads across rotated files", q.body.count > lines().filter((r) => r.tool === "ateam_delete_connector").length);
+q = await query(`?since=${encodeURIComponent(new Date(Date.now() + 60_000).toISOString())}`);
+check("since in the future → nothing", q.body.count === 0);
+const cutoff = (await query("?tool=ateam_delete_connector&limit=5")).body.records[4].time;
+q = await query(`?tool=ateam_delete_connector&since=${encodeURIComponent(cutoff)}`);
+check("since stops at older records", q.body.count >= 5 && q.body.records.every((r) => Date.parse(r.time) >= Date.parse(cutoff)));
+
+// ─── 4. Log lines ────────────────────────────────────────────────────────────
+console.log("log lines");
+process.env.LOG_LEVEL = "info";
+reloadLogLevel();
+let logged = await capture(() => handleToolCall("ateam_test_notification", { solution_id: "sol-1", actor_id: "actor-7", content: "hello there" }, "s1"));
+check("test notification still logged at info level", logged.includes("audit: ateam_test_notification") && logged.includes("actor-7"));
+
+// audit.js reads ATEAM_AUDIT_DIR at import — a query string gives a fresh instance.
+delete process.env.ATEAM_AUDIT_DIR;
+const memoryAudit = await import("../src/audit.js?memory");
+logged = await capture(() => memoryAudit.auditToolCall({ tool: "ateam_delete_skill", args: { solution_id: "sol-m" }, sessionId: "s1", outcome: "ok", durationMs: 1 }));
+check("no audit dir: every record logged at info level", logged.includes("audit: ateam_delete_skill ok") && logged.includes("sol-m") && logged.includes("tenanta"));
+check("and queryable from memory", (await memoryAudit.queryAudit({ solution_id: "sol-m" })).length === 1);
+
+upstream.close();
+
+// ─── done ────────────────────────────────────────────────────────────────────
+if (failures) { console.error(`\n${failures} check(s) FAILED`); process.exit(1); }
+console.log("\nALL CHECKS PASSED");
+process.exit(0);
@@ -0,0 +1,169 @@
+// Cancellation tests.
+//
+// Verifies that aborting a tool call (ctx.signal, or notifications/cancelled
+// from an MCP client) stops deploy-job polling and chain waits early, that it
+// cuts short in-flight kickoffs without falling back to the sync path, and
+// that a cancelled ateam_test_skill chain wait also aborts the remote test
+// while the sync root-mode kickoff is simply cut short, and that request()
+// gives up a Retry-After backoff or a queued concurrency slot on abort.
+//
+// Run: node test/cancellation.test.mjs
+
+import http from "node:http";
+import { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import { InMemoryTransport } from "@modelcontextprotocol/sdk/inMemory.js";
+
+let failures = 0;
+function check(name, cond) {
+  if (cond) { console.log(`  ✓ ${name}`); }
+  else { console.error(`  ✗ ${name}`); failures++; }
+}
+
+// Stub A-Team API + Core: async jobs and chains that never finish; anything
+// for sol-slow but its GitHub status answers only after 5s.
+const PORT = 3190;
+let hits = [];
+const upstream = http.createServer(async (req, res) => {
+  hits.push(`${req.method} ${req.url.split("?")[0]}`);
+  if (req.url.includes("/sol-slow/") && !req.url.endsWith("/github/status")) await new Promise((r) => setTimeout(r, 5000));
+  if (res.destroyed) return;
+  if (req.url.endsWith("/retry-later")) {
+    res.writeHead(503, { "content-type": "application/json", "retry-after": "30" });
+    res.end(JSON.stringify({ error: "busy" }));
+    return;
+  }
+  res.writeHead(200, { "content-type": "application/json" });
+  if (req.url.endsWith("/redeploy") || req.url.endsWith("/test")) {
+    res.end(JSON.stringify({ ok: true, async: true, job_id: "job-1" }));
+  } else if (req.url.endsWith("/github/status")) {
+    res.end(JSON.stringify({ repo_url: "https://github.com/x/sol-slow" }));
+  } else if (req.url.startsWith("/deploy/jobs/")) {
+    res.end(JSON.stringify({ status: "running" }));
+  } else if (req.url.startsWith("/api/job/")) {
+    res.end(JSON.stringify({ chainJobsList: [{ id: "job-1", status: "running" }] }));
+  } else {
+    res.end(JSON.stringify({ ok: true }));
+  }
+});
+await new Promise((r) => upstream.listen(PORT, "127.0.0.1", r));
+process.env.ADAS_API_URL = `http://127.0.0.1:${PORT}`;
+
+const KEY = "adas_tenanta_00000000000000000000000000000000";
+const { handleToolCall } = await import("../src/tools.js");
+const { createServer } = await import("../src/server.js");
+const { getSessionHistory, get, getConcurrencyStats } = await import("../src/api.js");
+const parse = (r) => JSON.parse(r.content[0].text);
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+await handleToolCall("ateam_auth", { api_key: KEY }, "c1");
+
+// ─── 1. Deploy-job polling ───────────────────────────────────────────────────
+console.log("redeploy polling");
+let ac = new AbortController();
+let started = Date.now();
+setTimeout(() => ac.abort(), 300);
+const redeploy = parse(await handleToolCall("ateam_redeploy", { solution_id: "sol-1" }, "c1", { signal: ac.signal }));
+check("polling stops soon after abort", Date.now() - started < 1500);
+check("result marked cancelled", redeploy.cancelled === true && redeploy.job_id === "job-1");
+const pollsAtCancel = hits.filter((h) => h.startsWith("GET /deploy/jobs/")).length;
+await sleep(2500);
+check("no polls after cancel", hits.filter((h) => h.startsWith("GET /deploy/jobs/")).length === pollsAtCancel);
+
+// ─── 2. test_skill chain wait ────────────────────────────────────────────────
+console.log("test_skill chain wait");
+hits = [];
+ac = new AbortController();
+setTimeout(() => ac.abort(), 300);
+const chain = parse(await handleToolCall("ateam_test_skill", { solution_id: "sol-1", skill_id: "k1", message: "hi", wait_for: "chain" }, "c1", { signal: ac.signal }));
+check("chain wait cancelled", chain.cancelled === true && chain.job_id === "job-1");
+check("remote test aborted via DELETE", hits.includes("DELETE /deploy/solutions/sol-1/skills/k1/test/job-1"));
+
+console.log("test_skill root wait");
+hits = [];
+ac = new AbortController();
+started = Date.now();
+setTimeout(() => ac.abort(), 300);
+const root = await handleToolCall("ateam_test_skill", { solution_id: "sol-slow", skill_id: "k1", message: "hi" }, "c1", { signal: ac.signal });
+check("sync root kickoff cut short", root.isError === true && root.structuredContent?.error?.code === "cancelled" && Date.now() - started < 1500);
+check("root mode neither polls nor aborts remotely", hits.length === 1 && hits[0] === "POST /deploy/solutions/sol-slow/skills/k1/test");
+
+// ─── 3. In-flight kickoffs ───────────────────────────────────────────────────
+console.log("in-flight kickoffs");
+hits = [];
+ac = new AbortController();
+started = Date.now();
+setTimeout(() => ac.abort(), 300);
+const slowRedeploy = parse(await handleToolCall("ateam_redeploy", { solution_id: "sol-slow" }, "c1", { signal: ac.signal }));
+check("redeploy kickoff cut short", slowRedeploy.cancelled === true && slowRedeploy.solution_id === "sol-slow" && Date.now() - started < 1500);
+check("no sync fallback after cancel", hits.filter((h) => h === "POST /deploy/solutions/sol-slow/redeploy").length === 1);
+
+hits = [];
+ac = new AbortController();
+started = Date.now();
+setTimeout(() => ac.abort(), 300);
+const upload = parse(await handleToolCall("ateam_upload_connector", { solution_id: "sol-slow", connector_id: "c-1", github: true }, "c1", { signal: ac.signal }));
+check("upload kickoff cut short", upload.cancelled === true && Date.now() - started < 1500);
+check("no sync fallback after cancel", hits.filter((h) => h.endsWith("/connectors/c-1/upload")).length === 1);
+
+// ─── 4. build_and_run ────────────────────────────────────────────────────────
+console.log("build_and_run");
+hits = [];
+ac = new AbortController();
+ac.abort();
+const built = parse(await handleToolCall("ateam_build_and_run", { solution: { id: "sol-1" }, skills: [{ id: "k1" }] }, "c1", { signal: ac.signal }));
+check("already-cancelled build_and_run skips every phase", built.cancelled === true && !hits.some((h) => h.startsWith("POST /deploy/solution")));
+
+ac = new AbortController();
+started = Date.now();
+setTimeout(() => ac.abort(), 300);
+const pulled = parse(await handleToolCall("ateam_build_and_run", { solution_id: "sol-slow", github: true }, "c1", { signal: ac.signal }));
+check("GitHub pull cut short", pulled.cancelled === true && pulled.phase === "github_pull" && Date.now() - started < 1500);
+
+// ─── 5. request() ────────────────────────────────────────────────────────────
+console.log("request()");
+hits = [];
+ac = new AbortController();
+started = Date.now();
+setTimeout(() => ac.abort(), 300);
+let err = await get("/deploy/solutions/sol-1/retry-later", "c1", { signal: ac.signal }).catch((e) => e);
+check("Retry-After backoff cut short", err?.code === "cancelled" && Date.now() - started < 1500);
+check("no retry after cancel", hits.filter((h) => h.endsWith("/retry-later")).length === 1);
+
+// Six slow calls fill the session's slots; a seventh queues behind them.
+hits = [];
+const blockers = new AbortController();
+const held = Array.from({ length: 6 }, (_, i) => get(`/deploy/solutions/sol-slow/held-${i}`, "c1", { signal: blockers.signal }).catch(() => {}));
+ac = new AbortController();
+started = Date.now();
+setTimeout(() => ac.abort(), 300);
+err = await get("/deploy/solutions/sol-1/queued", "c1", { signal: ac.signal }).catch((e) => e);
+check("queued call rejected on abort", err?.code === "cancelled" && Date.now() - started < 1500);
+blockers.abort();
+await Promise.all(held);
+await sleep(200);
+check("queued call never sent once slots free", hits.filter((h) => h.startsWith("GET /deploy/solutions/sol-slow/held-")).length === 6 && !hits.includes("GET /deploy/solutions/sol-1/queued"));
+check("slots all given back", Object.keys(getConcurrencyStats().pools).length === 0);
+
+// ─── 6. notifications/cancelled from an MCP client ───────────────────────────
+console.log("MCP client cancel");
+const [clientSide, serverSide] = InMemoryTransport.createLinkedPair();
+await createServer("c2").connect(serverSide);
+const client = new Client({ name: "t", version: "1" });
+await client.connect(clientSide);
+await client.callTool({ name: "ateam_auth", arguments: { api_key: KEY } });
+
+ac = new AbortController();
+started = Date.now();
+const call = client.callTool({ name: "ateam_redeploy", arguments: { solution_id: "sol-1" } }, undefined, { signal: ac.signal });
+setTimeout(() => ac.abort(), 300);
+await call.catch(() => {});
+await sleep(500);
+const last = getSessionHistory("c2").at(-1);
+check("server-side handler stopped after client cancel", last?.tool === "ateam_redeploy" && Date.now() - started < 3000);
+await client.close();
+
+upstream.close();
+
+// ─── done ────────────────────────────────────────────────────────────────────
+if (failures) { console.error(`\n${failures} check(s) FAILED`); process.exit(1); }
+console.log("\nALL CHECKS PASSED");
+process.exit(0);
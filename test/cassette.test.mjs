@@ -0,0 +1,104 @@
+// Record/replay (cassette) tests.
+//
+// Records traffic against a local upstream with ADAS_RECORD, then replays it
+// with ADAS_REPLAY after the upstream is gone: exact (method + path + body)
+// and loose (method + path) matching, recorded sequences served in order with
+// the last one repeating, recorded network errors, and that API keys, bearer
+// tokens and master keys never reach the recording.
+//
+// Run: node test/cassette.test.mjs
+
+import http from "node:http";
+import { mkdtempSync, readdirSync, readFileSync, statSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+let failures = 0;
+function check(name, cond) {
+  if (cond) { console.log(`  ✓ ${name}`); }
+  else { console.error(`  ✗ ${name}`); failures++; }
+}
+
+const PORT = 3161;
+const DEAD_PORT = 3160; // nothing listens here
+const BASE = `http://127.0.0.1:${PORT}`;
+const KEY = "adas_tenanta_0123456789abcdef0123456789abcdef";
+const BEARER = "mcp_at_" + "A1b2C3d4".repeat(5);
+const MASTER = "master-Secret-42-xyz";
+const dir = mkdtempSync(join(tmpdir(), "ateam-cassette-"));
+process.env.LOG_LEVEL = "error";
+
+// Upstream: echoes the request body, and walks a job through three states.
+let jobPolls = 0;
+const upstream = http.createServer(async (req, res) => {
+  let body = "";
+  for await (const chunk of req) body += chunk;
+  res.writeHead(200, { "content-type": "application/json" });
+  if (req.url === "/job") {
+    res.end(JSON.stringify({ status: ["queued", "running", "done"][jobPolls++] }));
+  } else {
+    res.end(JSON.stringify({ echo: body ? JSON.parse(body) : null, key: KEY }));
+  }
+});
+await new Promise((r) => upstream.listen(PORT, "127.0.0.1", r));
+
+// cassette.js reads its env at import — a query string gives a fresh instance.
+process.env.ADAS_RECORD = dir;
+const recorder = await import("../src/cassette.js?record");
+delete process.env.ADAS_RECORD;
+const { registerSecret } = await import("../src/redact.js");
+registerSecret(MASTER);
+
+const postJson = (fetchFn, path, body) => fetchFn(`${BASE}${path}`, {
+  method: "POST",
+  headers: { "content-type": "application/json", "x-api-key": KEY, authorization: `Bearer ${BEARER}`, "x-adas-token": MASTER },
+  body: JSON.stringify(body),
+});
+
+// ─── 1. Record ───────────────────────────────────────────────────────────────
+console.log("record");
+check("mode is record", recorder.getCassetteMode() === "record");
+const live = await (await postJson(recorder.cassetteFetch, "/echo", { n: 1, api_key: KEY, note: `master ${MASTER}` })).json();
+check("live response passed through", live.echo?.n === 1 && live.key === KEY);
+await postJson(recorder.cassetteFetch, "/echo", { n: 2 });
+for (let i = 0; i < 3; i++) await recorder.cassetteFetch(`${BASE}/job`);
+await recorder.cassetteFetch(`http://127.0.0.1:${DEAD_PORT}/health`).catch(() => {});
+
+const files = readdirSync(dir).filter((f) => f.endsWith(".jsonl"));
+const text = readFileSync(join(dir, files[0]), "utf8");
+const entries = text.trim().split("\n").map((l) => JSON.parse(l));
+check("one recording file, owner-only", files.length === 1 && (statSync(join(dir, files[0])).mode & 0o777) === 0o600);
+check("every exchange recorded in order", entries.length === 6 && entries.map((e) => e.seq).join() === "1,2,3,4,5,6");
+check("API keys redacted, tenant kept", !text.includes("0123456789abcdef") && text.includes("adas_tenanta_[REDACTED]"));
+check("bearer tokens redacted", !text.includes(BEARER.slice(7)) && entries[0].request.headers.authorization === "[REDACTED]");
+check("master keys redacted", !text.includes(MASTER) && entries[0].request.headers["x-adas-token"] === "[REDACTED]");
+check("network error recorded", entries[5].error?.code === "ECONNREFUSED");
+
+// ─── 2. Replay without a network ────────────────────────────────────────────
+console.log("replay");
+await new Promise((r) => upstream.close(r));
+process.env.ADAS_REPLAY = dir;
+const player = await import("../src/cassette.js?replay");
+delete process.env.ADAS_REPLAY;
+check("mode is replay", player.getCassetteMode() === "replay");
+
+const exact = await (await postJson(player.cassetteFetch, "/echo", { n: 2 })).json();
+check("exact match on method + path + body", exact.echo?.n === 2);
+const loose = await (await postJson(player.cassetteFetch, "/echo", { n: 99 })).json();
+check("loose match when the body differs", loose.echo?.n === 1);
+check("replayed body is the redacted one", loose.key === "adas_tenanta_[REDACTED]");
+
+const polls = [];
+for (let i = 0; i < 5; i++) polls.push((await (await player.cassetteFetch(`http://elsewhere.example/job`)).json()).status);
+check("sequence served in order, host ignored", polls.slice(0, 3).join() === "queued,running,done");
+check("last recording repeats", polls[3] === "done" && polls[4] === "done");
+
+const refused = await player.cassetteFetch(`http://127.0.0.1:${DEAD_PORT}/health`).catch((err) => err);
+check("recorded network error replayed", refused instanceof TypeError && refused.cause?.code === "ECONNREFUSED");
+const missing = await player.cassetteFetch(`${BASE}/never-recorded`).catch((err) => err);
+check("unrecorded call throws", missing instanceof Error && /no recorded response for GET \/never-recorded/.test(missing.message));
+
+// ─── done ────────────────────────────────────────────────────────────────────
+if (failures) { console.error(`\n${failures} check(s) FAILED`); process.exit(1); }
+console.log("\nALL CHECKS PASSED");
+process.exit(0);
@@ -0,0 +1,60 @@
+// Circuit-breaker tests for the API client.
+//
+// Verifies the breaker opens after repeated outage failures, fails fast while
+// open, ignores 4xx, and closes again once the /health probe succeeds.
+//
+// Run: node test/circuit-breaker.test.mjs
+
+import http from "node:http";
+
+let failures = 0;
+function check(name, cond) {
+  if (cond) { console.log(`  ✓ ${name}`); }
+  else { console.error(`  ✗ ${name}`); failures++; }
+}
+
+const PORT = 3199;
+const BASE = `http://127.0.0.1:${PORT}`;
+let healthy = false;
+let hits = 0;
+const upstream = http.createServer((req, res) => {
+  hits++;
+  const status = req.url === "/bad-request" ? 400 : healthy ? 200 : 503;
+  res.writeHead(status, { "content-type": "application/json" });
+  res.end(JSON.stringify({ ok: status === 200 }));
+});
+await new Promise((r) => upstream.listen(PORT, "127.0.0.1", r));
+
+process.env.ADAS_API_URL = BASE;
+process.env.ADAS_API_KEY = "adas_tenanta_00000000000000000000000000000000";
+process.env.ATEAM_BREAKER_THRESHOLD = "3";
+process.env.ATEAM_BREAKER_COOLDOWN_MS = "200";
+
+const { get, getCircuitStates } = await import("../src/api.js");
+const noRetry = { retries: 0 };
+async function code(p) {
+  try { await get(p, undefined, noRetry); return "ok"; } catch (e) { return e.code; }
+}
+
+console.log("circuit breaker");
+check("4xx does not count as an outage", (await code("/bad-request")) === "bad_request" && !getCircuitStates()[BASE]);
+for (let i = 0; i < 3; i++) await code("/x");
+check("opens after threshold outage failures", getCircuitStates()[BASE]?.state === "open");
+
+hits = 0;
+check("open → fails fast with circuit_open", (await code("/x")) === "circuit_open");
+check("open → no upstream request made", hits === 0);
+
+await new Promise((r) => setTimeout(r, 250));
+check("failed probe → stays open", (await code("/x")) === "circuit_open" && getCircuitStates()[BASE]?.state === "open");
+
+healthy = true;
+await new Promise((r) => setTimeout(r, 250));
+check("successful probe → request goes through", (await code("/x")) === "ok");
+check("breaker closed again", getCircuitStates()[BASE]?.state === "closed");
+
+upstream.close();
+
+// ─── done ────────────────────────────────────────────────────────────────────
+if (failures) { console.error(`\n${failures} check(s) FAILED`); process.exit(1); }
+console.log("\nALL CHECKS PASSED");
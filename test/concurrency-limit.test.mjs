@@ -0,0 +1,73 @@
+// Concurrency-limiter tests for the API client.
+//
+// Verifies that in-flight upstream requests are capped per session and per
+// tenant, that queued requests all complete, and that master-mode calls can
+// address a tenant per call without switching the session.
+//
+// Run: node test/concurrency-limit.test.mjs
+
+import http from "node:http";
+
+let failures = 0;
+function check(name, cond) {
+  if (cond) { console.log(`  ✓ ${name}`); }
+  else { console.error(`  ✗ ${name}`); failures++; }
+}
+
+// Slow upstream that tracks peak concurrency per tenant header.
+const PORT = 3196;
+let inFlight = 0;
+let peak = 0;
+let tenantsSeen = [];
+const upstream = http.createServer((req, res) => {
+  inFlight++;
+  peak = Math.max(peak, inFlight);
+  tenantsSeen.push(req.headers["x-adas-tenant"]);
+  setTimeout(() => {
+    inFlight--;
+    res.writeHead(200, { "content-type": "application/json" });
+    res.end(JSON.stringify({ ok: true }));
+  }, 40);
+});
+await new Promise((r) => upstream.listen(PORT, "127.0.0.1", r));
+process.env.ADAS_API_URL = `http://127.0.0.1:${PORT}`;
+process.env.ATEAM_MAX_CONCURRENCY_SESSION = "2";
+process.env.ATEAM_MAX_CONCURRENCY_TENANT = "3";
+
+const { get, setSessionCredentials, getConcurrencyStats, getCredentials } = await import("../src/api.js");
+
+const KEY = "adas_tenanta_00000000000000000000000000000000";
+setSessionCredentials("s1", { apiKey: KEY });
+setSessionCredentials("s2", { apiKey: KEY });
+setSessionCredentials("m1", { tenant: "tenanta", masterKey: "master-secret" });
+
+// ─── 1. Per-session cap ──────────────────────────────────────────────────────
+console.log("per-session cap");
+peak = 0;
+let results = await Promise.all(Array.from({ length: 6 }, () => get("/x", "s1")));
+check("all 6 queued requests complete", results.length === 6 && results.every((r) => r.ok));
+check("never more than 2 in flight for one session", peak === 2);
+
+// ─── 2. Per-tenant cap across sessions ───────────────────────────────────────
+console.log("per-tenant cap");
+peak = 0;
+results = await Promise.all(Array.from({ length: 8 }, (_, i) => get("/x", i % 2 ? "s1" : "s2")));
+check("all 8 requests complete", results.every((r) => r.ok));
+check("two sessions on one tenant share its cap of 3", peak === 3);
+check("pools are released when idle", Object.keys(getConcurrencyStats().pools).length === 0);
+
+// ─── 3. Master mode: tenant per call ─────────────────────────────────────────
+console.log("master-mode tenant override");
+tenantsSeen = [];
+await Promise.all([get("/x", "m1", { tenant: "tenantb" }), get("/x", "m1", { tenant: "tenantc" })]);
+check("each call sent its own X-ADAS-TENANT", tenantsSeen.sort().join(",") === "tenantb,tenantc");
+check("session's active tenant unchanged", getCredentials("m1").tenant === "tenanta");
+tenantsSeen = [];
+await get("/x", "s1", { tenant: "tenantb" });
+check("tenant override ignored for api-key sessions", tenantsSeen[0] === "tenanta");
+
+upstream.close();
+
+// ─── done ────────────────────────────────────────────────────────────────────
+if (failures) { console.error(`\n${failures} check(s) FAILED`); process.exit(1); }
+console.log("\nALL CHECKS PASSED");
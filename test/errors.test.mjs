@@ -0,0 +1,107 @@
+// Tool error shape tests.
+//
+// Verifies that a failing tool call returns the human text plus the same
+// failure as structuredContent.error (describeError), that HTTP statuses map
+// to stable `code` / `status` / `retriable` values with the platform's own
+// code carried as upstream_code, that non-API errors become "tool_error", and
+// that ateam_redeploy recognises a missing skill by status or upstream code,
+// and that refusals before a handler runs (auth, read-only) take the same
+// shape and reach the session history.
+//
+// Run: node test/errors.test.mjs
+
+import http from "node:http";
+
+let failures = 0;
+function check(name, cond) {
+  if (cond) { console.log(`  ✓ ${name}`); }
+  else { console.error(`  ✗ ${name}`); failures++; }
+}
+
+// Scripted upstream: every request gets the current `reply`.
+const PORT = 3159;
+let reply = { status: 200, body: { ok: true } };
+const upstream = http.createServer((_req, res) => {
+  res.writeHead(reply.status, { "content-type": "application/json", ...(reply.headers || {}) });
+  res.end(JSON.stringify(reply.body));
+});
+await new Promise((r) => upstream.listen(PORT, "127.0.0.1", r));
+process.env.ADAS_API_URL = `http://127.0.0.1:${PORT}`;
+process.env.ATEAM_RETRY_POLICY = JSON.stringify({ retries: 0 });
+process.env.ATEAM_BREAKER_THRESHOLD = "1000";
+process.env.LOG_LEVEL = "error";
+
+const KEY = "adas_tenanta_00000000000000000000000000000000";
+const { handleToolCall } = await import("../src/tools.js");
+const { ApiError, describeError, getSessionHistory, setSessionCredentials } = await import("../src/api.js");
+await handleToolCall("ateam_auth", { api_key: KEY }, "e1");
+
+/** Call a tool against a scripted reply; returns the MCP result. */
+async function callWith(status, body, tool = "ateam_list_solutions", args = {}, headers) {
+  reply = { status, body, headers };
+  return handleToolCall(tool, args, "e1");
+}
+
+// ─── 1. Shape ────────────────────────────────────────────────────────────────
+console.log("shape");
+let res = await callWith(404, { error: "solution_not_found" });
+const error = res.structuredContent?.error;
+check("isError with structuredContent.error", res.isError === true && !!error);
+check("human text first, JSON second", res.content[0].text === error.message && JSON.parse(res.content[1].text).error.code === error.code);
+check("every field present", ["code", "status", "upstream_code", "message", "method", "url", "retriable", "hint", "correlation_id"].every((k) => k in error));
+check("request identified", error.method === "GET" && error.url === `http://127.0.0.1:${PORT}/deploy/solutions` && !!error.correlation_id);
+
+// ─── 2. Mapping ──────────────────────────────────────────────────────────────
+console.log("mapping");
+check("404 → not_found, not retriable, upstream code kept", error.code === "not_found" && error.status === 404 && error.retriable === false && error.upstream_code === "solution_not_found");
+const mapped = async (status, body = { error: "nope" }, headers) => (await callWith(status, body, undefined, {}, headers)).structuredContent.error;
+let e = await mapped(401);
+check("401 → unauthorized", e.code === "unauthorized" && e.retriable === false);
+e = await mapped(422, { message: "bad skill" });
+check("422 → validation_failed, no upstream code from prose", e.code === "validation_failed" && e.upstream_code === null);
+e = await mapped(429, { error: "slow down" }, { "retry-after": "7" });
+check("429 → rate_limited, retriable, retry_after_ms", e.code === "rate_limited" && e.retriable === true && e.retry_after_ms === 7000);
+e = await mapped(503);
+check("503 → unavailable, retriable", e.code === "unavailable" && e.retriable === true);
+e = await mapped(418);
+check("unmapped status → http_<status>", e.code === "http_418" && e.status === 418);
+e = await mapped(409, { error: "github_not_connected" });
+check("github_not_connected wins over the status", e.code === "github_not_connected" && e.upstream_code === "github_not_connected" && /connect-github/.test(e.hint));
+
+res = await handleToolCall("ateam_test_skill", { solution_id: "s", skill_id: "k", message: "hi", wait_for: "sometime" }, "e1");
+e = res.structuredContent?.error;
+check("non-API error → tool_error", res.isError === true && e.code === "tool_error" && e.status === null && e.retriable === false && /Invalid wait_for/.test(e.message));
+check("describeError on a plain value", describeError("boom").message === "boom" && describeError("boom").code === "tool_error");
+check("ApiError defaults its code from the status", new ApiError("x", { status: 504 }).code === "gateway_timeout" && new ApiError("x").code === "api_error");
+
+// ─── 3. ateam_redeploy not-found detection ───────────────────────────────────
+console.log("redeploy not found");
+const redeploy = async (status, body) => JSON.parse((await callWith(status, body, "ateam_redeploy", { solution_id: "sol-1", skill_id: "gone" })).content[0].text);
+let r = await redeploy(404, { error: "nope" });
+check("by status 404", r.ok === false && r.error_info?.status === 404 && /Skill not found/.test(r.hint));
+r = await redeploy(500, { error: "ENOENT" });
+check("by upstream code ENOENT", r.ok === false && r.error_info?.upstream_code === "ENOENT" && /Skill not found/.test(r.hint));
+r = await redeploy(500, { error: "disk_full" });
+check("other failures carry no not-found hint", r.ok === false && r.error_info?.code === "server_error" && !/Skill not found/.test(r.hint || ""));
+
+// ─── 4. Refusals before the handler ──────────────────────────────────────────
+console.log("refusals");
+setSessionCredentials("e0", { tenant: "tenanta", apiKey: KEY }); // seeded, not explicit (env vars)
+res = await handleToolCall("ateam_list_solutions", {}, "e0");
+check("auth refusal: prose, then the JSON error item", res.isError === true && /Authentication required/.test(res.content[0].text) && /Environment variables/.test(res.content[0].text)
+  && JSON.parse(res.content[1].text).error.code === "auth_required" && res.structuredContent.error.code === "auth_required");
+let last = getSessionHistory("e0").at(-1);
+check("auth refusal in the session history", last?.tool === "ateam_list_solutions" && last.ok === false && last.error.code === "auth_required");
+
+await handleToolCall("ateam_auth", { api_key: KEY, mode: "read_only" }, "e2");
+res = await handleToolCall("ateam_redeploy", { solution_id: "sol-1" }, "e2");
+check("read-only refusal: same shape", res.isError === true && JSON.parse(res.content[1].text).error.code === "read_only_session" && res.content[0].text === res.structuredContent.error.message);
+last = getSessionHistory("e2").at(-1);
+check("read-only refusal in the session history", last?.tool === "ateam_redeploy" && last.error?.code === "read_only_session");
+
+upstream.close();
+
+// ─── done ────────────────────────────────────────────────────────────────────
+if (failures) { console.error(`\n${failures} check(s) FAILED`); process.exit(1); }
+console.log("\nALL CHECKS PASSED");
+process.exit(0);
@@ -0,0 +1,93 @@
+// Deep health check tests.
+//
+// Verifies that plain /health stays a cheap liveness answer, and that
+// /health?deep=1 and /health/ready probe the A-Team API, /spec (HEAD only)
+// and Core, report latency, status, version and uptime, answer 503 when a
+// critical dependency is down and stay 200 ("degraded") when only Core is,
+// and that a burst of deep checks within ATEAM_HEALTH_CACHE_MS shares one
+// round of probes.
+//
+// Run: node test/health.test.mjs
+
+import http from "node:http";
+
+let failures = 0;
+function check(name, cond) {
+  if (cond) { console.log(`  ✓ ${name}`); }
+  else { console.error(`  ✗ ${name}`); failures++; }
+}
+
+// Stub A-Team API — /spec fails while specDown is set.
+const API_PORT = 3174;
+let specDown = false;
+let apiHits = 0;
+let specMethods = [];
+const upstream = http.createServer((req, res) => {
+  apiHits++;
+  if (req.url === "/spec") specMethods.push(req.method);
+  if (req.url === "/spec" && specDown) {
+    res.writeHead(500, { "content-type": "application/json" });
+    res.end(JSON.stringify({ error: "boom" }));
+    return;
+  }
+  res.writeHead(200, { "content-type": "application/json" });
+  res.end(JSON.stringify(req.url === "/health" ? { ok: true, version: "9.9.9" } : { ok: true }));
+});
+await new Promise((r) => upstream.listen(API_PORT, "127.0.0.1", r));
+
+const PORT = 3173;
+const DEAD_CORE_PORT = 3172; // nothing listens here
+process.env.ADAS_API_URL = `http://127.0.0.1:${API_PORT}`;
+process.env.ADAS_CORE_URL = `http://127.0.0.1:${DEAD_CORE_PORT}`;
+process.env.ATEAM_OAUTH_DISABLED = "1";
+process.env.ATEAM_HEALTH_PROBE_TIMEOUT_MS = "1000";
+process.env.ATEAM_HEALTH_CACHE_MS = "1500";
+process.env.LOG_LEVEL = "error";
+const { startHttpServer } = await import("../src/http.js");
+startHttpServer(PORT);
+await new Promise((r) => setTimeout(r, 300));
+
+const get = async (path) => {
+  const res = await fetch(`http://127.0.0.1:${PORT}${path}`);
+  return { status: res.status, body: await res.json() };
+};
+
+// ─── 1. Liveness stays shallow ───────────────────────────────────────────────
+console.log("plain /health");
+apiHits = 0;
+let r = await get("/health");
+check("200 without probing", r.status === 200 && r.body.ok === true && apiHits === 0 && !r.body.dependencies);
+
+// ─── 2. Core down → degraded ─────────────────────────────────────────────────
+console.log("deep: core down");
+r = await get("/health?deep=1");
+const { api, spec, core } = r.body.dependencies || {};
+check("200, status degraded", r.status === 200 && r.body.ok === true && r.body.status === "degraded");
+check("api up with latency and upstream version", api?.status === "up" && typeof api.latency_ms === "number" && api.version === "9.9.9");
+check("spec probed with HEAD, not downloaded", spec?.status === "up" && spec.url.endsWith("/spec") && specMethods.join() === "HEAD");
+check("core down with a reason", core?.status === "down" && core.critical === false && core.url.includes(String(DEAD_CORE_PORT)) && !!core.error);
+check("server version and uptime", /^\d+\.\d+\.\d+/.test(r.body.version || "") && typeof r.body.uptime_s === "number" && !!Date.parse(r.body.started_at));
+
+// ─── 3. Cached between rounds ────────────────────────────────────────────────
+console.log("deep: cache");
+apiHits = 0;
+const burst = await Promise.all([1, 2, 3, 4, 5].map(() => get("/health?deep=1")));
+check("a burst reuses the last round", apiHits === 0 && burst.every((b) => b.body.checked_at === r.body.checked_at));
+await new Promise((resolve) => setTimeout(resolve, 1600));
+const fresh = await Promise.all([1, 2, 3].map(() => get("/health?deep=1")));
+check("after the window: one new round for concurrent checks", apiHits === 2 && new Set(fresh.map((f) => f.body.checked_at)).size === 1 && fresh[0].body.checked_at !== r.body.checked_at);
+
+// ─── 4. Critical dependency down → 503 ───────────────────────────────────────
+console.log("deep: spec down");
+specDown = true;
+await new Promise((resolve) => setTimeout(resolve, 1600));
+r = await get("/health/ready");
+check("/health/ready → 503, status down", r.status === 503 && r.body.ok === false && r.body.status === "down");
+check("spec reported with its HTTP status", r.body.dependencies.spec.status === "down" && r.body.dependencies.spec.http_status === 500);
+
+upstream.close();
+
+// ─── done ────────────────────────────────────────────────────────────────────
+if (failures) { console.error(`\n${failures} check(s) FAILED`); process.exit(1); }
+console.log("\nALL CHECKS PASSED");
+process.exit(0);
@@ -0,0 +1,129 @@
+// Legacy HTTP+SSE transport tests.
+//
+// Opens GET /sse, posts JSON-RPC to the announced /messages endpoint and reads
+// the responses off the stream: no-bearer ateam_auth sessions, bearer-seeded
+// credentials, the bearer-ownership check, and unknown session ids.
+//
+// Run: node test/legacy-sse.test.mjs
+
+import http from "node:http";
+
+let failures = 0;
+function check(name, cond) {
+  if (cond) { console.log(`  ✓ ${name}`); }
+  else { console.error(`  ✗ ${name}`); failures++; }
+}
+
+// Stub A-Team API: records the key each request authenticated with.
+const API_PORT = 3176;
+const seenKeys = [];
+const upstream = http.createServer((req, res) => {
+  seenKeys.push(req.headers["x-api-key"] || null);
+  res.writeHead(200, { "content-type": "application/json" });
+  res.end(JSON.stringify({ ok: true, solutions: [] }));
+});
+await new Promise((r) => upstream.listen(API_PORT, "127.0.0.1", r));
+
+const PORT = 3175;
+const BASE = `http://127.0.0.1:${PORT}`;
+process.env.ADAS_API_URL = `http://127.0.0.1:${API_PORT}`;
+process.env.ATEAM_BASE_URL = BASE;
+process.env.LOG_LEVEL = "error";
+const KEY = "adas_tenanta_00000000000000000000000000000000";
+const BEARER = "adas_tenantb_11111111111111111111111111111111";
+const { startHttpServer } = await import("../src/http.js");
+startHttpServer(PORT);
+await new Promise((r) => setTimeout(r, 300));
+
+/** Open /sse; returns the announced endpoint and a waiter for JSON-RPC responses by id. */
+async function openSse(bearer) {
+  const res = await fetch(`${BASE}/sse`, { headers: { accept: "text/event-stream", ...(bearer && { authorization: `Bearer ${bearer}` }) } });
+  const reader = res.body.pipeThrough(new TextDecoderStream()).getReader();
+  const events = [];
+  const waiters = [];
+  let buffer = "";
+  (async () => {
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) return;
+      buffer += value;
+      let idx;
+      while ((idx = buffer.indexOf("\n\n")) !== -1) {
+        const raw = buffer.slice(0, idx);
+        buffer = buffer.slice(idx + 2);
+        const event = raw.match(/^event: (.*)$/m)?.[1] || "message";
+        const data = raw.match(/^data: (.*)$/m)?.[1] || "";
+        events.push({ event, data });
+        waiters.forEach((w) => w());
+      }
+    }
+  })().catch(() => {});
+  const next = (pred, ms = 5000) => new Promise((resolve) => {
+    const found = () => events.find(pred);
+    if (found()) return resolve(found());
+    const timer = setTimeout(() => resolve(null), ms);
+    waiters.push(() => { const e = found(); if (e) { clearTimeout(timer); resolve(e); } });
+  });
+  const endpoint = (await next((e) => e.event === "endpoint"))?.data;
+  const response = async (id) => {
+    const e = await next((ev) => ev.event === "message" && JSON.parse(ev.data).id === id);
+    return e && JSON.parse(e.data);
+  };
+  return { status: res.status, endpoint, response, close: () => reader.cancel() };
+}
+
+function post(endpoint, body, bearer) {
+  return fetch(`${BASE}${endpoint}`, {
+    method: "POST",
+    headers: { "content-type": "application/json", ...(bearer && { authorization: `Bearer ${bearer}` }) },
+    body: JSON.stringify(body),
+  });
+}
+const initialize = (id) => ({ jsonrpc: "2.0", id, method: "initialize", params: { protocolVersion: "2024-11-05", capabilities: {}, clientInfo: { name: "t", version: "1" } } });
+const call = (id, name, args = {}) => ({ jsonrpc: "2.0", id, method: "tools/call", params: { name, arguments: args } });
+
+async function handshake(sse, bearer) {
+  await post(sse.endpoint, initialize(1), bearer);
+  await sse.response(1);
+  await post(sse.endpoint, { jsonrpc: "2.0", method: "notifications/initialized" }, bearer);
+}
+
+// ─── 1. No bearer: ateam_auth over the legacy transport ──────────────────────
+console.log("no bearer");
+const plain = await openSse();
+check("stream opens and announces /messages", plain.status === 200 && /^\/messages\?sessionId=[0-9a-f-]+$/.test(plain.endpoint || ""));
+const accepted = await post(plain.endpoint, initialize(1));
+check("POST /messages → 202", accepted.status === 202);
+const init = await plain.response(1);
+check("initialize answered on the stream", !!init?.result?.serverInfo);
+await post(plain.endpoint, { jsonrpc: "2.0", method: "notifications/initialized" });
+await post(plain.endpoint, call(2, "ateam_auth", { api_key: KEY }));
+await plain.response(2);
+seenKeys.length = 0;
+await post(plain.endpoint, call(3, "ateam_list_solutions"));
+const listed = await plain.response(3);
+check("tool call answered with ateam_auth credentials", !!listed?.result && !listed.result.isError && seenKeys.includes(KEY));
+
+// ─── 2. Bearer: seeded credentials, ownership enforced ───────────────────────
+console.log("bearer");
+const owned = await openSse(BEARER);
+await handshake(owned, BEARER);
+seenKeys.length = 0;
+await post(owned.endpoint, call(2, "ateam_list_solutions"), BEARER);
+const byBearer = await owned.response(2);
+check("credentials seeded from the bearer", !!byBearer?.result && seenKeys.includes(BEARER));
+check("other bearer refused", (await post(owned.endpoint, call(3, "ateam_list_solutions"), KEY)).status === 401);
+check("no bearer refused", (await post(owned.endpoint, call(4, "ateam_list_solutions"))).status === 401);
+
+// ─── 3. Unknown session ──────────────────────────────────────────────────────
+console.log("unknown session");
+check("unknown sessionId → 404", (await post("/messages?sessionId=nope", call(1, "ateam_list_solutions"))).status === 404);
+
+plain.close();
+owned.close();
+upstream.close();
+
+// ─── done ────────────────────────────────────────────────────────────────────
+if (failures) { console.error(`\n${failures} check(s) FAILED`); process.exit(1); }
+console.log("\nALL CHECKS PASSED");
+process.exit(0);
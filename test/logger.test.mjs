@@ -0,0 +1,122 @@
+// Logger tests.
+//
+// Verifies levels (LOG_LEVEL), JSON output, central redaction of adas_* keys,
+// bearer tokens and registered master keys, the correlation context, the
+// X-Request-Id echo over HTTP, and that stdio mode never writes log lines to
+// stdout (the JSON-RPC channel).
+//
+// Run: node test/logger.test.mjs
+
+import { spawn } from "node:child_process";
+import { fileURLToPath } from "node:url";
+
+let failures = 0;
+function check(name, cond) {
+  if (cond) { console.log(`  ✓ ${name}`); }
+  else { console.error(`  ✗ ${name}`); failures++; }
+}
+
+process.env.LOG_FORMAT = "json";
+process.env.LOG_LEVEL = "info";
+const { createLogger, withLogContext, reloadLogLevel } = await import("../src/logger.js");
+const { registerSecret } = await import("../src/redact.js");
+
+// Capture what the logger writes (stderr — stdout stays untouched by default).
+function capture(fn) {
+  const lines = { stdout: [], stderr: [] };
+  const orig = { stdout: process.stdout.write, stderr: process.stderr.write };
+  process.stdout.write = (chunk) => { lines.stdout.push(String(chunk)); return true; };
+  process.stderr.write = (chunk) => { lines.stderr.push(String(chunk)); return true; };
+  return Promise.resolve(fn()).finally(() => {
+    process.stdout.write = orig.stdout;
+    process.stderr.write = orig.stderr;
+  }).then(() => lines);
+}
+
+const log = createLogger("Test");
+const KEY = "adas_tenanta_0123456789abcdef0123456789abcdef";
+
+// ─── 1. Levels, JSON, redaction ──────────────────────────────────────────────
+console.log("unit: levels, JSON, redaction");
+registerSecret("master-secret-value");
+let out = await capture(() => {
+  log.debug("hidden at info");
+  log.info(`key ${KEY} and Bearer eyJhbGci.x9Zq2`, { api_key: KEY, note: "master-secret-value here" });
+  log.info("Bearer bound for session s1");
+});
+check("debug suppressed at LOG_LEVEL=info", out.stderr.length === 2);
+const entry = JSON.parse(out.stderr[0]);
+check("JSON line with level + scope", entry.level === "info" && entry.scope === "Test" && entry.time);
+check("adas_* key redacted in message", !out.stderr[0].includes("0123456789abcdef") && entry.msg.includes("adas_tenanta_[REDACTED]"));
+check("bearer redacted", !entry.msg.includes("eyJhbGci.x9Zq2"));
+check("prose mentioning a bearer kept", JSON.parse(out.stderr[1]).msg === "Bearer bound for session s1");
+check("credential field redacted", entry.api_key === "[REDACTED]");
+check("registered master key redacted", !out.stderr[0].includes("master-secret-value"));
+check("nothing on stdout by default", out.stdout.length === 0);
+
+process.env.LOG_LEVEL = "error";
+reloadLogLevel();
+out = await capture(() => { log.warn("dropped"); log.error("kept"); });
+check("LOG_LEVEL=error drops warn", out.stderr.length === 1 && JSON.parse(out.stderr[0]).msg === "kept");
+process.env.LOG_LEVEL = "info";
+reloadLogLevel();
+
+// ─── 2. Correlation context ──────────────────────────────────────────────────
+console.log("unit: correlation context");
+out = await capture(() => withLogContext({ request_id: "req-1" }, async () => {
+  await new Promise((r) => setTimeout(r, 5));
+  await withLogContext({ tool: "ateam_x" }, async () => log.info("inner"));
+}));
+const inner = JSON.parse(out.stderr[0]);
+check("context survives awaits and nests", inner.request_id === "req-1" && inner.tool === "ateam_x");
+
+// ─── 3. stdio mode keeps stdout for JSON-RPC ─────────────────────────────────
+console.log("stdio: stdout is JSON-RPC only");
+const entryPoint = fileURLToPath(new URL("../src/index.js", import.meta.url));
+const child = spawn(process.execPath, [entryPoint], {
+  env: { ...process.env, LOG_FORMAT: "text", ADAS_API_URL: "http://127.0.0.1:9" },
+  stdio: ["pipe", "pipe", "pipe"],
+});
+let stdout = "";
+let stderr = "";
+child.stdout.on("data", (d) => { stdout += d; });
+child.stderr.on("data", (d) => { stderr += d; });
+const send = (msg) => child.stdin.write(JSON.stringify(msg) + "\n");
+send({ jsonrpc: "2.0", id: 1, method: "initialize", params: { protocolVersion: "2024-11-05", capabilities: {}, clientInfo: { name: "t", version: "1" } } });
+send({ jsonrpc: "2.0", method: "notifications/initialized" });
+send({ jsonrpc: "2.0", id: 2, method: "tools/call", params: { name: "ateam_auth", arguments: { api_key: KEY } } });
+await new Promise((resolve) => {
+  const timer = setTimeout(resolve, 5000);
+  const poll = setInterval(() => {
+    if (stdout.includes('"id":2')) { clearInterval(poll); clearTimeout(timer); resolve(); }
+  }, 50);
+});
+child.kill();
+const stdoutLines = stdout.split("\n").filter(Boolean);
+check("tool call answered", stdout.includes('"id":2'));
+check("every stdout line is JSON-RPC", stdoutLines.length > 0 && stdoutLines.every((l) => { try { return JSON.parse(l).jsonrpc === "2.0"; } catch { return false; } }));
+check("auth log went to stderr, redacted", stderr.includes("[Auth] Credentials set") && !stderr.includes("0123456789abcdef"));
+
+// ─── 4. HTTP request id ──────────────────────────────────────────────────────
+console.log("http: X-Request-Id");
+process.env.ATEAM_OAUTH_DISABLED = "1";
+const PORT = 3184;
+const { startHttpServer } = await import("../src/http.js");
+await capture(async () => {
+  startHttpServer(PORT);
+  await new Promise((r) => setTimeout(r, 300));
+});
+let res;
+out = await capture(async () => {
+  res = await fetch(`http://127.0.0.1:${PORT}/health`, { headers: { "x-request-id": "trace-42" } });
+  await res.text();
+});
+check("caller's X-Request-Id echoed", res.headers.get("x-request-id") === "trace-42");
+check("request log lines carry request_id", out.stdout.some((l) => JSON.parse(l).request_id === "trace-42"));
+const fresh = await fetch(`http://127.0.0.1:${PORT}/health`, { headers: { "x-request-id": "bad id with spaces" } });
+check("malformed id replaced with a fresh one", /^[0-9a-f-]{36}$/.test(fresh.headers.get("x-request-id")));
+
+// ─── done ────────────────────────────────────────────────────────────────────
+if (failures) { console.error(`\n${failures} check(s) FAILED`); process.exit(1); }
+console.log("\nALL CHECKS PASSED");
+process.exit(0);
@@ -0,0 +1,90 @@
+// Metrics tests.
+//
+// Verifies that tool calls, upstream requests (by route template), retries,
+// deploy-job waits, OAuth /token exchanges and the session/transport gauges
+// show up on /metrics, and that ATEAM_METRICS_TOKEN protects the endpoint.
+//
+// Run: node test/metrics.test.mjs
+
+import http from "node:http";
+
+let failures = 0;
+function check(name, cond) {
+  if (cond) { console.log(`  ✓ ${name}`); }
+  else { console.error(`  ✗ ${name}`); failures++; }
+}
+
+// Stub A-Team API: redeploy kicks an async job that finishes on the first
+// poll; /flaky answers 503 once, then succeeds.
+const API_PORT = 3186;
+let flaky = 0;
+const upstream = http.createServer((req, res) => {
+  if (req.url.startsWith("/deploy/solutions/flaky") && flaky++ === 0) {
+    res.writeHead(503, { "content-type": "application/json" });
+    res.end(JSON.stringify({ error: "unavailable" }));
+    return;
+  }
+  res.writeHead(200, { "content-type": "application/json" });
+  if (req.url.endsWith("/redeploy")) res.end(JSON.stringify({ ok: true, async: true, job_id: "job-1" }));
+  else if (req.url.startsWith("/deploy/jobs/")) res.end(JSON.stringify({ ok: true, status: "done" }));
+  else res.end(JSON.stringify({ ok: true, solutions: [] }));
+});
+await new Promise((r) => upstream.listen(API_PORT, "127.0.0.1", r));
+process.env.ADAS_API_URL = `http://127.0.0.1:${API_PORT}`;
+process.env.ATEAM_RETRY_POLICY = JSON.stringify({ GET: { baseDelayMs: 10, maxDelayMs: 20 } });
+process.env.ATEAM_METRICS_TOKEN = "scrape-secret";
+
+const PORT = 3185;
+process.env.ATEAM_BASE_URL = `http://127.0.0.1:${PORT}`;
+const KEY = "adas_tenanta_00000000000000000000000000000000";
+const { handleToolCall } = await import("../src/tools.js");
+const { routeTemplate } = await import("../src/metrics.js");
+const { startHttpServer } = await import("../src/http.js");
+
+// ─── 1. Route templates ──────────────────────────────────────────────────────
+console.log("unit: route templates");
+check("ids replaced", routeTemplate("/deploy/solutions/s1/skills/k1/test/job-9?x=1") === "/deploy/solutions/:id/skills/:id/test/:id");
+check("fixed sub-routes kept", routeTemplate("/deploy/solutions/s1/connectors/health") === "/deploy/solutions/:id/connectors/health");
+
+// ─── 2. Recording ────────────────────────────────────────────────────────────
+console.log("recording");
+await handleToolCall("ateam_auth", { api_key: KEY }, "m1");
+await handleToolCall("ateam_redeploy", { solution_id: "sol-1" }, "m1");
+await handleToolCall("ateam_get_solution", { solution_id: "flaky", view: "definition" }, "m1");
+await handleToolCall("ateam_list_solutions", {}, "nobody");
+
+startHttpServer(PORT);
+await new Promise((r) => setTimeout(r, 300));
+await fetch(`http://127.0.0.1:${PORT}/token`, {
+  method: "POST",
+  headers: { "content-type": "application/x-www-form-urlencoded" },
+  body: "grant_type=authorization_code&code=nope&client_id=nobody",
+});
+
+const scrape = (headers = {}) => fetch(`http://127.0.0.1:${PORT}/metrics`, { headers });
+const denied = await scrape();
+check("no token → 401", denied.status === 401);
+const wrong = await scrape({ authorization: "Bearer nope" });
+check("wrong token → 401", wrong.status === 401);
+const res = await scrape({ authorization: "Bearer scrape-secret" });
+const text = await res.text();
+check("token → 200 text/plain", res.status === 200 && res.headers.get("content-type").startsWith("text/plain"));
+
+const has = (re) => re.test(text);
+check("tool calls by tool + outcome", has(/ateam_mcp_tool_calls_total\{tool="ateam_redeploy",outcome="ok"\} 1/));
+check("unauthenticated call counted as refused", has(/ateam_mcp_tool_calls_total\{tool="ateam_list_solutions",outcome="refused"\} 1/));
+check("tool latency histogram", has(/ateam_mcp_tool_call_duration_seconds_count\{tool="ateam_redeploy"\} 1/));
+check("upstream latency by route template", has(/ateam_mcp_upstream_request_duration_seconds_count\{[^}]*route="\/deploy\/solutions\/:id\/redeploy",status="200"\} 1/));
+check("upstream 503 recorded", has(/route="\/deploy\/solutions\/:id\/definition",status="503"/));
+check("retry counted", has(/ateam_mcp_upstream_retries_total\{[^}]*route="\/deploy\/solutions\/:id\/definition"\} 1/));
+check("deploy job duration by kind", has(/ateam_mcp_deploy_job_duration_seconds_count\{kind="redeploy-bulk",status="done"\} 1/));
+check("OAuth exchange counted", has(/ateam_mcp_oauth_token_exchanges_total\{grant_type="authorization_code",outcome="error"\} 1/));
+check("session + transport gauges", has(/^ateam_mcp_sessions_active \d+$/m) && has(/^ateam_mcp_transports_active 0$/m));
+check("no credentials in output", !text.includes("adas_tenanta"));
+
+upstream.close();
+
+// ─── done ────────────────────────────────────────────────────────────────────
+if (failures) { console.error(`\n${failures} check(s) FAILED`); process.exit(1); }
+console.log("\nALL CHECKS PASSED");
+process.exit(0);
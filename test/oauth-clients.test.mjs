@@ -0,0 +1,134 @@
+// OAuth client registration tests.
+//
+// Verifies that dynamically registered clients keep exactly the redirect URIs
+// they registered (no well-known callbacks merged in), that /authorize and
+// /token match them exactly except for the loopback port (RFC 8252), that
+// unknown client ids are refused unless ATEAM_OAUTH_ACCEPT_UNKNOWN_CLIENTS is
+// set, and that registrations survive a restart on a file store.
+//
+// Run: node test/oauth-clients.test.mjs
+
+import { spawn } from "node:child_process";
+import { createHash, randomBytes } from "node:crypto";
+import { mkdtempSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { fileURLToPath } from "node:url";
+
+let failures = 0;
+function check(name, cond) {
+  if (cond) { console.log(`  ✓ ${name}`); }
+  else { console.error(`  ✗ ${name}`); failures++; }
+}
+
+const PORT = 3163;
+const COMPAT_PORT = 3162;
+const KEY = "adas_tenanta_00000000000000000000000000000000";
+const dir = mkdtempSync(join(tmpdir(), "ateam-oauth-clients-"));
+const entryPoint = fileURLToPath(new URL("../src/index.js", import.meta.url));
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+function startServer(port, env = {}) {
+  const child = spawn(process.execPath, [entryPoint, "--http", String(port)], {
+    env: { ...process.env, ATEAM_BASE_URL: `http://127.0.0.1:${port}`, LOG_LEVEL: "error", ...env },
+    stdio: ["ignore", "ignore", "inherit"],
+  });
+  const exited = new Promise((resolve) => child.on("exit", resolve));
+  return { child, exited, base: `http://127.0.0.1:${port}` };
+}
+
+async function waitForServer(base) {
+  for (let i = 0; i < 50; i++) {
+    try { if ((await fetch(`${base}/health`)).ok) return; } catch { /* not up yet */ }
+    await sleep(100);
+  }
+}
+
+const fileStore = { ATEAM_SESSION_STORE: "file", ATEAM_SESSION_STORE_PATH: join(dir, "sessions.json") };
+const challengeFor = (verifier) => createHash("sha256").update(verifier).digest("base64url");
+
+function authorize(base, clientId, redirectUri, verifier = "v".repeat(43)) {
+  return fetch(`${base}/authorize?` + new URLSearchParams({
+    response_type: "code", client_id: clientId, redirect_uri: redirectUri,
+    code_challenge: challengeFor(verifier), code_challenge_method: "S256", state: "st",
+  }), { redirect: "manual" });
+}
+
+/** authorize → submit; returns the code sent to `redirectUri`. */
+async function codeFor(base, clientId, redirectUri, verifier) {
+  const page = await authorize(base, clientId, redirectUri, verifier);
+  const pendingId = (await page.text()).match(/name="pending_id" value="([^"]+)"/)?.[1];
+  const submit = await fetch(`${base}/authorize-submit`, {
+    method: "POST",
+    headers: { "content-type": "application/x-www-form-urlencoded" },
+    body: new URLSearchParams({ pending_id: pendingId, api_key: KEY }),
+    redirect: "manual",
+  });
+  const location = new URL(submit.headers.get("location"));
+  return { code: location.searchParams.get("code"), landedOn: `${location.origin}${location.pathname}` };
+}
+
+function exchange(base, clientId, code, verifier, redirectUri) {
+  return fetch(`${base}/token`, {
+    method: "POST",
+    headers: { "content-type": "application/x-www-form-urlencoded" },
+    body: new URLSearchParams({ grant_type: "authorization_code", code, code_verifier: verifier, client_id: clientId, redirect_uri: redirectUri }),
+  });
+}
+
+// ─── 1. Registration ─────────────────────────────────────────────────────────
+console.log("registration");
+let server = startServer(PORT, fileStore);
+await waitForServer(server.base);
+const res = await fetch(`${server.base}/register`, {
+  method: "POST",
+  headers: { "content-type": "application/json" },
+  body: JSON.stringify({ client_name: "app", redirect_uris: ["https://app.example/cb", "http://127.0.0.1/callback"], token_endpoint_auth_method: "none" }),
+});
+const client = await res.json();
+check("registered with exactly its own redirect URIs", res.status === 201 && !!client.client_id
+  && JSON.stringify(client.redirect_uris) === JSON.stringify(["https://app.example/cb", "http://127.0.0.1/callback"]));
+
+// ─── 2. Redirect URI matching ────────────────────────────────────────────────
+console.log("redirect URIs");
+check("registered URI accepted", (await authorize(server.base, client.client_id, "https://app.example/cb")).status === 200);
+check("well-known callback not registered by the client → 400", (await authorize(server.base, client.client_id, "https://claude.ai/api/mcp/auth_callback")).status === 400);
+check("prefix / path variation refused", (await authorize(server.base, client.client_id, "https://app.example/cb/evil")).status === 400);
+check("port change refused for non-loopback", (await authorize(server.base, client.client_id, "https://app.example:8443/cb")).status === 400);
+check("loopback: any port", (await authorize(server.base, client.client_id, "http://127.0.0.1:53682/callback")).status === 200);
+check("loopback: path must still match", (await authorize(server.base, client.client_id, "http://127.0.0.1:53682/other")).status === 400);
+check("unknown client_id refused", (await authorize(server.base, "made-up-client", "http://localhost")).status === 400);
+
+const verifier = randomBytes(32).toString("base64url");
+const { code, landedOn } = await codeFor(server.base, client.client_id, "http://127.0.0.1:53682/callback", verifier);
+check("code delivered to the loopback port asked for", landedOn === "http://127.0.0.1:53682/callback" && !!code);
+let token = await exchange(server.base, client.client_id, code, verifier, "http://127.0.0.1:40000/callback");
+check("token: different redirect_uri → invalid_grant", token.status === 400 && (await token.json()).error === "invalid_grant");
+token = await exchange(server.base, client.client_id, code, verifier, "http://127.0.0.1:53682/callback");
+check("token: same redirect_uri → 200", token.status === 200);
+
+// ─── 3. Restart ──────────────────────────────────────────────────────────────
+console.log("restart");
+await sleep(500); // file store write debounce
+server.child.kill("SIGTERM");
+await server.exited;
+server = startServer(PORT, fileStore);
+await waitForServer(server.base);
+check("registration survives the restart", (await authorize(server.base, client.client_id, "https://app.example/cb")).status === 200);
+check("still with only its own URIs", (await authorize(server.base, client.client_id, "http://localhost")).status === 400);
+server.child.kill("SIGTERM");
+await server.exited;
+
+// ─── 4. Compatibility flag ───────────────────────────────────────────────────
+console.log("ATEAM_OAUTH_ACCEPT_UNKNOWN_CLIENTS=1");
+const compat = startServer(COMPAT_PORT, { ATEAM_OAUTH_ACCEPT_UNKNOWN_CLIENTS: "1" });
+await waitForServer(compat.base);
+check("unknown client accepted with a well-known callback", (await authorize(compat.base, "made-up-client", "https://claude.ai/api/mcp/auth_callback")).status === 200);
+check("but not with an arbitrary one", (await authorize(compat.base, "made-up-client", "https://evil.example/cb")).status === 400);
+compat.child.kill("SIGTERM");
+await compat.exited;
+
+// ─── done ────────────────────────────────────────────────────────────────────
+if (failures) { console.error(`\n${failures} check(s) FAILED`); process.exit(1); }
+console.log("\nALL CHECKS PASSED");
+process.exit(0);
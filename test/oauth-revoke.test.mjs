@@ -0,0 +1,165 @@
+// OAuth revocation (RFC 7009) and introspection (RFC 7662) tests.
+//
+// Verifies that /introspect answers only confidential clients, reports a
+// token's grant only to the client it was issued to and never the key behind
+// it, and that revoking a token kills the
+// whole grant and clears the key's ateam_auth override and its bound sessions,
+// and that a revoked raw key is refused as a bearer from then on.
+//
+// Run: node test/oauth-revoke.test.mjs
+
+import http from "node:http";
+import { createHash, randomBytes } from "node:crypto";
+
+let failures = 0;
+function check(name, cond) {
+  if (cond) { console.log(`  ✓ ${name}`); }
+  else { console.error(`  ✗ ${name}`); failures++; }
+}
+
+const API_PORT = 3167;
+const upstream = http.createServer((_req, res) => {
+  res.writeHead(200, { "content-type": "application/json" });
+  res.end(JSON.stringify({ ok: true, solutions: [] }));
+});
+await new Promise((r) => upstream.listen(API_PORT, "127.0.0.1", r));
+
+const PORT = 3166;
+const BASE = `http://127.0.0.1:${PORT}`;
+process.env.ADAS_API_URL = `http://127.0.0.1:${API_PORT}`;
+process.env.ATEAM_BASE_URL = BASE;
+process.env.LOG_LEVEL = "error";
+const KEY = "adas_tenanta_00000000000000000000000000000000";
+const OTHER = "adas_tenantc_22222222222222222222222222222222";
+const RAW = "adas_tenantb_11111111111111111111111111111111";
+const api = await import("../src/api.js");
+const { startHttpServer } = await import("../src/http.js");
+startHttpServer(PORT);
+await new Promise((r) => setTimeout(r, 300));
+
+const form = (path, fields) => fetch(`${BASE}${path}`, {
+  method: "POST",
+  headers: { "content-type": "application/x-www-form-urlencoded" },
+  body: new URLSearchParams(fields),
+  redirect: "manual",
+});
+
+// A confidential client (with a secret) — the only kind /introspect answers.
+// Registered up front: the authorize flow below runs as this client.
+const register = async (fields) => (await fetch(`${BASE}/register`, {
+  method: "POST",
+  headers: { "content-type": "application/json" },
+  body: JSON.stringify({ redirect_uris: ["http://localhost"], grant_types: ["authorization_code", "refresh_token"], ...fields }),
+})).json();
+const CONF = await register({ client_name: "resource", token_endpoint_auth_method: "client_secret_post" });
+const OTHER_CONF = await register({ client_name: "other-resource", token_endpoint_auth_method: "client_secret_post" });
+const creds = (c) => ({ client_id: c.client_id, client_secret: c.client_secret });
+
+/** authorize → authorize-submit → /token for KEY as CONF; returns the token response. */
+async function authorizeFlow() {
+  const verifier = randomBytes(32).toString("base64url");
+  const challenge = createHash("sha256").update(verifier).digest("base64url");
+  const page = await fetch(`${BASE}/authorize?` + new URLSearchParams({
+    response_type: "code", client_id: CONF.client_id, redirect_uri: "http://localhost",
+    code_challenge: challenge, code_challenge_method: "S256", state: "st",
+  }));
+  const pendingId = (await page.text()).match(/name="pending_id" value="([^"]+)"/)?.[1];
+  const submit = await form("/authorize-submit", { pending_id: pendingId, api_key: KEY });
+  const code = new URL(submit.headers.get("location")).searchParams.get("code");
+  const res = await form("/token", { grant_type: "authorization_code", code, code_verifier: verifier, ...creds(CONF), redirect_uri: "http://localhost" });
+  return res.json();
+}
+
+async function mcp(body, { sid, bearer } = {}) {
+  const res = await fetch(`${BASE}/mcp`, {
+    method: "POST",
+    headers: {
+      "content-type": "application/json",
+      "accept": "application/json, text/event-stream",
+      ...(sid && { "mcp-session-id": sid }),
+      ...(bearer && { authorization: `Bearer ${bearer}` }),
+    },
+    body: JSON.stringify(body),
+  });
+  return { status: res.status, sid: res.headers.get("mcp-session-id"), text: await res.text() };
+}
+const call = (id, name, args = {}) => ({ jsonrpc: "2.0", id, method: "tools/call", params: { name, arguments: args } });
+
+// A second, public client.
+const OTHER_CLIENT = (await register({ client_name: "other", token_endpoint_auth_method: "none" })).client_id;
+
+async function openSession(bearer) {
+  const init = await mcp({ jsonrpc: "2.0", id: 1, method: "initialize", params: { protocolVersion: "2024-11-05", capabilities: {}, clientInfo: { name: "t", version: "1" } } }, { bearer });
+  await mcp({ jsonrpc: "2.0", method: "notifications/initialized" }, { sid: init.sid, bearer });
+  return init.sid;
+}
+
+const introspect = async (token, client = CONF) => (await form("/introspect", { token, ...creds(client) })).json();
+
+// ─── 1. Discovery ────────────────────────────────────────────────────────────
+console.log("discovery");
+const meta = await (await fetch(`${BASE}/.well-known/oauth-authorization-server`)).json();
+check("revocation endpoint advertised", meta.revocation_endpoint === `${BASE}/revoke`);
+
+// ─── 2. Introspection ────────────────────────────────────────────────────────
+console.log("introspection");
+const tokens = await authorizeFlow();
+const raw = await form("/introspect", { token: tokens.access_token, ...creds(CONF) });
+const rawText = await raw.text();
+const info = JSON.parse(rawText);
+check("active access token", raw.status === 200 && info.active === true && info.token_type === "Bearer" && info.client_id === CONF.client_id);
+check("scope, subject and lifetime", info.scope === "mcp" && info.sub === "tenanta" && info.exp - info.iat === 3600);
+check("the key is never disclosed", !rawText.includes(KEY) && !rawText.includes("0000000000000000"));
+check("refresh token active too", (await introspect(tokens.refresh_token)).active === true);
+check("another client learns nothing", JSON.stringify(await introspect(tokens.access_token, OTHER_CONF)) === '{"active":false}');
+check("unknown token inactive", (await introspect("mcp_at_nope")).active === false);
+check("raw key: nothing disclosed to any client", JSON.stringify(await introspect(RAW)) === '{"active":false}');
+check("client_id required", (await form("/introspect", { token: tokens.access_token })).status === 400);
+check("wrong secret refused", (await form("/introspect", { token: tokens.access_token, client_id: CONF.client_id, client_secret: "nope" })).status === 400);
+for (const [name, client_id] of [["built-in public client", "ateam-public"], ["registered public client", OTHER_CLIENT]]) {
+  const refused = await form("/introspect", { token: tokens.access_token, client_id });
+  const refusedText = await refused.text();
+  check(`${name} refused → 401 invalid_client, nothing disclosed`, refused.status === 401 && JSON.parse(refusedText).error === "invalid_client" && !refusedText.includes("tenanta"));
+}
+
+// ─── 3. Revoking an opaque token ─────────────────────────────────────────────
+console.log("revoke token");
+const sid = await openSession(tokens.access_token);
+await mcp(call(2, "ateam_auth", { api_key: OTHER }), { sid, bearer: tokens.access_token });
+check("session bound, override set", api.getSessionBearer(sid) === KEY && api.getAuthOverride(KEY)?.tenant === "tenantc");
+
+let res = await form("/revoke", { token: tokens.access_token, client_id: OTHER_CLIENT });
+check("another client may not revoke → unauthorized_client", res.status === 400 && (await res.json()).error === "unauthorized_client");
+check("token still active", (await introspect(tokens.access_token)).active === true);
+
+res = await form("/revoke", { token: tokens.access_token, ...creds(CONF) });
+check("revoked → 200", res.status === 200);
+check("access token inactive", (await introspect(tokens.access_token)).active === false);
+check("the grant's refresh token revoked with it", (await introspect(tokens.refresh_token)).active === false);
+check("override cleared", api.getAuthOverride(KEY) === null);
+check("bound session cleared", api.getSessionBearer(sid) === null && !api.isAuthenticated(sid));
+check("revoked token refused", (await mcp(call(3, "ateam_list_solutions"), { sid, bearer: tokens.access_token })).status === 401);
+res = await form("/token", { grant_type: "refresh_token", refresh_token: tokens.refresh_token, ...creds(CONF) });
+check("revoked refresh token can't refresh", res.status === 400);
+check("unknown token → 200 (RFC 7009 §2.2)", (await form("/revoke", { token: "mcp_at_nope", client_id: "ateam-public" })).status === 200);
+
+// ─── 4. Revoking a raw key ───────────────────────────────────────────────────
+console.log("revoke raw key");
+const again = await authorizeFlow();
+const rawSid = await openSession(RAW);
+check("raw-key session bound", api.getSessionBearer(rawSid) === RAW);
+await form("/revoke", { token: RAW, client_id: "ateam-public" });
+check("raw-key sessions cleared", api.getSessionBearer(rawSid) === null);
+const resumed = await mcp(call(2, "ateam_list_solutions"), { sid: rawSid, bearer: RAW });
+check("revoked key refused as a bearer", resumed.status === 401 && api.getSessionBearer(rawSid) === null);
+check("also on a new session", (await mcp({ jsonrpc: "2.0", id: 1, method: "initialize", params: { protocolVersion: "2024-11-05", capabilities: {}, clientInfo: { name: "t", version: "1" } } }, { bearer: RAW })).status === 401);
+check("other keys' tokens untouched", (await introspect(again.access_token)).active === true);
+await form("/revoke", { token: KEY, client_id: "ateam-public" });
+check("revoking the key drops every token issued for it", (await introspect(again.access_token)).active === false);
+
+upstream.close();
+
+// ─── done ────────────────────────────────────────────────────────────────────
+if (failures) { console.error(`\n${failures} check(s) FAILED`); process.exit(1); }
+console.log("\nALL CHECKS PASSED");
+process.exit(0);
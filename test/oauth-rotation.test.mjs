@@ -0,0 +1,127 @@
+// Refresh token rotation tests.
+//
+// Verifies that every refresh hands out a new refresh token and retires the
+// one presented, and that presenting a retired one revokes its whole family —
+// every access and refresh token descended from the same authorization code —
+// and ends the sessions opened with that family, while other families for the
+// same key, and their sessions, survive.
+//
+// Run: node test/oauth-rotation.test.mjs
+
+import http from "node:http";
+import { createHash, randomBytes } from "node:crypto";
+
+let failures = 0;
+function check(name, cond) {
+  if (cond) { console.log(`  ✓ ${name}`); }
+  else { console.error(`  ✗ ${name}`); failures++; }
+}
+
+const API_PORT = 3165;
+const upstream = http.createServer((_req, res) => {
+  res.writeHead(200, { "content-type": "application/json" });
+  res.end(JSON.stringify({ ok: true, solutions: [] }));
+});
+await new Promise((r) => upstream.listen(API_PORT, "127.0.0.1", r));
+
+const PORT = 3164;
+const BASE = `http://127.0.0.1:${PORT}`;
+process.env.ADAS_API_URL = `http://127.0.0.1:${API_PORT}`;
+process.env.ATEAM_BASE_URL = BASE;
+process.env.LOG_LEVEL = "error";
+const KEY = "adas_tenanta_00000000000000000000000000000000";
+const LEGACY = "adas_tenantb_11111111111111111111111111111111";
+const api = await import("../src/api.js");
+const { startHttpServer } = await import("../src/http.js");
+startHttpServer(PORT);
+await new Promise((r) => setTimeout(r, 300));
+
+const form = (path, fields) => fetch(`${BASE}${path}`, {
+  method: "POST",
+  headers: { "content-type": "application/x-www-form-urlencoded" },
+  body: new URLSearchParams(fields),
+  redirect: "manual",
+});
+
+// A confidential client, so /introspect can report on its tokens.
+const CONF = await (await fetch(`${BASE}/register`, {
+  method: "POST",
+  headers: { "content-type": "application/json" },
+  body: JSON.stringify({ client_name: "rotation", redirect_uris: ["http://localhost"], grant_types: ["authorization_code", "refresh_token"], token_endpoint_auth_method: "client_secret_post" }),
+})).json();
+const creds = { client_id: CONF.client_id, client_secret: CONF.client_secret };
+
+/** authorize → authorize-submit → /token for KEY as CONF; returns the token response. */
+async function authorizeFlow() {
+  const verifier = randomBytes(32).toString("base64url");
+  const challenge = createHash("sha256").update(verifier).digest("base64url");
+  const page = await fetch(`${BASE}/authorize?` + new URLSearchParams({
+    response_type: "code", client_id: CONF.client_id, redirect_uri: "http://localhost",
+    code_challenge: challenge, code_challenge_method: "S256", state: "st",
+  }));
+  const pendingId = (await page.text()).match(/name="pending_id" value="([^"]+)"/)?.[1];
+  const submit = await form("/authorize-submit", { pending_id: pendingId, api_key: KEY });
+  const code = new URL(submit.headers.get("location")).searchParams.get("code");
+  const res = await form("/token", { grant_type: "authorization_code", code, code_verifier: verifier, ...creds, redirect_uri: "http://localhost" });
+  return res.json();
+}
+
+async function refresh(refreshToken) {
+  const res = await form("/token", { grant_type: "refresh_token", refresh_token: refreshToken, ...creds });
+  return { status: res.status, body: await res.json() };
+}
+const active = async (token) => (await (await form("/introspect", { token, ...creds })).json()).active;
+
+async function openSession(bearer) {
+  const mcp = (body, sid) => fetch(`${BASE}/mcp`, {
+    method: "POST",
+    headers: { "content-type": "application/json", "accept": "application/json, text/event-stream", authorization: `Bearer ${bearer}`, ...(sid && { "mcp-session-id": sid }) },
+    body: JSON.stringify(body),
+  });
+  const init = await mcp({ jsonrpc: "2.0", id: 1, method: "initialize", params: { protocolVersion: "2024-11-05", capabilities: {}, clientInfo: { name: "t", version: "1" } } });
+  const sid = init.headers.get("mcp-session-id");
+  await mcp({ jsonrpc: "2.0", method: "notifications/initialized" }, sid);
+  return sid;
+}
+
+// ─── 1. Rotation ─────────────────────────────────────────────────────────────
+console.log("rotation");
+const first = await authorizeFlow();
+const second = await refresh(first.refresh_token);
+check("refresh returns a new refresh token", second.status === 200 && second.body.refresh_token !== first.refresh_token);
+check("the presented one is retired", (await active(first.refresh_token)) === false && (await active(second.body.refresh_token)) === true);
+const third = await refresh(second.body.refresh_token);
+check("the new one refreshes in turn", third.status === 200 && third.body.refresh_token.startsWith("mcp_rt_"));
+
+// ─── 2. Reuse ────────────────────────────────────────────────────────────────
+console.log("reuse");
+const bystander = await authorizeFlow();
+const sid = await openSession(third.body.access_token);
+const bystanderSid = await openSession(bystander.access_token);
+const rawSid = await openSession(KEY);
+check("sessions bound to the key", [sid, bystanderSid, rawSid].every((s) => api.getSessionBearer(s) === KEY));
+api.setAuthOverride(bystanderSid, { tenant: "tenanta", apiKey: KEY });
+const replay = await refresh(second.body.refresh_token);
+check("reused refresh token → invalid_grant", replay.status === 400 && replay.body.error === "invalid_grant");
+check("family's current refresh token revoked", (await active(third.body.refresh_token)) === false && (await refresh(third.body.refresh_token)).status === 400);
+check("family's access tokens revoked", (await active(third.body.access_token)) === false && (await active(second.body.access_token)) === false);
+check("the family's session cleared", api.getSessionBearer(sid) === null);
+check("another family's session for the same key survives", api.getSessionBearer(bystanderSid) === KEY && api.getSessionBearer(rawSid) === KEY);
+check("the key's shared override kept", api.getAuthOverride(KEY)?.tenant === "tenanta");
+check("another family untouched", (await active(bystander.access_token)) === true && (await refresh(bystander.refresh_token)).status === 200);
+
+// ─── 3. Legacy rt_<key> ──────────────────────────────────────────────────────
+console.log("legacy refresh token");
+const upgraded = await refresh(`rt_${LEGACY}`);
+check("honoured once, upgraded to an opaque family", upgraded.status === 200 && upgraded.body.refresh_token.startsWith("mcp_rt_"));
+check("second use counts as reuse", (await refresh(`rt_${LEGACY}`)).status === 400);
+check("and revokes the upgraded family", (await active(upgraded.body.refresh_token)) === false);
+check("third use refused", (await refresh(`rt_${LEGACY}`)).status === 400);
+check("fourth use refused", (await refresh(`rt_${LEGACY}`)).status === 400);
+
+upstream.close();
+
+// ─── done ────────────────────────────────────────────────────────────────────
+if (failures) { console.error(`\n${failures} check(s) FAILED`); process.exit(1); }
+console.log("\nALL CHECKS PASSED");
+process.exit(0);
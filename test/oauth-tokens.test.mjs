@@ -0,0 +1,151 @@
+// Opaque OAuth token tests.
+//
+// Runs the authorize → token flow and checks that the client gets random
+// access / refresh tokens instead of the API key, that the bearer middleware
+// resolves them back to the key for tool calls, that they expire, that refresh
+// issues a new access token without breaking the session, and that raw-key
+// bearers and legacy rt_<key> refresh tokens still work.
+//
+// Run: node test/oauth-tokens.test.mjs
+
+import http from "node:http";
+import { createHash, randomBytes } from "node:crypto";
+
+let failures = 0;
+function check(name, cond) {
+  if (cond) { console.log(`  ✓ ${name}`); }
+  else { console.error(`  ✗ ${name}`); failures++; }
+}
+
+// Stub A-Team API: records the key each request authenticated with.
+const API_PORT = 3169;
+const seenKeys = [];
+const upstream = http.createServer((req, res) => {
+  seenKeys.push(req.headers["x-api-key"] || null);
+  res.writeHead(200, { "content-type": "application/json" });
+  res.end(JSON.stringify({ ok: true, solutions: [] }));
+});
+await new Promise((r) => upstream.listen(API_PORT, "127.0.0.1", r));
+
+const PORT = 3168;
+const BASE = `http://127.0.0.1:${PORT}`;
+process.env.ADAS_API_URL = `http://127.0.0.1:${API_PORT}`;
+process.env.ATEAM_BASE_URL = BASE;
+process.env.LOG_LEVEL = "error";
+const KEY = "adas_tenanta_00000000000000000000000000000000";
+const RAW = "adas_tenantb_11111111111111111111111111111111";
+const { redactString } = await import("../src/redact.js");
+const { startHttpServer } = await import("../src/http.js");
+startHttpServer(PORT);
+await new Promise((r) => setTimeout(r, 300));
+
+const form = (path, fields) => fetch(`${BASE}${path}`, {
+  method: "POST",
+  headers: { "content-type": "application/x-www-form-urlencoded" },
+  body: new URLSearchParams(fields),
+  redirect: "manual",
+});
+
+/** authorize → authorize-submit → /token for KEY; returns the token response. */
+async function authorizeFlow() {
+  const verifier = randomBytes(32).toString("base64url");
+  const challenge = createHash("sha256").update(verifier).digest("base64url");
+  const page = await fetch(`${BASE}/authorize?` + new URLSearchParams({
+    response_type: "code", client_id: "ateam-public", redirect_uri: "http://localhost",
+    code_challenge: challenge, code_challenge_method: "S256", state: "st",
+  }));
+  const pendingId = (await page.text()).match(/name="pending_id" value="([^"]+)"/)?.[1];
+  const submit = await form("/authorize-submit", { pending_id: pendingId, api_key: KEY });
+  const code = new URL(submit.headers.get("location")).searchParams.get("code");
+  const res = await form("/token", { grant_type: "authorization_code", code, code_verifier: verifier, client_id: "ateam-public", redirect_uri: "http://localhost" });
+  return { status: res.status, text: await res.text() };
+}
+
+async function mcp(body, { sid, bearer } = {}) {
+  const res = await fetch(`${BASE}/mcp`, {
+    method: "POST",
+    headers: {
+      "content-type": "application/json",
+      "accept": "application/json, text/event-stream",
+      ...(sid && { "mcp-session-id": sid }),
+      ...(bearer && { authorization: `Bearer ${bearer}` }),
+    },
+    body: JSON.stringify(body),
+  });
+  return { status: res.status, sid: res.headers.get("mcp-session-id"), text: await res.text() };
+}
+const initialize = (id) => ({ jsonrpc: "2.0", id, method: "initialize", params: { protocolVersion: "2024-11-05", capabilities: {}, clientInfo: { name: "t", version: "1" } } });
+const call = (id, name, args = {}) => ({ jsonrpc: "2.0", id, method: "tools/call", params: { name, arguments: args } });
+
+// A second, dynamically registered client.
+const registered = await fetch(`${BASE}/register`, {
+  method: "POST",
+  headers: { "content-type": "application/json" },
+  body: JSON.stringify({ client_name: "other", redirect_uris: ["http://localhost"], token_endpoint_auth_method: "none" }),
+});
+const OTHER_CLIENT = (await registered.json()).client_id;
+
+async function openSession(bearer) {
+  const init = await mcp(initialize(1), { bearer });
+  await mcp({ jsonrpc: "2.0", method: "notifications/initialized" }, { sid: init.sid, bearer });
+  return init;
+}
+
+// ─── 1. Exchange ─────────────────────────────────────────────────────────────
+console.log("exchange");
+const exchanged = await authorizeFlow();
+const tokens = JSON.parse(exchanged.text);
+check("code exchanged", exchanged.status === 200);
+check("opaque access and refresh tokens", /^mcp_at_[A-Za-z0-9_-]{43}$/.test(tokens.access_token) && /^mcp_rt_[A-Za-z0-9_-]{43}$/.test(tokens.refresh_token));
+check("the key never appears in the response", !exchanged.text.includes(KEY) && !exchanged.text.includes("0000000000000000"));
+check("expires_in and scope", tokens.expires_in === 3600 && tokens.scope === "claudeai");
+check("tokens redacted in log text", !redactString(`token=${tokens.access_token}`).includes(tokens.access_token.slice(7)));
+
+// ─── 2. Tool calls resolve the key ───────────────────────────────────────────
+console.log("verify");
+const session = await openSession(tokens.access_token);
+check("initialize with the opaque token", session.status === 200 && !!session.sid);
+seenKeys.length = 0;
+const listed = await mcp(call(2, "ateam_list_solutions"), { sid: session.sid, bearer: tokens.access_token });
+check("tool call forwards the key behind the token", !listed.text.includes("Authentication required") && seenKeys.includes(KEY));
+check("unknown opaque token → 401", (await mcp(initialize(1), { bearer: "mcp_at_" + "x".repeat(43) })).status === 401);
+check("refresh token is not an access token", (await mcp(initialize(1), { bearer: tokens.refresh_token })).status === 401);
+
+// ─── 3. Refresh ──────────────────────────────────────────────────────────────
+console.log("refresh");
+let res = await form("/token", { grant_type: "refresh_token", refresh_token: tokens.refresh_token, client_id: OTHER_CLIENT });
+check("refresh by another client → invalid_grant", res.status === 400 && (await res.json()).error === "invalid_grant");
+res = await form("/token", { grant_type: "refresh_token", refresh_token: tokens.refresh_token, client_id: "ateam-public" });
+const refreshed = await res.json();
+check("refresh issues a new access token", res.status === 200 && refreshed.access_token !== tokens.access_token && refreshed.access_token.startsWith("mcp_at_"));
+seenKeys.length = 0;
+const reused = await mcp(call(3, "ateam_list_solutions"), { sid: session.sid, bearer: refreshed.access_token });
+check("session survives the refresh", reused.status === 200 && seenKeys.includes(KEY));
+res = await form("/token", { grant_type: "refresh_token", refresh_token: KEY, client_id: "ateam-public" });
+check("the bare key is no refresh token", res.status === 400);
+
+res = await form("/token", { grant_type: "refresh_token", refresh_token: `rt_${KEY}`, client_id: "ateam-public" });
+const upgraded = await res.json();
+check("legacy rt_<key> upgraded to opaque tokens", res.status === 200 && upgraded.access_token.startsWith("mcp_at_") && upgraded.refresh_token.startsWith("mcp_rt_"));
+
+// ─── 4. Raw-key bearer ───────────────────────────────────────────────────────
+console.log("raw key bearer");
+const raw = await openSession(RAW);
+seenKeys.length = 0;
+await mcp(call(2, "ateam_list_solutions"), { sid: raw.sid, bearer: RAW });
+check("raw adas_ key still accepted as bearer", raw.status === 200 && seenKeys.includes(RAW));
+
+// ─── 5. Expiry ───────────────────────────────────────────────────────────────
+console.log("expiry");
+// Jump the clock past the access-token TTL (1 hour).
+Date.now = ((realNow) => () => realNow() + 2 * 60 * 60 * 1000)(Date.now);
+check("expired access token → 401", (await mcp(initialize(1), { bearer: refreshed.access_token })).status === 401);
+res = await form("/token", { grant_type: "refresh_token", refresh_token: refreshed.refresh_token, client_id: "ateam-public" });
+check("refresh token outlives the access token", res.status === 200);
+
+upstream.close();
+
+// ─── done ────────────────────────────────────────────────────────────────────
+if (failures) { console.error(`\n${failures} check(s) FAILED`); process.exit(1); }
+console.log("\nALL CHECKS PASSED");
+process.exit(0);
@@ -0,0 +1,117 @@
+// Credential profile tests.
+//
+// Verifies that profiles are refused until enabled (the HTTP transport never
+// enables them), that unknown names are rejected, that "default" resolves to
+// the file's default profile, that explicit ateam_auth arguments override the
+// profile's values, that a profile counts as explicit auth for tenant tools,
+// and that ateam_list_profiles never returns a key.
+//
+// Run: node test/profiles.test.mjs
+
+import http from "node:http";
+import { mkdtempSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+let failures = 0;
+function check(name, cond) {
+  if (cond) { console.log(`  ✓ ${name}`); }
+  else { console.error(`  ✗ ${name}`); failures++; }
+}
+
+// Stub A-Team API: records the path and key of every request.
+const PORT = 3158;
+const BASE = `http://127.0.0.1:${PORT}`;
+let seen = [];
+const upstream = http.createServer((req, res) => {
+  seen.push({ path: req.url, key: req.headers["x-api-key"] || null, master: req.headers["x-adas-token"] || null });
+  res.writeHead(200, { "content-type": "application/json" });
+  res.end(JSON.stringify({ ok: true, solutions: [] }));
+});
+await new Promise((r) => upstream.listen(PORT, "127.0.0.1", r));
+
+const PROD = "adas_acme_0123456789abcdef0123456789abcdef";
+const DEV = "adas_acme_fedcba9876543210fedcba9876543210";
+const OTHER = "adas_other_00000000000000000000000000000000";
+const MASTER = "master-key-for-ops-1234";
+const dir = mkdtempSync(join(tmpdir(), "ateam-profiles-"));
+const path = join(dir, "profiles.json");
+writeFileSync(path, JSON.stringify({
+  default: "prod",
+  profiles: {
+    prod: { api_key: PROD },
+    dev: { api_key: DEV, url: `${BASE}/dev` },
+    ops: { master_key: MASTER, tenant: "main" },
+    look: { api_key: PROD, mode: "read_only" },
+  },
+}), { mode: 0o600 });
+
+process.env.ADAS_API_URL = BASE;
+process.env.ATEAM_PROFILES_PATH = path;
+process.env.LOG_LEVEL = "error";
+const { handleToolCall } = await import("../src/tools.js");
+const { enableProfiles } = await import("../src/profiles.js");
+const text = (r) => r.content.map((c) => c.text).join("\n");
+const call = async (name, args, sid) => {
+  const res = await handleToolCall(name, args, sid);
+  try { return { res, body: JSON.parse(res.content[0].text) }; } catch { return { res, body: null }; }
+};
+
+// ─── 1. Disabled (HTTP transport) ────────────────────────────────────────────
+console.log("disabled");
+let { res, body } = await call("ateam_auth", { profile: "prod" }, "p0");
+check("ateam_auth(profile) refused", body?.ok === false && /only available over the stdio transport/.test(body.message) && seen.length === 0);
+({ res } = await call("ateam_list_profiles", {}, "p0"));
+check("ateam_list_profiles refused", res.isError === true && /stdio transport/.test(text(res)) && !text(res).includes(PROD));
+
+enableProfiles();
+
+// ─── 2. Resolution ───────────────────────────────────────────────────────────
+console.log("resolution");
+({ body } = await call("ateam_auth", { profile: "staging" }, "p1"));
+check("unknown profile rejected, names listed", body?.ok === false && /Unknown profile "staging"/.test(body.message) && /prod, dev, ops, look/.test(body.message));
+seen = [];
+({ body } = await call("ateam_auth", { profile: "default" }, "p1"));
+check("\"default\" resolves to the file's default", body?.ok === true && body.profile === "prod" && body.tenant === "acme" && seen.at(-1)?.key === PROD);
+seen = [];
+({ body } = await call("ateam_auth", { profile: "dev" }, "p1"));
+check("profile url used", body?.ok === true && seen.at(-1)?.path === "/dev/deploy/solutions" && seen.at(-1)?.key === DEV);
+({ body } = await call("ateam_auth", { profile: "ops" }, "p1"));
+check("master-key profile", body?.ok === true && body.masterMode === true && body.tenant === "main" && seen.at(-1)?.master === MASTER);
+
+// ─── 3. Explicit arguments win ───────────────────────────────────────────────
+console.log("explicit overrides");
+seen = [];
+({ body } = await call("ateam_auth", { profile: "dev", api_key: OTHER }, "p2"));
+check("explicit api_key over the profile's", body?.ok === true && body.tenant === "other" && seen.at(-1)?.key === OTHER);
+seen = [];
+({ body } = await call("ateam_auth", { profile: "dev", url: BASE }, "p2"));
+check("explicit url over the profile's", body?.ok === true && seen.at(-1)?.path === "/deploy/solutions");
+({ body } = await call("ateam_auth", { profile: "look" }, "p2"));
+check("profile mode applied", body?.read_only === true);
+({ body } = await call("ateam_auth", { profile: "look", mode: "full" }, "p2b")); // read-only is one-way — fresh session
+check("explicit mode over the profile's", body?.ok === true && body.read_only === false);
+
+// ─── 4. Tenant tools ─────────────────────────────────────────────────────────
+console.log("tenant tools");
+({ res } = await call("ateam_list_solutions", {}, "p3"));
+check("refused before auth", /Authentication required/.test(text(res)));
+await call("ateam_auth", { profile: "prod" }, "p3");
+seen = [];
+({ res } = await call("ateam_list_solutions", {}, "p3"));
+check("a profile counts as explicit auth", !/Authentication required/.test(text(res)) && seen.at(-1)?.key === PROD);
+
+// ─── 5. Listing ──────────────────────────────────────────────────────────────
+console.log("listing");
+({ res, body } = await call("ateam_list_profiles", {}, "p4"));
+const listed = text(res);
+check("names, default, tenants", body?.default === "prod" && body.profiles.map((p) => p.name).join() === "prod,dev,ops,look" && body.profiles[0].tenant === "acme");
+check("key hints only", body?.profiles[0].key_hint === "…cdef" && body.profiles[2].kind === "master_key");
+check("no key in the output", ![PROD, DEV, MASTER].some((k) => listed.includes(k)) && !listed.includes("0123456789abcdef0123"));
+
+upstream.close();
+
+// ─── done ────────────────────────────────────────────────────────────────────
+if (failures) { console.error(`\n${failures} check(s) FAILED`); process.exit(1); }
+console.log("\nALL CHECKS PASSED");
+process.exit(0);
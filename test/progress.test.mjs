@@ -0,0 +1,97 @@
+// Progress-notification tests.
+//
+// Verifies that a long-running tool (async redeploy → pollDeployJob) sends
+// notifications/progress with job status transitions when the caller passes
+// a progressToken, over an in-process transport and over streamable HTTP,
+// and stays silent without one.
+//
+// Run: node test/progress.test.mjs
+
+import http from "node:http";
+import { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import { InMemoryTransport } from "@modelcontextprotocol/sdk/inMemory.js";
+import { StreamableHTTPClientTransport } from "@modelcontextprotocol/sdk/client/streamableHttp.js";
+
+let failures = 0;
+function check(name, cond) {
+  if (cond) { console.log(`  ✓ ${name}`); }
+  else { console.error(`  ✗ ${name}`); failures++; }
+}
+
+// Stub A-Team API: redeploy kicks an async job that is "running" on the first
+// poll and "done" on the second.
+const API_PORT = 3192;
+const polls = new Map();
+const upstream = http.createServer((req, res) => {
+  res.writeHead(200, { "content-type": "application/json" });
+  if (req.url.endsWith("/redeploy")) {
+    const jobId = `job-${polls.size + 1}`;
+    polls.set(jobId, 0);
+    res.end(JSON.stringify({ ok: true, async: true, job_id: jobId }));
+    return;
+  }
+  const m = req.url.match(/^\/deploy\/jobs\/([^/?]+)/);
+  if (m) {
+    const n = polls.get(m[1]) + 1;
+    polls.set(m[1], n);
+    res.end(JSON.stringify(n < 2 ? { status: "running" } : { ok: true, status: "done" }));
+    return;
+  }
+  res.end(JSON.stringify({ ok: true, solutions: [] }));
+});
+await new Promise((r) => upstream.listen(API_PORT, "127.0.0.1", r));
+process.env.ADAS_API_URL = `http://127.0.0.1:${API_PORT}`;
+process.env.ATEAM_OAUTH_DISABLED = "1";
+
+const KEY = "adas_tenanta_00000000000000000000000000000000";
+const { createServer } = await import("../src/server.js");
+const { startHttpServer } = await import("../src/http.js");
+
+async function redeployWithProgress(client, withToken = true) {
+  await client.callTool({ name: "ateam_auth", arguments: { api_key: KEY } });
+  const messages = [];
+  const result = await client.callTool(
+    { name: "ateam_redeploy", arguments: { solution_id: "sol-1" } },
+    undefined,
+    withToken ? { onprogress: (p) => messages.push(p) } : {},
+  );
+  return { result, messages };
+}
+
+// ─── 1. In-process transport (same path as stdio) ────────────────────────────
+console.log("in-process transport");
+const [clientSide, serverSide] = InMemoryTransport.createLinkedPair();
+await createServer("progress-local").connect(serverSide);
+const local = new Client({ name: "t", version: "1" });
+await local.connect(clientSide);
+
+let { result, messages } = await redeployWithProgress(local);
+check("tool result ok", !result.isError);
+check("job start reported", messages.some((p) => /job job-1 started/.test(p.message)));
+check("status transition reported", messages.some((p) => /running → done/.test(p.message)));
+check("progress increases", messages.every((p, i) => i === 0 || p.progress > messages[i - 1].progress));
+check("elapsed time in message", messages.every((p) => /\(\d+s elapsed\)$/.test(p.message)));
+
+({ messages } = await redeployWithProgress(local, false));
+check("no progressToken → no notifications", messages.length === 0);
+await local.close();
+
+// ─── 2. Streamable HTTP ──────────────────────────────────────────────────────
+console.log("streamable HTTP");
+const PORT = 3191;
+startHttpServer(PORT);
+await new Promise((r) => setTimeout(r, 300));
+const remote = new Client({ name: "t", version: "1" });
+await remote.connect(new StreamableHTTPClientTransport(new URL(`http://127.0.0.1:${PORT}/mcp`)));
+
+({ result, messages } = await redeployWithProgress(remote));
+check("tool result ok over HTTP", !result.isError);
+check("status transition reported over HTTP", messages.some((p) => /running → done/.test(p.message)));
+await remote.close();
+
+upstream.close();
+
+// ─── done ────────────────────────────────────────────────────────────────────
+if (failures) { console.error(`\n${failures} check(s) FAILED`); process.exit(1); }
+console.log("\nALL CHECKS PASSED");
+process.exit(0);
@@ -0,0 +1,154 @@
+// Rate-limit tests.
+//
+// Verifies the token-bucket limiter (burst, refill, Retry-After hint, check
+// without spending), the sliding-window limiter, its request keying, the pre-auth per-IP limiter, the HTTP
+// middleware's 429 + Retry-After for the request and expensive-tool budgets
+// (a refusal spends neither), the 400 for a batch no budget could ever admit,
+// and the per-session ateam_test_notification budget (10 in any minute).
+//
+// Run: node test/rate-limit.test.mjs
+
+import http from "node:http";
+
+let failures = 0;
+function check(name, cond) {
+  if (cond) { console.log(`  ✓ ${name}`); }
+  else { console.error(`  ✗ ${name}`); failures++; }
+}
+
+// Stub A-Team API: everything succeeds.
+const API_PORT = 3188;
+const upstream = http.createServer((_req, res) => {
+  res.writeHead(200, { "content-type": "application/json" });
+  res.end(JSON.stringify({ ok: true, solutions: [] }));
+});
+await new Promise((r) => upstream.listen(API_PORT, "127.0.0.1", r));
+process.env.ADAS_API_URL = `http://127.0.0.1:${API_PORT}`;
+process.env.ATEAM_OAUTH_DISABLED = "1";
+process.env.ATEAM_RATE_LIMIT_RPM = "8";
+process.env.ATEAM_RATE_LIMIT_EXPENSIVE_RPM = "1";
+
+const { createRateLimiter, createWindowLimiter, rateLimitKey, mcpIpRateLimit } = await import("../src/rateLimit.js");
+const { handleToolCall } = await import("../src/tools.js");
+const { startHttpServer } = await import("../src/http.js");
+
+// ─── 1. Token bucket ─────────────────────────────────────────────────────────
+console.log("unit: token bucket");
+const limiter = createRateLimiter({ capacity: 3, windowMs: 300 });
+check("burst up to capacity", [1, 2, 3].every(() => limiter.take("a").ok));
+const refused = limiter.take("a");
+check("over capacity → refused with retryAfterMs", !refused.ok && refused.retryAfterMs > 0 && refused.retryAfterMs <= 100);
+check("keys are independent", limiter.take("b").ok);
+await new Promise((r) => setTimeout(r, 120));
+check("tokens refill over the window", limiter.take("a").ok);
+check("capacity 0 = unlimited", createRateLimiter({ capacity: 0 }).take("x").ok);
+const peek = createRateLimiter({ capacity: 2 });
+check("check() doesn't spend", [1, 2, 3, 4].every(() => peek.check("k").ok) && peek.take("k", 2).ok);
+check("check() refuses like take()", !peek.check("k").ok && peek.check("k").retryAfterMs > 0);
+
+const windowed = createWindowLimiter({ limit: 3, windowMs: 300 });
+check("window: up to the limit", [1, 2, 3].every(() => windowed.take("a").ok));
+const full = windowed.take("a");
+check("window: over the limit → retryAfterMs to the oldest call's expiry", !full.ok && full.retryAfterMs > 250 && full.retryAfterMs <= 300);
+await new Promise((r) => setTimeout(r, 150));
+check("window: no refill mid-window", !windowed.take("a").ok);
+await new Promise((r) => setTimeout(r, 200));
+check("window: calls expire with the window", windowed.take("a").ok && windowed.take("a").ok);
+check("window: limit 0 = unlimited", createWindowLimiter({ limit: 0 }).take("x").ok);
+
+const keyA = rateLimitKey({ auth: { token: "adas_tenanta_11111111111111111111111111111111" }, ip: "1.1.1.1" });
+const keyB = rateLimitKey({ auth: { token: "adas_tenanta_22222222222222222222222222222222" }, ip: "1.1.1.1" });
+check("keyed by bearer when validated", keyA !== keyB && keyA.startsWith("bearer:") && !keyA.includes("adas_"));
+check("keyed by IP without bearer", rateLimitKey({ ip: "1.1.1.1" }) === "ip:1.1.1.1");
+
+// Pre-auth per-IP budget: fake req/res, since strict auth on "/" would
+// otherwise reject before any per-bearer budget is consulted.
+const ipLimit = mcpIpRateLimit({ requestsPerMinute: 2 });
+const hit = (ip) => {
+  const res = { headers: {}, setHeader(k, v) { this.headers[k] = v; }, status(code) { this.code = code; return this; }, json(b) { this.body = b; } };
+  let passed = false;
+  ipLimit({ ip, method: "POST", url: "/", body: { jsonrpc: "2.0", id: 9 } }, res, () => { passed = true; });
+  return { passed, res };
+};
+check("unauthenticated requests pass within the IP budget", hit("9.9.9.9").passed && hit("9.9.9.9").passed);
+const flood = hit("9.9.9.9");
+check("IP flood → 429 before auth", !flood.passed && flood.res.code === 429 && Number(flood.res.headers["Retry-After"]) >= 1 && flood.res.body.error.data.budget === "ip_requests" && flood.res.body.id === 9);
+check("other IPs unaffected", hit("8.8.8.8").passed);
+
+// ─── 2. HTTP middleware ──────────────────────────────────────────────────────
+console.log("integration: MCP routes");
+const PORT = 3187;
+startHttpServer(PORT);
+await new Promise((r) => setTimeout(r, 300));
+
+async function mcp(body, sid) {
+  const res = await fetch(`http://127.0.0.1:${PORT}/mcp`, {
+    method: "POST",
+    headers: { "content-type": "application/json", "accept": "application/json, text/event-stream", ...(sid && { "mcp-session-id": sid }) },
+    body: JSON.stringify(body),
+  });
+  return { status: res.status, retryAfter: res.headers.get("retry-after"), sid: res.headers.get("mcp-session-id"), body: await res.text() };
+}
+const call = (id, name) => ({ jsonrpc: "2.0", id, method: "tools/call", params: { name, arguments: { solution_id: "s1" } } });
+
+const init = await mcp({ jsonrpc: "2.0", id: 1, method: "initialize", params: { protocolVersion: "2024-11-05", capabilities: {}, clientInfo: { name: "t", version: "1" } } });
+const sid = init.sid;
+await mcp({ jsonrpc: "2.0", method: "notifications/initialized" }, sid);
+await mcp(call(2, "ateam_auth"), sid);
+
+const first = await mcp(call(3, "ateam_redeploy"), sid);
+check("first expensive call allowed", first.status === 200);
+const second = await mcp(call(4, "ateam_redeploy"), sid);
+check("second expensive call → 429", second.status === 429);
+check("429 carries Retry-After", Number(second.retryAfter) >= 1);
+check("429 body names the expensive budget", JSON.parse(second.body).error?.data?.budget === "expensive_tools");
+
+const batch = await mcp([call(10, "ateam_redeploy"), call(11, "ateam_redeploy")], sid);
+const batchError = JSON.parse(batch.body).error;
+check("batch over the expensive budget → 400, no Retry-After", batch.status === 400 && batch.retryAfter === null);
+check("400 says why and what to do", /Batch has 2 .* at most 1 are allowed per minute\. Send them in smaller batches/.test(batchError?.message) && batchError.data?.cost === 2 && batchError.data?.limit === 1);
+
+const cheap = await mcp(call(5, "ateam_list_solutions"), sid);
+check("cheap tool still allowed", cheap.status === 200);
+
+// Refusals spend nothing: 5 requests used of 8 (init, initialized, auth,
+// redeploy, cheap); three more fit, the next is over the request budget.
+await mcp(call(6, "ateam_list_solutions"), sid);
+await mcp(call(7, "ateam_list_solutions"), sid);
+const last = await mcp(call(8, "ateam_list_solutions"), sid);
+check("refused calls spent no request tokens", last.status === 200);
+const over = await mcp(call(9, "ateam_list_solutions"), sid);
+check("request budget exhausted → 429", over.status === 429 && JSON.parse(over.body).error?.data?.budget === "requests");
+
+// ─── 3. ateam_test_notification per-session budget ───────────────────────────
+console.log("unit: ateam_test_notification");
+const KEY = "adas_tenanta_00000000000000000000000000000000";
+await handleToolCall("ateam_auth", { api_key: KEY }, "n1");
+await handleToolCall("ateam_auth", { api_key: KEY }, "n2");
+const args = { solution_id: "s1", actor_id: "a1", content: "hi" };
+for (let i = 0; i < 10; i++) await handleToolCall("ateam_test_notification", args, "n1");
+const limited = await handleToolCall("ateam_test_notification", args, "n1");
+check("11th call in a minute is rate limited", /Rate limited: max 10/.test(limited.content[0].text));
+// Pin the documented rate: 30s later a token bucket would have refilled five;
+// the window still holds all ten. Past the minute, calls are allowed again.
+const realNow = Date.now;
+const later = (ms) => { const at = realNow() + ms; Date.now = () => at; };
+later(30_000);
+const midWindow = await handleToolCall("ateam_test_notification", args, "n1");
+check("still limited half a minute later", /Rate limited: max 10/.test(midWindow.content[0].text));
+later(61_000);
+let allowed = 0;
+for (let i = 0; i < 12; i++) {
+  if (!/Rate limited/.test((await handleToolCall("ateam_test_notification", args, "n1")).content[0].text)) allowed++;
+}
+Date.now = realNow;
+check("exactly 10 allowed in the next window", allowed === 10);
+const other = await handleToolCall("ateam_test_notification", args, "n2");
+check("other sessions have their own budget", !/Rate limited/.test(other.content[0].text));
+
+upstream.close();
+
+// ─── done ────────────────────────────────────────────────────────────────────
+if (failures) { console.error(`\n${failures} check(s) FAILED`); process.exit(1); }
+console.log("\nALL CHECKS PASSED");
+process.exit(0);
@@ -0,0 +1,90 @@
+// Read-only session tests.
+//
+// Verifies that a read-only session (ateam_auth mode:"read_only" or a bearer
+// granted the read_only OAuth scope) is refused every mutating tool, keeps
+// read tools, and cannot be widened back by re-authenticating.
+//
+// Run: node test/read-only.test.mjs
+
+import http from "node:http";
+
+let failures = 0;
+function check(name, cond) {
+  if (cond) { console.log(`  ✓ ${name}`); }
+  else { console.error(`  ✗ ${name}`); failures++; }
+}
+
+// Stub A-Team API: every call succeeds and is counted.
+const API_PORT = 3194;
+let apiHits = [];
+const upstream = http.createServer((req, res) => {
+  apiHits.push(`${req.method} ${req.url}`);
+  res.writeHead(200, { "content-type": "application/json" });
+  res.end(JSON.stringify({ ok: true, solutions: [] }));
+});
+await new Promise((r) => upstream.listen(API_PORT, "127.0.0.1", r));
+process.env.ADAS_API_URL = `http://127.0.0.1:${API_PORT}`;
+
+const KEY = "adas_tenanta_00000000000000000000000000000000";
+const { setSessionCredentials, isReadOnly, setBearerScopes, READ_ONLY_SCOPE } = await import("../src/api.js");
+const { handleToolCall } = await import("../src/tools.js");
+
+// ─── 1. handleToolCall gate ──────────────────────────────────────────────────
+console.log("unit: handleToolCall");
+const auth = await handleToolCall("ateam_auth", { api_key: KEY, mode: "read_only" }, "ro");
+check("ateam_auth(mode:read_only) → ok + read_only", /"read_only": true/.test(auth.content[0].text));
+
+apiHits = [];
+for (const tool of ["ateam_delete_solution", "ateam_build_and_run", "ateam_github_write", "ateam_redeploy"]) {
+  const r = await handleToolCall(tool, { solution_id: "s1" }, "ro");
+  check(`${tool} refused with read_only_session`, r.isError && r.structuredContent?.error?.code === "read_only_session");
+}
+check("refused tools never reach the API", apiHits.length === 0);
+
+const read = await handleToolCall("ateam_list_solutions", {}, "ro");
+check("read tool still works", !read.isError && apiHits.length === 1);
+
+await handleToolCall("ateam_auth", { api_key: KEY }, "ro");
+check("re-auth without mode keeps the session read-only", isReadOnly("ro"));
+
+const bad = await handleToolCall("ateam_auth", { api_key: KEY, mode: "admin" }, "rw");
+check("unknown mode rejected", /Unknown mode/.test(bad.content[0].text));
+
+setSessionCredentials("rw", { apiKey: KEY, explicit: true });
+const del = await handleToolCall("ateam_delete_solution", { solution_id: "s1" }, "rw");
+check("full session may call mutating tools", del.structuredContent?.error?.code !== "read_only_session");
+
+// ─── 2. OAuth read_only scope over HTTP ──────────────────────────────────────
+console.log("integration: read_only bearer");
+const PORT = 3195;
+const BASE = `http://127.0.0.1:${PORT}`;
+process.env.ATEAM_BASE_URL = BASE;
+delete process.env.ATEAM_OAUTH_DISABLED;
+const RO_BEARER = "adas_tenanta_22222222222222222222222222222222";
+setBearerScopes(RO_BEARER, [READ_ONLY_SCOPE]);
+
+const { startHttpServer } = await import("../src/http.js");
+startHttpServer(PORT);
+await new Promise((r) => setTimeout(r, 400));
+
+async function mcp(headers, body) {
+  const res = await fetch(`${BASE}/mcp`, {
+    method: "POST",
+    headers: { "content-type": "application/json", "accept": "application/json, text/event-stream", ...headers },
+    body: JSON.stringify(body),
+  });
+  return { sid: res.headers.get("mcp-session-id"), text: await res.text() };
+}
+
+const bearer = { authorization: `Bearer ${RO_BEARER}` };
+const init = await mcp(bearer, { jsonrpc: "2.0", id: 1, method: "initialize", params: { protocolVersion: "2024-11-05", capabilities: {}, clientInfo: { name: "t", version: "1" } } });
+check("read_only bearer seeds a read-only session", isReadOnly(init.sid));
+const call = await mcp({ ...bearer, "mcp-session-id": init.sid }, { jsonrpc: "2.0", id: 2, method: "tools/call", params: { name: "ateam_delete_skill", arguments: { solution_id: "s1", skill_id: "k1" } } });
+check("mutating tool over HTTP → read_only_session", call.text.includes("read_only_session"));
+
+upstream.close();
+
+// ─── done ────────────────────────────────────────────────────────────────────
+if (failures) { console.error(`\n${failures} check(s) FAILED`); process.exit(1); }
+console.log("\nALL CHECKS PASSED");
+process.exit(0);
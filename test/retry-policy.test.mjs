@@ -0,0 +1,92 @@
+// Retry-policy tests for the API client.
+//
+// Verifies backoff/jitter bounds, Retry-After handling, that mutating calls
+// are only retried when repeating them is known to be safe, and that the Core
+// client follows the same policy.
+//
+// Run: node test/retry-policy.test.mjs
+
+import http from "node:http";
+
+let failures = 0;
+function check(name, cond) {
+  if (cond) { console.log(`  ✓ ${name}`); }
+  else { console.error(`  ✗ ${name}`); failures++; }
+}
+
+// Scripted upstream: each test pushes the statuses it wants served, in order.
+const PORT = 3198;
+const script = [];
+let hits = [];
+const upstream = http.createServer((req, res) => {
+  hits.push({ method: req.method, idempotencyKey: req.headers["idempotency-key"] || null, service: req.headers["x-adas-service"] || null });
+  const next = script.shift() || { status: 200 };
+  res.writeHead(next.status, { "content-type": "application/json", ...(next.headers || {}) });
+  res.end(JSON.stringify(next.status < 400 ? { ok: true } : { error: "nope" }));
+});
+await new Promise((r) => upstream.listen(PORT, "127.0.0.1", r));
+process.env.ADAS_API_URL = `http://127.0.0.1:${PORT}`;
+process.env.ADAS_API_KEY = "adas_tenanta_00000000000000000000000000000000";
+
+const { get, post, coreGet, corePost, retryDelay } = await import("../src/api.js");
+
+// ─── 1. Unit: retryDelay ─────────────────────────────────────────────────────
+console.log("unit: retryDelay");
+const policy = {
+  retries: 3, baseDelayMs: 1000, maxDelayMs: 15000, jitter: 0.3, maxRetryAfterMs: 60000,
+  retryOnStatuses: [429, 502, 503, 504], retryOnCodes: ["timeout", "connection_refused"],
+  requireIdempotencyKey: true,
+};
+const d0 = retryDelay(policy, { status: 502 }, 0, { safeToRepeat: true });
+const d2 = retryDelay(policy, { status: 502 }, 2, { safeToRepeat: true });
+check("attempt 0 delay within ±30% of 1s", d0 >= 700 && d0 <= 1300);
+check("attempt 2 delay within ±30% of 4s", d2 >= 2800 && d2 <= 5200);
+check("out of retries → give up", retryDelay(policy, { status: 502 }, 3, { safeToRepeat: true }) === null);
+check("non-retriable status → give up", retryDelay(policy, { status: 400 }, 0, { safeToRepeat: true }) === null);
+check("Retry-After honored exactly", retryDelay(policy, { status: 503, retryAfterMs: 2000 }, 0, { safeToRepeat: true }) === 2000);
+check("Retry-After beyond cap → give up", retryDelay(policy, { status: 503, retryAfterMs: 120000 }, 0, { safeToRepeat: true }) === null);
+check("mutating 502 without key → give up", retryDelay(policy, { status: 502 }, 0, { safeToRepeat: false }) === null);
+check("mutating 429 without key → retry (never processed)", retryDelay(policy, { status: 429, retryAfterMs: 0 }, 0, { safeToRepeat: false }) === 0);
+check("mutating refused connection → retry", retryDelay(policy, { code: "connection_refused" }, 0, { safeToRepeat: false }) !== null);
+
+// ─── 2. Integration: real request() against the scripted upstream ────────────
+console.log("integration: request()");
+const fast = { retry: { baseDelayMs: 10, maxDelayMs: 20 } };
+
+hits = []; script.length = 0; script.push({ status: 429, headers: { "retry-after": "0" } }, { status: 200 });
+const r1 = await get("/x", undefined, fast);
+check("GET 429 + Retry-After:0 → retried → ok", r1.ok === true && hits.length === 2);
+
+hits = []; script.length = 0; script.push({ status: 502 }, { status: 200 });
+let threw = null;
+try { await post("/x", {}, undefined, fast); } catch (e) { threw = e; }
+check("POST 502 without idempotency key → not retried", threw?.status === 502 && hits.length === 1);
+
+hits = []; script.length = 0; script.push({ status: 502 }, { status: 200 });
+const r3 = await post("/x", {}, undefined, { ...fast, idempotencyKey: true });
+check("POST 502 with idempotency key → retried → ok", r3.ok === true && hits.length === 2);
+check("same Idempotency-Key on every attempt", !!hits[0].idempotencyKey && hits[0].idempotencyKey === hits[1].idempotencyKey);
+
+hits = []; script.length = 0; script.push({ status: 503, headers: { "retry-after": "600" } });
+threw = null;
+try { await get("/x", undefined, fast); } catch (e) { threw = e; }
+check("Retry-After over the cap → fails with retry_after_ms", threw?.toJSON().retry_after_ms === 600000 && hits.length === 1);
+
+// ─── 3. Core client shares the same policy ───────────────────────────────────
+console.log("integration: Core client");
+
+hits = []; script.length = 0; script.push({ status: 502 }, { status: 200 });
+const c1 = await coreGet("/api/job/j1/status", undefined, { ...fast, service: "ateam-mcp.chain_status" });
+check("Core GET 502 → retried → ok", c1.ok === true && hits.length === 2);
+check("X-ADAS-SERVICE sent on Core calls", hits[0].service === "ateam-mcp.chain_status");
+
+hits = []; script.length = 0; script.push({ status: 502 }, { status: 200 });
+threw = null;
+try { await corePost("/api/internal/notify-user", {}, undefined, fast); } catch (e) { threw = e; }
+check("Core POST 502 → not retried, ApiError names Core", threw?.status === 502 && hits.length === 1 && /^A-Team Core error/.test(threw.message));
+
+upstream.close();
+
+// ─── done ────────────────────────────────────────────────────────────────────
+if (failures) { console.error(`\n${failures} check(s) FAILED`); process.exit(1); }
+console.log("\nALL CHECKS PASSED");
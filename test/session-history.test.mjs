@@ -0,0 +1,79 @@
+// Session tool-call history tests.
+//
+// Verifies that handleToolCall records each call (redacted args, outcome,
+// job/chain ids), that the buffer is bounded, and that ateam_session_history
+// and ateam_bootstrap's session_context expose it.
+//
+// Run: node test/session-history.test.mjs
+
+import http from "node:http";
+
+let failures = 0;
+function check(name, cond) {
+  if (cond) { console.log(`  ✓ ${name}`); }
+  else { console.error(`  ✗ ${name}`); failures++; }
+}
+
+// Stub A-Team API: chain status answers with a chain id, 404 for /missing.
+const PORT = 3193;
+const upstream = http.createServer((req, res) => {
+  if (req.url.startsWith("/api/job/")) {
+    res.writeHead(200, { "content-type": "application/json" });
+    res.end(JSON.stringify({ chainId: "chain-1", chainStatus: "running", chainDone: false }));
+    return;
+  }
+  if (req.url.includes("missing")) {
+    res.writeHead(404, { "content-type": "application/json" });
+    res.end(JSON.stringify({ error: "not found" }));
+    return;
+  }
+  res.writeHead(200, { "content-type": "application/json" });
+  res.end(JSON.stringify({ ok: true, solutions: [] }));
+});
+await new Promise((r) => upstream.listen(PORT, "127.0.0.1", r));
+process.env.ADAS_API_URL = `http://127.0.0.1:${PORT}`;
+process.env.ATEAM_SESSION_HISTORY_SIZE = "5";
+
+const KEY = "adas_tenanta_00000000000000000000000000000000";
+const { getSessionHistory } = await import("../src/api.js");
+const { handleToolCall } = await import("../src/tools.js");
+const parse = (r) => JSON.parse(r.content[0].text);
+
+// ─── 1. Recording ────────────────────────────────────────────────────────────
+console.log("recording");
+await handleToolCall("ateam_auth", { api_key: KEY }, "h1");
+await handleToolCall("ateam_chain_status", { chain_id: "job-9" }, "h1");
+await handleToolCall("ateam_get_solution", { solution_id: "missing", skill_id: "k" }, "h1");
+
+let history = getSessionHistory("h1");
+check("three calls recorded", history.length === 3);
+check("api_key redacted in args summary", history[0].tool === "ateam_auth" && history[0].args.api_key === "[REDACTED]");
+check("chain id captured from the result", history[1].ok === true && history[1].chain_ids?.includes("chain-1"));
+check("failed call recorded with error code", history[2].ok === false && history[2].error?.code === "not_found");
+check("duration recorded", history.every((e) => typeof e.duration_ms === "number"));
+
+// ─── 2. Bounded buffer ───────────────────────────────────────────────────────
+console.log("bounded buffer");
+for (let i = 0; i < 4; i++) await handleToolCall("ateam_list_solutions", {}, "h1");
+history = getSessionHistory("h1");
+check("buffer capped at ATEAM_SESSION_HISTORY_SIZE", history.length === 5);
+check("oldest entries dropped first", history[0].tool === "ateam_get_solution");
+
+// ─── 3. ateam_session_history + bootstrap ────────────────────────────────────
+console.log("tools");
+const listed = parse(await handleToolCall("ateam_session_history", { tool: "ateam_list_solutions", limit: 2 }, "h1"));
+check("history tool filters by tool + limit", listed.returned === 2 && listed.calls.every((c) => c.tool === "ateam_list_solutions"));
+check("reading history is not itself recorded", getSessionHistory("h1").every((e) => e.tool !== "ateam_session_history"));
+
+const boot = parse(await handleToolCall("ateam_bootstrap", {}, "h1"));
+check("bootstrap session_context has recent_calls", Array.isArray(boot.session_context?.recent_calls) && boot.session_context.recent_calls.length === 5);
+
+const anon = parse(await handleToolCall("ateam_session_history", {}, "nobody"));
+check("unauthenticated session → empty history", anon.total_recorded === 0 && anon.calls.length === 0);
+
+upstream.close();
+
+// ─── done ────────────────────────────────────────────────────────────────────
+if (failures) { console.error(`\n${failures} check(s) FAILED`); process.exit(1); }
+console.log("\nALL CHECKS PASSED");
+process.exit(0);
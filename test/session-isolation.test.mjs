@@ -3,12 +3,14 @@
 // Verifies the fix: a Bearer-bound session may only be reused by a request
 // presenting the SAME validated Bearer — so a client cannot hijack another
 // client's session (and its tenant + api key) by sending the (non-secret,
-// logged/echoed) session-id with no/other Authorization.
+// logged/echoed) session-id with no/other Authorization. Covers "/mcp" POST,
+// the legacy /sse + /messages transport, and sessions resumed from the
+// session store (opened on another instance) by POST, GET and DELETE.
 //
 // Run: node test/session-isolation.test.mjs
 
 import assert from "node:assert";
-import { bearerOwnershipOk } from "../src/api.js";
+import { bearerOwnershipOk, bindSessionBearer, setSessionCredentials, getSessionBearer, hasStoredSession } from "../src/api.js";
 
 const BEARER_A = "adas_tenanta_00000000000000000000000000000000";
 const BEARER_B = "adas_tenantb_11111111111111111111111111111111";
@@ -78,6 +80,66 @@ check("no-bearer init returns a session id", !!SID_C);
 const reuseC = await mcp({ "mcp-session-id": SID_C }, TOOLS_LIST);
 check("no-bearer session reuse (no bound bearer) → not 401", reuseC.status !== 401);
 
+// ─── 3. Legacy /sse + /messages ──────────────────────────────────────────────
+console.log("integration: legacy SSE session");
+/** Open /sse and return the /messages endpoint it announces. */
+async function openSse(bearer) {
+  const res = await fetch(`${BASE}/sse`, { headers: { accept: "text/event-stream", ...(bearer && { authorization: `Bearer ${bearer}` }) } });
+  const reader = res.body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = "";
+  while (!/^data: (.*)$/m.test(buffer)) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += value;
+  }
+  return { endpoint: buffer.match(/^data: (.*)$/m)?.[1], close: () => reader.cancel() };
+}
+const message = (endpoint, headers, body) => fetch(`${BASE}${endpoint}`, {
+  method: "POST",
+  headers: { "content-type": "application/json", ...headers },
+  body: JSON.stringify(body),
+});
+const sseA = await openSse(BEARER_A);
+check("A opens a legacy stream", /^\/messages\?sessionId=/.test(sseA.endpoint || ""));
+check("legacy: A's session, no auth → 401", (await message(sseA.endpoint, {}, INIT)).status === 401);
+check("legacy: A's session, B's bearer → 401", (await message(sseA.endpoint, { authorization: `Bearer ${BEARER_B}` }, INIT)).status === 401);
+check("legacy: A's session, A's bearer → accepted", (await message(sseA.endpoint, { authorization: `Bearer ${BEARER_A}` }, INIT)).status === 202);
+check("legacy: a /mcp session id is no /messages session", (await message(`/messages?sessionId=${SID_A}`, { authorization: `Bearer ${BEARER_A}` }, TOOLS_LIST)).status === 404);
+sseA.close();
+
+// ─── 4. Resumed from the session store ───────────────────────────────────────
+// A session another instance opened: in the shared store, no transport here.
+console.log("integration: cross-instance resume");
+function storedSession(sid) {
+  setSessionCredentials(sid, { tenant: "tenanta", apiKey: BEARER_A, explicit: true });
+  bindSessionBearer(sid, BEARER_A);
+  return sid;
+}
+const mcpReq = (method, sid, headers = {}) => fetch(`${BASE}/mcp`, {
+  method,
+  headers: { accept: "application/json, text/event-stream", "mcp-session-id": sid, ...headers },
+});
+
+const postSid = storedSession("stored-post");
+check("POST resume, no auth → 401", (await mcp({ "mcp-session-id": postSid }, TOOLS_LIST)).status === 401);
+check("POST resume, B's bearer → 401", (await mcp({ "mcp-session-id": postSid, authorization: `Bearer ${BEARER_B}` }, TOOLS_LIST)).status === 401);
+check("POST resume, A's bearer → resumed", (await mcp({ "mcp-session-id": postSid, authorization: `Bearer ${BEARER_A}` }, TOOLS_LIST)).status === 200);
+
+const getSid = storedSession("stored-get");
+check("GET resume, no auth → 401", (await mcpReq("GET", getSid)).status === 401);
+check("GET resume, B's bearer → 401", (await mcpReq("GET", getSid, { authorization: `Bearer ${BEARER_B}` })).status === 401);
+check("still bound to A", getSessionBearer(getSid) === BEARER_A);
+const stream = await mcpReq("GET", getSid, { authorization: `Bearer ${BEARER_A}` });
+check("GET resume, A's bearer → stream opened", stream.status === 200 && /text\/event-stream/.test(stream.headers.get("content-type") || ""));
+await stream.body.cancel();
+
+const delSid = storedSession("stored-delete");
+check("DELETE resume, no auth → 401", (await mcpReq("DELETE", delSid)).status === 401);
+check("DELETE resume, B's bearer → 401", (await mcpReq("DELETE", delSid, { authorization: `Bearer ${BEARER_B}` })).status === 401);
+check("session survives the refused deletes", hasStoredSession(delSid) && getSessionBearer(delSid) === BEARER_A);
+check("DELETE resume, A's bearer → 200", (await mcpReq("DELETE", delSid, { authorization: `Bearer ${BEARER_A}` })).status === 200);
+check("and it is gone from the store", !hasStoredSession(delSid));
+
 // ─── done ────────────────────────────────────────────────────────────────────
 if (failures) { console.error(`\n${failures} check(s) FAILED`); process.exit(1); }
 console.log("\nALL CHECKS PASSED");
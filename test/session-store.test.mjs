@@ -0,0 +1,116 @@
+// Session store backend tests.
+//
+// Verifies that the persistent backends behind api.js's session maps round-trip
+// entries across a "restart" (a fresh store over the same path), including
+// deletes and in-place updates that were written back with set(); and that
+// two file stores sharing a path keep each other's keys, that a held lock
+// delays the debounced write without blocking the event loop, and that a
+// failed write keeps its changes for the next one.
+//
+// Run: node test/session-store.test.mjs
+
+import assert from "node:assert";
+import { mkdirSync, mkdtempSync, readFileSync, rmSync, statSync, unlinkSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { createSessionStore } from "../src/sessionStore.js";
+
+let failures = 0;
+function check(name, cond) {
+  if (cond) { console.log(`  ✓ ${name}`); }
+  else { console.error(`  ✗ ${name}`); failures++; }
+}
+
+const dir = mkdtempSync(join(tmpdir(), "ateam-session-store-"));
+
+// ─── 1. memory (default) ─────────────────────────────────────────────────────
+console.log("memory store");
+const mem = createSessionStore();
+check("default kind is memory", mem.kind === "memory");
+check("collections are plain Maps", mem.collection("sessions") instanceof Map);
+check("same name → same collection", mem.collection("sessions") === mem.collection("sessions"));
+assert.throws(() => createSessionStore({ kind: "redis" }), /Unknown session store/);
+check("unknown kind throws", true);
+
+// ─── 2. file ─────────────────────────────────────────────────────────────────
+console.log("file store");
+const filePath = join(dir, "sessions.json");
+const f1 = createSessionStore({ kind: "file", path: filePath });
+const s1 = f1.collection("sessions");
+s1.set("sid-a", { tenant: "acme", lastActivity: 1, context: {} });
+s1.set("sid-b", { tenant: "beta", lastActivity: 2, context: {} });
+f1.collection("authOverrides").set("bearer-1", { tenant: "acme", updatedAt: 3 });
+const a = s1.get("sid-a");
+a.context.lastToolName = "ateam_patch";
+s1.set("sid-a", a);
+s1.delete("sid-b");
+f1.flush();
+check("file created with mode 0600", (statSync(filePath).mode & 0o777) === 0o600);
+
+const f2 = createSessionStore({ kind: "file", path: filePath });
+check("session survives restart", f2.collection("sessions").get("sid-a")?.tenant === "acme");
+check("in-place update written back", f2.collection("sessions").get("sid-a")?.context?.lastToolName === "ateam_patch");
+check("deleted session stays deleted", !f2.collection("sessions").has("sid-b"));
+check("auth override survives restart", f2.collection("authOverrides").get("bearer-1")?.tenant === "acme");
+check("untouched collection starts empty", f2.collection("sessionBearers").size === 0);
+
+// ─── 3. file, shared by two stores ───────────────────────────────────────────
+console.log("file store, two instances");
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+const sharedPath = join(dir, "shared.json");
+const onDisk = () => JSON.parse(readFileSync(sharedPath, "utf8")).collections.sessions || {};
+const x1 = createSessionStore({ kind: "file", path: sharedPath }).collection("sessions");
+const x2 = createSessionStore({ kind: "file", path: sharedPath }).collection("sessions");
+x1.set("sid-1", { tenant: "acme" });
+x2.set("sid-2", { tenant: "beta" });
+await sleep(600); // both debounced writes
+check("both instances' keys on disk", onDisk()["sid-1"]?.tenant === "acme" && onDisk()["sid-2"]?.tenant === "beta");
+check("each instance sees the other's key", x1.get("sid-2")?.tenant === "beta" && x2.get("sid-1")?.tenant === "acme");
+
+writeFileSync(`${sharedPath}.lock`, ""); // another writer holds the lock
+x1.set("sid-3", { tenant: "gamma" });
+let ticks = 0;
+const ticker = setInterval(() => ticks++, 50);
+await sleep(600);
+clearInterval(ticker);
+check("held lock: write deferred", !onDisk()["sid-3"]);
+check("held lock: event loop not blocked", ticks >= 8);
+unlinkSync(`${sharedPath}.lock`);
+await sleep(100);
+check("written once the lock is released", onDisk()["sid-3"]?.tenant === "gamma");
+
+const failPath = join(dir, "fail.json");
+const y = createSessionStore({ kind: "file", path: failPath });
+y.collection("sessions").set("sid-4", { tenant: "delta" });
+mkdirSync(`${failPath}.${process.pid}.tmp`); // the temp file can't be written
+assert.throws(() => y.flush());
+rmSync(`${failPath}.${process.pid}.tmp`, { recursive: true });
+y.flush();
+check("failed write keeps its changes for the next one", createSessionStore({ kind: "file", path: failPath }).collection("sessions").get("sid-4")?.tenant === "delta");
+
+// ─── 4. sqlite (only where node:sqlite exists) ───────────────────────────────
+let hasSqlite = false;
+try { await import("node:sqlite"); hasSqlite = true; } catch { /* older Node */ }
+if (hasSqlite) {
+  console.log("sqlite store");
+  const dbPath = join(dir, "sessions.db");
+  const q1 = createSessionStore({ kind: "sqlite", path: dbPath });
+  q1.collection("sessions").set("sid-a", { tenant: "acme", lastActivity: 1 });
+  q1.collection("sessions").set("sid-b", { tenant: "beta", lastActivity: 2 });
+  q1.collection("sessions").delete("sid-b");
+  q1.close();
+  const q2 = createSessionStore({ kind: "sqlite", path: dbPath });
+  check("sqlite: session survives restart", q2.collection("sessions").get("sid-a")?.tenant === "acme");
+  check("sqlite: deleted session stays deleted", !q2.collection("sessions").has("sid-b"));
+  q2.close();
+} else {
+  console.log(`sqlite store: skipped (node:sqlite unavailable on Node ${process.versions.node})`);
+  assert.throws(() => createSessionStore({ kind: "sqlite", path: join(dir, "x.db") }), /node:sqlite/);
+  check("sqlite without node:sqlite → clear error", true);
+}
+
+rmSync(dir, { recursive: true, force: true });
+
+// ─── done ────────────────────────────────────────────────────────────────────
+if (failures) { console.error(`\n${failures} check(s) FAILED`); process.exit(1); }
+console.log("\nALL CHECKS PASSED");
@@ -0,0 +1,198 @@
+// Shared session store tests.
+//
+// Two store handles over one file stand in for two instances: each must see
+// the other's writes, and flushing one must not roll back keys the other
+// changed. Then two real HTTP servers share a file store: a session
+// authenticated on A is resumed on B with its credentials and bearer binding,
+// and the OAuth authorize → submit → token steps succeed across instances
+// without the issued token reaching the store file in the clear.
+//
+// Run: node test/shared-state.test.mjs
+
+import http from "node:http";
+import { spawn } from "node:child_process";
+import { createHash, randomBytes } from "node:crypto";
+import { mkdtempSync, readFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { fileURLToPath } from "node:url";
+import { createSessionStore } from "../src/sessionStore.js";
+
+let failures = 0;
+function check(name, cond) {
+  if (cond) { console.log(`  ✓ ${name}`); }
+  else { console.error(`  ✗ ${name}`); failures++; }
+}
+
+const dir = mkdtempSync(join(tmpdir(), "ateam-shared-state-"));
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+// ─── 1. Two handles, one file ────────────────────────────────────────────────
+console.log("file store: two instances");
+const storePath = join(dir, "unit.json");
+const a = createSessionStore({ kind: "file", path: storePath });
+const b = createSessionStore({ kind: "file", path: storePath });
+const sa = a.collection("sessions");
+const sb = b.collection("sessions");
+
+sa.set("sid-1", { tenant: "acme" });
+a.flush();
+check("write on A visible on B", sb.get("sid-1")?.tenant === "acme");
+
+sb.set("sid-2", { tenant: "beta" });
+sa.set("sid-3", { tenant: "gamma" });
+b.flush();
+a.flush();
+check("A's flush keeps B's key", sa.get("sid-2")?.tenant === "beta" && sb.get("sid-2")?.tenant === "beta");
+check("B sees A's later key", sb.get("sid-3")?.tenant === "gamma");
+
+b.collection("oauthCodes").set("code-1", { apiKey: "k" });
+b.flush();
+a.collection("sessions").delete("sid-1");
+a.flush();
+check("collection A never opened survives A's flush", a.collection("oauthCodes").has("code-1"));
+check("delete on A reaches B", !sb.has("sid-1") && sb.size === 2);
+check("iteration sees the other instance's writes", [...sb.keys()].sort().join(",") === "sid-2,sid-3");
+
+sa.set("sid-4", { tenant: "delta" });
+sb.set("sid-5", { tenant: "eps" }); // B reads the file (refresh) while A's write is unflushed
+check("unflushed local write survives a refresh", sa.has("sid-4") && sa.get("sid-4").tenant === "delta");
+a.flush();
+b.flush();
+check("both unflushed writes land", sa.has("sid-5") && sb.has("sid-4"));
+
+// ─── 2. Two HTTP servers over one store ──────────────────────────────────────
+// Stub A-Team API: records the key each request authenticated with.
+const API_PORT = 3179;
+const seenKeys = [];
+const upstream = http.createServer((req, res) => {
+  seenKeys.push(req.headers["x-api-key"] || null);
+  res.writeHead(200, { "content-type": "application/json" });
+  res.end(JSON.stringify({ ok: true, solutions: [] }));
+});
+await new Promise((r) => upstream.listen(API_PORT, "127.0.0.1", r));
+
+const PORT_A = 3181;
+const PORT_B = 3180;
+const KEY = "adas_tenanta_00000000000000000000000000000000";
+const BEARER = "adas_tenantb_11111111111111111111111111111111";
+const entryPoint = fileURLToPath(new URL("../src/index.js", import.meta.url));
+const sharedPath = join(dir, "sessions.json");
+
+function startServer(port) {
+  const child = spawn(process.execPath, [entryPoint, "--http", String(port)], {
+    env: {
+      ...process.env,
+      ADAS_API_URL: `http://127.0.0.1:${API_PORT}`,
+      ATEAM_BASE_URL: `http://127.0.0.1:${port}`,
+      ATEAM_SESSION_STORE: "file",
+      ATEAM_SESSION_STORE_PATH: sharedPath,
+      LOG_LEVEL: "warn",
+    },
+    stdio: ["ignore", "ignore", "inherit"],
+  });
+  const exited = new Promise((resolve) => child.on("exit", resolve));
+  return { child, exited, base: `http://127.0.0.1:${port}` };
+}
+
+async function waitForServer(base) {
+  for (let i = 0; i < 50; i++) {
+    try { if ((await fetch(`${base}/health`)).ok) return; } catch { /* not up yet */ }
+    await sleep(100);
+  }
+}
+
+async function mcp(base, body, { sid, bearer } = {}) {
+  const res = await fetch(`${base}/mcp`, {
+    method: "POST",
+    headers: {
+      "content-type": "application/json",
+      "accept": "application/json, text/event-stream",
+      ...(sid && { "mcp-session-id": sid }),
+      ...(bearer && { authorization: `Bearer ${bearer}` }),
+    },
+    body: JSON.stringify(body),
+  });
+  return { status: res.status, sid: res.headers.get("mcp-session-id"), text: await res.text() };
+}
+const initialize = (id) => ({ jsonrpc: "2.0", id, method: "initialize", params: { protocolVersion: "2024-11-05", capabilities: {}, clientInfo: { name: "t", version: "1" } } });
+const call = (id, name, args = {}) => ({ jsonrpc: "2.0", id, method: "tools/call", params: { name, arguments: args } });
+
+const A = startServer(PORT_A);
+const B = startServer(PORT_B);
+await Promise.all([waitForServer(A.base), waitForServer(B.base)]);
+
+console.log("http: session resumed on another instance");
+const init = await mcp(A.base, initialize(1));
+await mcp(A.base, { jsonrpc: "2.0", method: "notifications/initialized" }, { sid: init.sid });
+await mcp(A.base, call(2, "ateam_auth", { api_key: KEY }), { sid: init.sid });
+await sleep(500); // file store write debounce
+
+seenKeys.length = 0;
+const onB = await mcp(B.base, call(3, "ateam_list_solutions"), { sid: init.sid });
+check("B answers a call for A's session", onB.status === 200 && onB.sid === init.sid && !onB.text.includes("isError\":true"));
+check("B used A's credentials", seenKeys.includes(KEY));
+
+console.log("http: bearer binding shared");
+const bInit = await mcp(A.base, initialize(1), { bearer: BEARER });
+await mcp(A.base, { jsonrpc: "2.0", method: "notifications/initialized" }, { sid: bInit.sid, bearer: BEARER });
+await sleep(500);
+const hijack = await mcp(B.base, call(2, "ateam_list_solutions"), { sid: bInit.sid, bearer: KEY });
+check("B refuses A's bearer session to another bearer", hijack.status === 401);
+const sse = await fetch(`${B.base}/mcp`, { headers: { accept: "text/event-stream", "mcp-session-id": bInit.sid, authorization: `Bearer ${BEARER}` } });
+check("B opens the SSE stream for A's session", sse.status === 200 && sse.headers.get("content-type")?.includes("text/event-stream"));
+await sse.body.cancel();
+
+const del = await fetch(`${B.base}/mcp`, { method: "DELETE", headers: { "mcp-session-id": init.sid } });
+check("DELETE on B terminates A's session", del.status === 200);
+await sleep(500);
+const afterDel = await mcp(A.base, call(4, "ateam_list_solutions"), { sid: init.sid });
+check("A sees the session's credentials gone", afterDel.text.includes("Authentication required"));
+
+console.log("http: OAuth steps across instances");
+const verifier = randomBytes(32).toString("base64url");
+const challenge = createHash("sha256").update(verifier).digest("base64url");
+const authorize = await fetch(`${A.base}/authorize?` + new URLSearchParams({
+  response_type: "code", client_id: "ateam-public", redirect_uri: "http://localhost",
+  code_challenge: challenge, code_challenge_method: "S256", state: "st",
+}));
+const pendingId = (await authorize.text()).match(/name="pending_id" value="([^"]+)"/)?.[1];
+check("authorize page served by A", authorize.status === 200 && !!pendingId);
+await sleep(500);
+
+const submit = await fetch(`${B.base}/authorize-submit`, {
+  method: "POST",
+  headers: { "content-type": "application/x-www-form-urlencoded" },
+  body: new URLSearchParams({ pending_id: pendingId, api_key: BEARER }),
+  redirect: "manual",
+});
+const code = new URL(submit.headers.get("location") || "http://x/").searchParams.get("code");
+check("B accepts the form for A's pending request", submit.status === 302 && !!code);
+await sleep(500);
+
+const token = await fetch(`${A.base}/token`, {
+  method: "POST",
+  headers: { "content-type": "application/x-www-form-urlencoded" },
+  body: new URLSearchParams({ grant_type: "authorization_code", code, code_verifier: verifier, client_id: "ateam-public", redirect_uri: "http://localhost" }),
+});
+const tokenBody = await token.json();
+check("A exchanges the code B issued", token.status === 200 && tokenBody.access_token?.startsWith("mcp_at_"));
+await sleep(500);
+const stored = readFileSync(sharedPath, "utf8");
+check("issued token not in the store file", !stored.includes(tokenBody.access_token) && !stored.includes("recentTokens"));
+
+seenKeys.length = 0;
+const viaToken = await mcp(B.base, initialize(1), { bearer: tokenBody.access_token });
+await mcp(B.base, { jsonrpc: "2.0", method: "notifications/initialized" }, { sid: viaToken.sid, bearer: tokenBody.access_token });
+await mcp(B.base, call(2, "ateam_list_solutions"), { sid: viaToken.sid, bearer: tokenBody.access_token });
+check("B resolves the token A issued to the key", seenKeys.includes(BEARER));
+
+A.child.kill("SIGTERM");
+B.child.kill("SIGTERM");
+await Promise.all([A.exited, B.exited]);
+upstream.close();
+
+// ─── done ────────────────────────────────────────────────────────────────────
+if (failures) { console.error(`\n${failures} check(s) FAILED`); process.exit(1); }
+console.log("\nALL CHECKS PASSED");
+process.exit(0);
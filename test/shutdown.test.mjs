@@ -0,0 +1,135 @@
+// Graceful shutdown tests.
+//
+// Runs the HTTP server as a child process and sends SIGTERM while a tool call
+// is in flight: /health must turn 503, new sessions and resumes from the
+// session store (POST or GET) must be refused, the in-flight call must still
+// get its result, and the process must exit 0. A
+// second run checks that a call outliving ATEAM_SHUTDOWN_DRAIN_MS doesn't
+// hold the exit up.
+//
+// Run: node test/shutdown.test.mjs
+
+import http from "node:http";
+import { spawn } from "node:child_process";
+import { mkdtempSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { fileURLToPath } from "node:url";
+import { createSessionStore } from "../src/sessionStore.js";
+
+let failures = 0;
+function check(name, cond) {
+  if (cond) { console.log(`  ✓ ${name}`); }
+  else { console.error(`  ✗ ${name}`); failures++; }
+}
+
+// Stub A-Team API: redeploy kicks an async job; its status is whatever
+// jobStatus says when polled.
+const API_PORT = 3183;
+let jobStatus = "done";
+const upstream = http.createServer((req, res) => {
+  res.writeHead(200, { "content-type": "application/json" });
+  if (req.url.endsWith("/redeploy")) res.end(JSON.stringify({ ok: true, async: true, job_id: "job-1" }));
+  else if (req.url.startsWith("/deploy/jobs/")) res.end(JSON.stringify({ ok: jobStatus === "done", status: jobStatus }));
+  else res.end(JSON.stringify({ ok: true }));
+});
+await new Promise((r) => upstream.listen(API_PORT, "127.0.0.1", r));
+
+const PORT = 3182;
+const BASE = `http://127.0.0.1:${PORT}`;
+const KEY = "adas_tenanta_00000000000000000000000000000000";
+const entryPoint = fileURLToPath(new URL("../src/index.js", import.meta.url));
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+// Shared file store, so this process can play "another instance" that opened a session.
+const storePath = join(mkdtempSync(join(tmpdir(), "ateam-shutdown-")), "sessions.json");
+
+function startServer(drainMs) {
+  const child = spawn(process.execPath, [entryPoint, "--http", String(PORT)], {
+    env: {
+      ...process.env,
+      ADAS_API_URL: `http://127.0.0.1:${API_PORT}`,
+      ATEAM_OAUTH_DISABLED: "1",
+      ATEAM_SHUTDOWN_DRAIN_MS: String(drainMs),
+      ATEAM_SESSION_STORE: "file",
+      ATEAM_SESSION_STORE_PATH: storePath,
+      LOG_LEVEL: "warn",
+    },
+    stdio: ["ignore", "ignore", "inherit"],
+  });
+  const exited = new Promise((resolve) => child.on("exit", (code) => resolve({ code, at: Date.now() })));
+  return { child, exited };
+}
+
+async function mcp(body, sid) {
+  const res = await fetch(`${BASE}/mcp`, {
+    method: "POST",
+    headers: { "content-type": "application/json", "accept": "application/json, text/event-stream", ...(sid && { "mcp-session-id": sid }) },
+    body: JSON.stringify(body),
+  });
+  return { status: res.status, sid: res.headers.get("mcp-session-id"), text: await res.text() };
+}
+const initialize = (id) => ({ jsonrpc: "2.0", id, method: "initialize", params: { protocolVersion: "2024-11-05", capabilities: {}, clientInfo: { name: "t", version: "1" } } });
+const call = (id, name, args) => ({ jsonrpc: "2.0", id, method: "tools/call", params: { name, arguments: args } });
+
+async function openSession() {
+  const init = await mcp(initialize(1));
+  await mcp({ jsonrpc: "2.0", method: "notifications/initialized" }, init.sid);
+  await mcp(call(2, "ateam_auth", { api_key: KEY }), init.sid);
+  return init.sid;
+}
+
+async function waitForServer() {
+  for (let i = 0; i < 50; i++) {
+    try { if ((await fetch(`${BASE}/health`)).ok) return; } catch { /* not up yet */ }
+    await sleep(100);
+  }
+}
+
+// ─── 1. Drain: in-flight call finishes before exit ───────────────────────────
+console.log("drain");
+let server = startServer(10_000);
+await waitForServer();
+let sid = await openSession();
+
+jobStatus = "done"; // first poll (~2s in) completes the job
+const inFlight = mcp(call(3, "ateam_redeploy", { solution_id: "sol-1" }), sid);
+await sleep(300);
+server.child.kill("SIGTERM");
+await sleep(200);
+
+const health = await fetch(`${BASE}/health`);
+check("/health → 503 while draining", health.status === 503 && (await health.json()).status === "shutting_down");
+const refused = await mcp(initialize(9));
+check("new session refused with 503", refused.status === 503);
+const elsewhere = createSessionStore({ kind: "file", path: storePath });
+elsewhere.collection("sessions").set("opened-elsewhere", { tenant: "tenanta", apiKey: KEY, explicit: true, lastActivity: Date.now() });
+elsewhere.flush();
+check("store resume by POST refused with 503", (await mcp(call(4, "ateam_list_solutions", {}), "opened-elsewhere")).status === 503);
+const resumeGet = await fetch(`${BASE}/mcp`, { headers: { accept: "text/event-stream", "mcp-session-id": "opened-elsewhere" } });
+check("store resume by GET refused with 503", resumeGet.status === 503 && resumeGet.headers.get("retry-after") === "5");
+
+const result = await inFlight;
+check("in-flight call still answered", result.status === 200 && result.text.includes("Re-deployed"));
+const exit1 = await server.exited;
+check("process exits 0 after draining", exit1.code === 0);
+
+// ─── 2. Deadline: a stuck call doesn't hold the exit ─────────────────────────
+console.log("deadline");
+server = startServer(500);
+await waitForServer();
+sid = await openSession();
+
+jobStatus = "running"; // never finishes
+mcp(call(3, "ateam_redeploy", { solution_id: "sol-1" }), sid).catch(() => {});
+await sleep(300);
+const signalledAt = Date.now();
+server.child.kill("SIGTERM");
+const exit2 = await server.exited;
+check("exits once the drain deadline passes", exit2.code === 0 && exit2.at - signalledAt < 3000);
+
+upstream.close();
+
+// ─── done ────────────────────────────────────────────────────────────────────
+if (failures) { console.error(`\n${failures} check(s) FAILED`); process.exit(1); }
+console.log("\nALL CHECKS PASSED");
+process.exit(0);